@@ -0,0 +1,275 @@
+// Snow Monitor - Client app
+// Runs on top of the static page, which stays complete without it. Reloads
+// data.json on the 15-minute update cadence, whenever the page comes back to
+// the foreground and, under `fetch-data.js serve`, when /events says it
+// changed; renders the cards with the same code as the server
+// (lib/render.js, bundled above this file) and keeps working offline through
+// the service worker (sw.js). Favourite resorts, pinned lifts, list and sector
+// filters and expanded sections are remembered in localStorage.
+(function () {
+  const render = window.SnowMonitor.require('render');
+  const main = document.getElementById('resorts');
+  if (!main) return;
+
+  const { root, lang, units, tz } = main.dataset;
+  const view = render.createView({ lang, units, timeZone: tz || null });
+  const { t } = view;
+
+  const POLL_MINUTES = 15;
+  const OLD_MINUTES = 45; // data older than this is flagged
+  const FILTERS = ['all', 'open', 'evaluating', 'closed'];
+
+  let data = null;
+  let timestamp = main.dataset.timestamp;
+  let offline = !navigator.onLine;
+
+  const store = {
+    get(key, fallback) {
+      try {
+        return JSON.parse(localStorage.getItem(`snow.${key}`)) ?? fallback;
+      } catch (e) {
+        return fallback;
+      }
+    },
+    set(key, value) {
+      try {
+        localStorage.setItem(`snow.${key}`, JSON.stringify(value));
+      } catch (e) {
+        // storage full or disabled: the setting just isn't kept
+      }
+    }
+  };
+
+  // --- Data age and offline state ---
+
+  function showAge() {
+    const el = document.getElementById('age');
+    if (!el || !timestamp) return;
+    const minutes = Math.max(0, Math.round((Date.now() - Date.parse(timestamp)) / 60000));
+    const span = minutes >= 2 * 1440 ? t('season.days', { n: Math.floor(minutes / 1440) }) : view.duration(minutes);
+    const age = minutes < 1 ? t('app.justNow') : t('app.ago', { d: span });
+    el.textContent = ` · ${offline ? `${t('app.offline')} · ` : ''}${age}`;
+    el.className = `age${offline ? ' offline' : ''}${minutes > OLD_MINUTES ? ' old' : ''}`;
+  }
+
+  // --- Rendering ---
+
+  function renderCards() {
+    if (!data) return;
+    // Season trends need the history files, which aren't in data.json: keep the server's
+    const seasons = {};
+    for (const card of main.querySelectorAll('.card[data-resort]')) {
+      const season = card.querySelector('details[data-key="season"]');
+      if (season) seasons[card.dataset.resort] = season.outerHTML;
+    }
+    // "Now" rather than the data's time, so countdowns and stale badges stay current
+    const now = new Date().toISOString();
+    main.innerHTML = data.resorts.map(entry => render.resortCard(entry, now, view, seasons[entry.resort.id] || '')).join('');
+    document.getElementById('updated').textContent = view.time(data.timestamp, render.pageTimeZone(data.resorts, view));
+    document.getElementById('sources').innerHTML = render.sourcesLink(data.sources, view);
+    enhance();
+  }
+
+  // A bad or missing data.json leaves the page as it is and polling carries on
+  async function refresh() {
+    let res, next = null;
+    try {
+      res = await fetch(`${root}data.json`, { cache: 'no-cache' });
+    } catch (e) {
+      offline = true;
+      showAge();
+      return;
+    }
+    offline = res.headers.get('X-Snow-Offline') === '1' || !navigator.onLine;
+    if (res.ok) {
+      // e.g. a captive portal's login page, or a cut-off body
+      try {
+        next = await res.json();
+      } catch (e) {
+        next = null;
+      }
+    }
+    if (next && Array.isArray(next.resorts)) {
+      if (!data || next.timestamp !== data.timestamp) {
+        data = next;
+        timestamp = next.timestamp;
+        renderCards();
+      }
+    }
+    showAge();
+  }
+
+  // Next poll just after the next scheduled update, at most POLL_MINUTES away
+  function schedulePoll() {
+    const due = Date.parse(timestamp) + (POLL_MINUTES + 1) * 60000 - Date.now();
+    const wait = due > 60000 && due < POLL_MINUTES * 60000 ? due : POLL_MINUTES * 60000;
+    setTimeout(() => refresh().then(schedulePoll), wait);
+  }
+
+  // Pushed by `fetch-data.js serve` after every refresh; a static host has no
+  // /events, and EventSource gives up on the 404
+  function listen() {
+    if (!window.EventSource) return;
+    new EventSource(`${root}events`).addEventListener('update', e => {
+      let next;
+      try {
+        next = JSON.parse(e.data);
+      } catch (err) {
+        return;
+      }
+      if (next.timestamp !== timestamp) refresh();
+    });
+  }
+
+  // --- Favourites, pinned lifts, filters, open sections ---
+
+  function button(cls, label, pressed, onClick) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = cls;
+    b.title = label;
+    b.setAttribute('aria-label', label);
+    b.setAttribute('aria-pressed', pressed);
+    b.addEventListener('click', e => {
+      e.preventDefault();
+      e.stopPropagation();
+      onClick();
+    });
+    return b;
+  }
+
+  function enhance() {
+    const favourites = store.get('favourites', []);
+    const pinned = store.get('pinned', {});
+    const filters = store.get('filters', {});
+    const open = new Set(store.get('open', []));
+    const sectors = store.get('sectors', {});
+
+    const cards = [...main.querySelectorAll('.card[data-resort]')];
+    for (const card of cards) {
+      const id = card.dataset.resort;
+      const fav = favourites.includes(id);
+      card.classList.toggle('favourite', fav);
+      card.querySelector('.card-header').appendChild(button('fav', t('app.favourite'), fav, () => {
+        store.set('favourites', fav ? favourites.filter(f => f !== id) : [...favourites, id]);
+        enhanceAgain();
+      }));
+
+      const pins = pinned[id] || [];
+      const lifts = card.querySelector('details[data-key="lifts"]');
+      if (lifts) {
+        for (const row of lifts.querySelectorAll('.detail-row[data-name]')) {
+          const name = row.dataset.name;
+          const isPinned = pins.includes(name);
+          row.appendChild(button('pin', t('app.pin'), isPinned, () => {
+            store.set('pinned', { ...pinned, [id]: isPinned ? pins.filter(p => p !== name) : [...pins, name] });
+            enhanceAgain();
+          }));
+        }
+        const rows = pins.map(name => [...lifts.querySelectorAll('.detail-row[data-name]')].find(r => r.dataset.name === name)).filter(Boolean);
+        if (rows.length) {
+          const box = document.createElement('div');
+          box.className = 'pinned';
+          box.innerHTML = `<div class="trend-title">📌 ${t('app.pinned')}</div>`;
+          for (const row of rows) {
+            const copy = row.cloneNode(true);
+            copy.querySelector('.pin').addEventListener('click', () => row.querySelector('.pin').click());
+            box.appendChild(copy);
+          }
+          card.querySelector('.card-header').after(box);
+        }
+      }
+
+      for (const key of ['lifts', 'pistes']) {
+        const list = card.querySelector(`details[data-key="${key}"] .detail-list`);
+        if (!list) continue;
+        const bar = document.createElement('div');
+        bar.className = 'filters';
+        for (const f of FILTERS) {
+          bar.appendChild(button(`filter${(filters[key] || 'all') === f ? ' on' : ''}`, t(`filter.${f}`), (filters[key] || 'all') === f, () => {
+            store.set('filters', { ...store.get('filters', {}), [key]: f });
+            enhanceAgain();
+          })).textContent = t(`filter.${f}`);
+        }
+        list.dataset.filter = filters[key] || 'all';
+        list.prepend(bar);
+      }
+
+      // Map: tap (or Enter on) a marker to show its details under the map
+      const info = card.querySelector('.map-info');
+      for (const mk of card.querySelectorAll('.mk')) {
+        const show = () => {
+          for (const other of card.querySelectorAll('.mk.on')) other.classList.remove('on');
+          mk.classList.add('on');
+          info.textContent = mk.querySelector('title').textContent;
+        };
+        mk.addEventListener('click', show);
+        mk.addEventListener('keydown', e => {
+          if (e.key === 'Enter') show();
+        });
+      }
+
+      // Sector/valley filter for the map and the lift and piste lists (its buttons come with the card)
+      const sectorButtons = [...card.querySelectorAll('.sectors button')];
+      if (sectorButtons.length) {
+        const current = sectorButtons.some(b => b.dataset.sectorFilter === sectors[id]) ? sectors[id] : 'all';
+        for (const b of sectorButtons) {
+          const on = b.dataset.sectorFilter === current;
+          b.classList.toggle('on', on);
+          b.setAttribute('aria-pressed', on);
+          // Property, not listener: enhance() runs again on the same markup
+          b.onclick = () => {
+            store.set('sectors', { ...store.get('sectors', {}), [id]: b.dataset.sectorFilter });
+            enhanceAgain();
+          };
+        }
+        for (const el of card.querySelectorAll('details .detail-row[data-name], .mk')) {
+          el.classList.toggle('off', current !== 'all' && el.dataset.sector !== current);
+        }
+      }
+
+      for (const details of card.querySelectorAll('details[data-key]')) details.open = open.has(`${id}:${details.dataset.key}`);
+    }
+
+    // Favourites first, otherwise in data.json order
+    const order = id => (favourites.includes(id) ? 0 : 1);
+    cards.slice().sort((a, b) => order(a.dataset.resort) - order(b.dataset.resort)).forEach(card => main.appendChild(card));
+  }
+
+  // Redo the enhancements after a setting changed (from the current data, or the server's markup)
+  function enhanceAgain() {
+    if (data) return renderCards();
+    for (const el of main.querySelectorAll('.fav, .pin, .pinned, .filters')) el.remove();
+    enhance();
+  }
+
+  // <details> toggles don't bubble
+  document.addEventListener('toggle', e => {
+    const details = e.target;
+    const card = details.closest && details.closest('.card[data-resort]');
+    if (!card || !details.dataset.key) return;
+    const key = `${card.dataset.resort}:${details.dataset.key}`;
+    const open = new Set(store.get('open', []));
+    if (details.open) open.add(key);
+    else open.delete(key);
+    store.set('open', [...open]);
+  }, true);
+
+  window.addEventListener('online', refresh);
+  window.addEventListener('offline', () => {
+    offline = true;
+    showAge();
+  });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') refresh();
+  });
+  setInterval(showAge, 60000);
+  setInterval(renderCards, 5 * 60000);
+
+  if ('serviceWorker' in navigator) navigator.serviceWorker.register(`${root}sw.js`, { scope: root || './' }).catch(() => {});
+
+  enhance();
+  showAge();
+  refresh().then(schedulePoll);
+  listen();
+})();
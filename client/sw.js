@@ -0,0 +1,44 @@
+// Snow Monitor - Service worker
+// Network first, so the page is never older than it has to be; when the network
+// is gone the last copy of each file is served from the cache, marked with an
+// X-Snow-Offline header so the app can say it's showing offline data.
+const CACHE = 'snow-monitor-v1';
+const SHELL = ['./', 'index.html', 'app.js', 'data.json', 'manifest.webmanifest', 'icon.svg'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function offline(request) {
+  const cached = await caches.match(request, { ignoreSearch: true })
+    || (request.mode === 'navigate' ? await caches.match('./') : undefined);
+  if (!cached) return Response.error();
+  const headers = new Headers(cached.headers);
+  headers.set('X-Snow-Offline', '1');
+  return new Response(await cached.blob(), { status: cached.status, statusText: cached.statusText, headers });
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  if (request.headers.get('Accept') === 'text/event-stream') return; // live updates (serve), never cached
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() => offline(request))
+  );
+});
@@ -4,312 +4,168 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
+const history = require('./lib/history');
+const providers = require('./lib/providers');
+const changes = require('./lib/changes');
+const notify = require('./lib/notify');
+const config = require('./lib/config');
+const httpClient = require('./lib/http');
+const health = require('./lib/health');
+const ranking = require('./lib/ranking');
+const i18n = require('./lib/i18n');
+const time = require('./lib/time');
+const windhold = require('./lib/windhold');
+const scheduleLib = require('./lib/schedule');
+const render = require('./lib/render');
+const { bundle } = require('./lib/bundle');
+const { createScheduler } = require('./lib/scheduler');
+const { createServer } = require('./lib/server');
+const api = require('./lib/api');
+const feeds = require('./lib/feeds');
+const { parseArgs } = require('util');
 
-const resorts = JSON.parse(fs.readFileSync(path.join(__dirname, 'resorts.json'), 'utf8'));
+const { createView, pageTimeZone, scheduleAliases, escapeHtml } = render;
 
-function fetch(url) {
-  const mod = url.startsWith('https') ? https : http;
-  return new Promise((resolve, reject) => {
-    mod.get(url, { headers: { 'User-Agent': 'Mozilla/5.0 (compatible; SnowMonitor/1.0)' } }, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return fetch(res.headers.location).then(resolve, reject);
-      }
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode >= 400) reject(new Error(`HTTP ${res.statusCode}`));
-        else resolve(data);
+// Inline SVG trend chart over the season's daily records.
+// series: [{ key: d => value, color, type: 'line' | 'bar' | 'step' }]
+function trendChart(days, series, { max, height = 56, unit = '', maxLabel = v => `max ${v}` } = {}) {
+  const W = 300, H = height, pad = 2;
+  if (days.length === 0) return '';
+  const values = series.map(s => days.map(d => {
+    const v = s.key(d);
+    return v === null || v === undefined || Number.isNaN(v) ? null : v;
+  }));
+  const top = max || Math.max(1, ...values.flat().filter(v => v !== null));
+  const step = days.length > 1 ? (W - pad * 2) / (days.length - 1) : 0;
+  const x = i => pad + (days.length > 1 ? i * step : (W - pad * 2) / 2);
+  const y = v => H - pad - (Math.min(v, top) / top) * (H - pad * 2);
+
+  let body = '';
+  series.forEach((s, si) => {
+    const vals = values[si];
+    if (s.type === 'bar') {
+      const bw = Math.max(1, Math.min(8, step * 0.7 || 8));
+      vals.forEach((v, i) => {
+        if (!v) return;
+        body += `<rect x="${(x(i) - bw / 2).toFixed(1)}" y="${y(v).toFixed(1)}" width="${bw.toFixed(1)}" height="${(H - pad - y(v)).toFixed(1)}" fill="${typeof s.color === 'function' ? s.color(v) : s.color}"/>`;
       });
-    }).on('error', reject);
+    } else {
+      let d = '', pen = false;
+      vals.forEach((v, i) => {
+        if (v === null) { pen = false; return; }
+        if (s.type === 'step' && pen) d += `H${x(i).toFixed(1)}`;
+        d += `${pen ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`;
+        pen = true;
+      });
+      if (d) body += `<path d="${d}" fill="none" stroke="${s.color}" stroke-width="1.5" stroke-linejoin="round"/>`;
+    }
   });
-}
 
-async function fetchOpenMeteo(resort) {
-  const results = {};
-  for (const [station, elev] of Object.entries(resort.elevations)) {
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${resort.lat}&longitude=${resort.lon}&elevation=${elev}&current=temperature_2m,apparent_temperature,snowfall,snow_depth,weather_code,wind_speed_10m,wind_gusts_10m&daily=snowfall_sum&timezone=Europe/Rome&past_days=3&forecast_days=7`;
-    try {
-      const raw = await fetch(url);
-      results[station] = JSON.parse(raw);
-    } catch (e) {
-      console.error(`  Failed ${station}: ${e.message}`);
-      results[station] = null;
-    }
-  }
-  return results;
+  return `<svg class="trend" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" role="img">` +
+    `<line x1="0" y1="${H - pad}" x2="${W}" y2="${H - pad}" stroke="#1e2d3d"/>${body}</svg>` +
+    `<div class="trend-axis"><span>${days[0].d.slice(5)}</span><span>${maxLabel(`${Math.round(top)}${unit}`)}</span><span>${days[days.length - 1].d.slice(5)}</span></div>`;
 }
 
-async function fetchLiftPisteData(resort) {
-  const result = { liftsOpen: null, liftsTotal: null, runsOpen: null, runsTotal: null, kmOpen: null, baseDepth: null, summitDepth: null, condition: null };
-  try {
-    const html = await fetch(resort.onTheSnowUrl);
-    // Parse key stats from the text
-    const text = html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
-
-    let m;
-    m = text.match(/Lifts\s*Open\s*(\d+)\s*\/\s*(\d+)/i);
-    if (m) { result.liftsOpen = parseInt(m[1]); result.liftsTotal = parseInt(m[2]); }
-
-    m = text.match(/Runs\s*Open\s*(\d+)\s*\/\s*(\d+)/i);
-    if (m) { result.runsOpen = parseInt(m[1]); result.runsTotal = parseInt(m[2]); }
+function seasonSection(hist, timestamp, tz, view) {
+  if (!hist || hist.daily.length === 0) return '';
+  const { t, u } = view;
+  const maxLabel = v => t('season.max', { v });
+  const depth = f => d => u.value('depth', f(d));
+  const days = hist.daily;
+  const pct = (open, total) => d => (d[total] ? Math.round(100 * d[open] / d[total]) : null);
+  const avyColor = { 1: '#4CAF50', 2: '#FFEB3B', 3: '#FF9800', 4: '#F44336', 5: '#000' };
+  const legend = items => `<div class="trend-legend">${items.map(([c, l]) => `<span><i style="background:${c}"></i>${l}</span>`).join('')}</div>`;
 
-    m = text.match(/(\d+)\s*km\s*open/i);
-    if (m) result.kmOpen = parseInt(m[1]);
+  const charts = `
+          <div class="trend-title">${t('season.depth')}</div>
+          ${trendChart(days, [
+            { key: depth(d => (d.summitDepth !== undefined ? d.summitDepth : d.depthTop)), color: '#81d4fa' },
+            { key: depth(d => (d.baseDepth !== undefined ? d.baseDepth : d.depthBottom)), color: '#4a8ab0' }
+          ], { unit: u.unit('depth'), maxLabel })}
+          ${legend([['#81d4fa', t('season.summit')], ['#4a8ab0', t('season.base')]])}
+          <div class="trend-title">${t('season.snowfall')}</div>
+          ${trendChart(days, [{ key: d => u.value('snowfall', d.snowfall), color: '#b3e5fc', type: 'bar' }], { unit: u.unit('snowfall'), maxLabel })}
+          <div class="trend-title">${t('season.open')}</div>
+          ${trendChart(days, [
+            { key: pct('liftsOpen', 'liftsTotal'), color: '#4ecdc4' },
+            { key: pct('pistesOpen', 'pistesTotal'), color: '#7eb8da' }
+          ], { max: 100, unit: '%', maxLabel })}
+          ${legend([['#4ecdc4', t('season.lifts')], ['#7eb8da', t('season.pistes')]])}
+          <div class="trend-title">${t('season.avalanche')}</div>
+          ${trendChart(days, [{ key: d => d.avalanche, color: v => avyColor[v] || '#5a7a8a', type: 'bar' }], { max: 5, height: 32, maxLabel })}`;
 
-    // Snow depths
-    m = text.match(/Base\s*(\d+)\s*cm/i);
-    if (m) result.baseDepth = parseInt(m[1]);
-    m = text.match(/Summit\s*(\d+)\s*cm/i);
-    if (m) result.summitDepth = parseInt(m[1]);
+  // This week vs last week
+  const { thisWeek, lastWeek } = history.weekComparison(days, time.localDate(timestamp, tz));
+  const fmt = (v, unit, digits = 0) => (v === null ? '–' : `${view.number(v, digits)}${unit}`);
+  const weekRows = [
+    [t('season.snowfall'), w => u.fmt('snowfall', w.snowfall)],
+    [t('season.liftsOpen'), w => fmt(w.liftsPct, '%')],
+    [t('season.pistesOpen'), w => fmt(w.pistesPct, '%')],
+    [t('season.summitDepth'), w => u.fmt('depth', w.depth)],
+    [t('season.avy'), w => fmt(w.avalanche, '', 1)]
+  ].map(([label, f]) => `<tr><td>${label}</td><td>${f(thisWeek)}</td><td>${lastWeek.days ? f(lastWeek) : '–'}</td></tr>`).join('');
+  const weekTable = `
+          <table class="week-cmp"><tr><th></th><th>${t('season.thisWeek')}</th><th>${t('season.lastWeek')}</th></tr>${weekRows}</table>`;
 
-    // Condition — look near Base/Summit context
-    m = text.match(/(?:Base|Summit)\s*\d+\s*cm\s*(Machine Groomed|Powder|Packed Powder|Spring Conditions|Hard Pack|Icy|Variable|Frozen Granular)/i);
-    if (m) result.condition = m[1];
+  // When each lift first opened this season
+  const openings = Object.entries(history.liftOpenings(days)).sort((a, b) => (a[1].date + a[1].time).localeCompare(b[1].date + b[1].time));
+  const openingRows = openings.map(([name, o]) =>
+    `<div class="detail-row"><span class="detail-name">${escapeHtml(name)}</span><span class="detail-time">${o.date.slice(5)} ${o.time}</span></div>`
+  ).join('');
 
-  } catch (e) {
-    console.error(`  Lift data failed: ${e.message}`);
-  }
-  return result;
+  return `
+        <details class="detail-section" data-key="season">
+          <summary>📈 ${t('season.title', { season: hist.season })} <span class="detail-count">${t('season.days', { n: days.length })}</span></summary>
+          <div class="detail-list">${charts}${weekTable}
+            ${openingRows ? `<div class="trend-title">${t('season.firstOpened')}</div>${openingRows}` : ''}
+          </div>
+        </details>`;
 }
 
-async function fetchLiftSchedule(resort) {
-  if (!resort.liftScheduleUrl) return { hours: {}, generalOpen: null, generalClose: null };
-  try {
-    const html = await fetch(resort.liftScheduleUrl);
-    // Structure: <p>..LiftName (N)..</p> followed by <ul><li>HH.MM – HH.MM ..</li>..</ul>
-    const blockRe = /<p[^>]*>(.*?)<\/p>\s*<ul[^>]*>(.*?)<\/ul>/gis;
-    const liftTypeRe = /^(?:Gondola|Chairlift|Funicular|Funifor|Cableway|Tapis(?:\s+Roulant?)?)\s+/i;
-    const timeRe = /(\d+)[.:](\d+)\s*[–\-]\s*(\d+)[.:](\d+)/;
-    const hours = {};
-    let earliest = null, latest = null;
-    let m;
-    while ((m = blockRe.exec(html)) !== null) {
-      const pText = m[1].replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-      const ulText = m[2].replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-      if (!liftTypeRe.test(pText)) continue;
-      const timeMatch = ulText.match(timeRe);
-      if (!timeMatch) continue;
-      const name = pText.replace(liftTypeRe, '').replace(/\s*\([\d,\-\s]+\).*/, '').trim().toUpperCase();
-      const oH = parseInt(timeMatch[1]), oM = parseInt(timeMatch[2]);
-      const cH = parseInt(timeMatch[3]), cM = parseInt(timeMatch[4]);
-      hours[name] = { open: `${oH}:${oM.toString().padStart(2,'0')}`, close: `${cH}:${cM.toString().padStart(2,'0')}` };
-      const oMins = oH * 60 + oM, cMins = cH * 60 + cM;
-      if (earliest === null || oMins < earliest) earliest = oMins;
-      if (latest === null || cMins > latest) latest = cMins;
-    }
-    const toTime = mins => `${Math.floor(mins/60)}:${(mins%60).toString().padStart(2,'0')}`;
-    return { hours, generalOpen: earliest !== null ? toTime(earliest) : null, generalClose: latest !== null ? toTime(latest) : null };
-  } catch (e) {
-    console.error(`  Schedule failed: ${e.message}`);
-    return { hours: {}, generalOpen: null, generalClose: null };
-  }
-}
+// Language/unit switch linking to the same page in the other published variants
+const currentVariant = view => (view.variants || []).find(v => v.lang === view.lang && v.units === view.units) || (view.variants || [])[0];
 
-function matchLiftHours(liftName, hours) {
-  const name = liftName.toUpperCase().replace(/\s+/g, ' ');
-  if (hours[name]) return hours[name];
-  // Try key-contains or name-contains
-  for (const [key, val] of Object.entries(hours)) {
-    if (name === key || name.includes(key) || key.includes(name)) return val;
-  }
-  // Word overlap (≥2 meaningful words)
-  const nameWords = name.split(/[\s\-]+/).filter(w => w.length > 2);
-  let best = null, bestScore = 0;
-  for (const [key, val] of Object.entries(hours)) {
-    const keyWords = key.split(/[\s\-]+/).filter(w => w.length > 2);
-    const overlap = nameWords.filter(w => keyWords.includes(w)).length;
-    if (overlap > bestScore) { bestScore = overlap; best = val; }
-  }
-  return bestScore >= 2 ? best : null;
+// Relative path from a variant's pages back to the output root
+function rootPath(view) {
+  const current = currentVariant(view);
+  return current && current.dir ? '../' : '';
 }
 
-async function fetchSkiramaData(resort) {
-  if (!resort.skiramaUrl) return { lifts: [], pistes: [] };
-  try {
-    const html = await fetch(resort.skiramaUrl);
-    const pattern = /data-x='[^']*'\s+data-y='[^']*'\s+data-status='([^']+)'\s+data-type='([^']+)'\s+title='([^']+)'/g;
-    const lifts = [], pistes = [];
-    let m;
-    while ((m = pattern.exec(html)) !== null) {
-      const [, status, type, name] = m;
-      const entry = { name, status }; // status: open | closed | evaluating
-      if (type === 'lift') lifts.push(entry);
-      else if (type === 'slope') pistes.push(entry);
-    }
-    return { lifts, pistes };
-  } catch (e) {
-    console.error(`  Skirama data failed: ${e.message}`);
-    return { lifts: [], pistes: [] };
-  }
+function variantNav(view, page) {
+  const variants = view.variants || [];
+  if (variants.length < 2) return '';
+  const current = currentVariant(view);
+  const href = v => `${current.dir ? '../' : ''}${v.dir ? `${v.dir}/` : ''}${page}`;
+  const link = (v, label) => (v === current ? `<strong>${label}</strong>` : `<a href="${href(v)}">${label}</a>`);
+  const langs = [...new Set(variants.map(v => v.lang))].map(lang =>
+    link(variants.find(v => v.lang === lang && v.units === current.units) || variants.find(v => v.lang === lang), lang.toUpperCase()));
+  const units = [...new Set(variants.map(v => v.units))].map(units =>
+    link(variants.find(v => v.units === units && v.lang === current.lang) || variants.find(v => v.units === units), units === 'imperial' ? '°F' : '°C'));
+  return `<nav class="switch" aria-label="${view.t('nav.language')}">${langs.join(' ')}${units.length > 1 ? ` · ${units.join(' ')}` : ''}</nav>`;
 }
 
-function weatherDesc(code) {
-  const map = {
-    0: ['Clear', '☀️'], 1: ['Mostly clear', '🌤️'], 2: ['Partly cloudy', '⛅'],
-    3: ['Overcast', '☁️'], 45: ['Fog', '🌫️'], 48: ['Rime fog', '🌫️'],
-    51: ['Light drizzle', '🌧️'], 53: ['Drizzle', '🌧️'], 55: ['Heavy drizzle', '🌧️'],
-    56: ['Freezing drizzle', '🧊'], 57: ['Heavy freezing drizzle', '🧊'],
-    61: ['Light rain', '🌧️'], 63: ['Rain', '🌧️'], 65: ['Heavy rain', '🌧️'],
-    66: ['Freezing rain', '🧊'], 67: ['Heavy freezing rain', '🧊'],
-    71: ['Light snow', '🌨️'], 73: ['Snow', '🌨️'], 75: ['Heavy snow', '❄️'],
-    77: ['Snow grains', '❄️'], 80: ['Light showers', '🌦️'], 81: ['Showers', '🌦️'],
-    82: ['Heavy showers', '🌦️'], 85: ['Snow showers', '🌨️'],
-    86: ['Heavy snow showers', '❄️'], 95: ['Thunderstorm', '⛈️'],
-    96: ['T-storm + hail', '⛈️'], 99: ['T-storm + hail', '⛈️']
-  };
-  return map[code] || ['Unknown', '❓'];
-}
-
-function generateHTML(allData, timestamp) {
-  const now = new Date(timestamp);
-  const timeStr = now.toLocaleString('en-GB', { timeZone: 'Europe/Rome', dateStyle: 'medium', timeStyle: 'short' });
-
-  let resortCards = '';
-
-  for (const { resort, weather, lifts, skirama, avalanche, schedule } of allData) {
-    // Station rows - compact
-    let stationRows = '';
-    for (const station of ['top', 'mid', 'bottom']) {
-      const d = weather[station];
-      if (!d || !d.current) continue;
-      const c = d.current;
-      const [desc, emoji] = weatherDesc(c.weather_code);
-      const snowCm = c.snow_depth ? Math.round(c.snow_depth * 100) : 0;
-      const label = station === 'top' ? '⛰️ Top' : station === 'mid' ? '🏔️ Mid' : '🏠 Base';
-      stationRows += `
-        <div class="station">
-          <div class="st-label">${label}<span class="elev">${resort.elevations[station]}m</span></div>
-          <div class="st-temp">${c.temperature_2m}°</div>
-          <div class="st-weather">${emoji}</div>
-          <div class="st-snow">${snowCm}cm</div>
-          <div class="st-wind">${c.wind_speed_10m}<span class="unit">km/h</span></div>
-        </div>`;
-    }
+function generateHTML(allData, timestamp, histories = {}, sources = null, view = createView()) {
+  const { t } = view;
+  const timeStr = view.time(timestamp, pageTimeZone(allData, view));
+  const root = rootPath(view);
 
-    // Lift/piste status — removed; info shown in foldable detail sections below
-
-    // Expandable lift and piste details
-    let detailSections = '';
-    if (skirama && (skirama.lifts.length > 0 || skirama.pistes.length > 0)) {
-      const statusBadge = (s) =>
-        s === 'open' ? '<span class="badge open">●</span>' :
-        s === 'evaluating' ? '<span class="badge eval">●</span>' :
-        '<span class="badge closed">●</span>';
-
-      const liftRows = skirama.lifts.map(l => {
-        const h = schedule ? matchLiftHours(l.name, schedule.hours) : null;
-        const timeStr = h ? `<span class="detail-time">${h.open}–${h.close}</span>` : '';
-        return `<div class="detail-row">${statusBadge(l.status)}<span class="detail-name">${l.name}</span>${timeStr}</div>`;
-      }).join('');
-
-      const pisteRows = skirama.pistes.map(p =>
-        `<div class="detail-row">${statusBadge(p.status)}<span class="detail-name">${p.name}</span></div>`
-      ).join('');
-
-      const openLifts = skirama.lifts.filter(l => l.status === 'open').length;
-      const openPistes = skirama.pistes.filter(p => p.status === 'open').length;
-
-      detailSections = `
-        <details class="detail-section">
-          <summary>🚡 Lifts <span class="detail-count">${openLifts}/${skirama.lifts.length} open</span></summary>
-          <div class="detail-list">${liftRows}</div>
-        </details>
-        <details class="detail-section">
-          <summary>⛷️ Pistes <span class="detail-count">${openPistes}/${skirama.pistes.length} open</span></summary>
-          <div class="detail-list">${pisteRows}</div>
-        </details>`;
-    }
-
-    // Snow depths from OnTheSnow (more accurate than Open-Meteo for resort-reported)
-    let snowInfo = '';
-    if (lifts.baseDepth !== null || lifts.summitDepth !== null) {
-      snowInfo = `
-        <div class="snow-report">
-          ${lifts.summitDepth !== null ? `<div class="snow-stat"><span class="snow-val">${lifts.summitDepth}cm</span><span class="snow-lbl">Summit</span></div>` : ''}
-          ${lifts.baseDepth !== null ? `<div class="snow-stat"><span class="snow-val">${lifts.baseDepth}cm</span><span class="snow-lbl">Base</span></div>` : ''}
-          ${lifts.condition ? `<div class="snow-stat"><span class="snow-val cond">${lifts.condition}</span><span class="snow-lbl">Condition</span></div>` : ''}
-        </div>`;
-    }
-
-    // Fresh snow (last 3 days) & forecast (next 3 & 7 days) — use top elevation
-    let snowForecastInfo = '';
-    const topW = weather['top'];
-    if (topW && topW.daily && topW.daily.snowfall_sum && topW.daily.time) {
-      const times = topW.daily.time;
-      const snows = topW.daily.snowfall_sum;
-      const today = new Date().toISOString().slice(0, 10);
-      const todayIdx = times.indexOf(today);
-      // Past 3 days: indices before today
-      let fresh3 = 0;
-      for (let i = 0; i < times.length; i++) {
-        if (times[i] < today) fresh3 += (snows[i] || 0);
-      }
-      // Next 3 days & 7 days (including today)
-      let next3 = 0, next7 = 0;
-      let futureCount = 0;
-      for (let i = 0; i < times.length; i++) {
-        if (times[i] >= today) {
-          next7 += (snows[i] || 0);
-          if (futureCount < 3) next3 += (snows[i] || 0);
-          futureCount++;
-        }
-      }
-      snowForecastInfo = '<div class="snow-forecast">' +
-          '<div class="sf-item"><span class="sf-val">' + fresh3.toFixed(1) + 'cm</span><span class="sf-lbl">Fresh (3d)</span></div>' +
-          '<div class="sf-item"><span class="sf-val">' + next3.toFixed(1) + 'cm</span><span class="sf-lbl">Next 3d</span></div>' +
-          '<div class="sf-item"><span class="sf-val">' + next7.toFixed(1) + 'cm</span><span class="sf-lbl">Next 7d</span></div>' +
-        '</div>';
-    }
-
-    // Avalanche risk
-    let avalancheInfo = '';
-    if (avalanche) {
-      avalancheInfo = `
-        <div class="avy-bar" style="border-left:3px solid ${avalanche.color}">
-          <span class="avy-emoji">${avalanche.emoji}</span>
-          <span class="avy-level">Avalanche Risk: <strong>${avalanche.label}</strong> (${avalanche.level}/5)</span>
-          <a href="${avalanche.url}" class="avy-link" target="_blank">↗</a>
-        </div>`;
-    }
-
-    // Resort operating hours
-    let hoursBar = '';
-    if (schedule && schedule.generalOpen && schedule.generalClose) {
-      hoursBar = `
-        <div class="hours-bar">
-          <span class="hours-icon">🕐</span>
-          <span class="hours-text">Lifts open <strong>${schedule.generalOpen}</strong> – <strong>${schedule.generalClose}</strong></span>
-        </div>`;
-    }
-
-    resortCards += `
-      <div class="card">
-        <div class="card-header">
-          <h2>${resort.name}</h2>
-          <span class="area">${resort.area}</span>
-        </div>
-        ${avalancheInfo}
-        ${hoursBar}
-        ${snowForecastInfo}
-        ${detailSections}
-        ${snowInfo}
-        <div class="stations">${stationRows}</div>
-        <div class="stations-legend">
-          <span></span><span>Temp</span><span></span><span>Snow</span><span>Wind</span>
-        </div>
-      </div>`;
-  }
+  const resortCards = allData.map(entry =>
+    render.resortCard(entry, timestamp, view, seasonSection(histories[entry.resort.id], timestamp, time.timeZoneOf(entry.resort), view))
+  ).join('');
 
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${view.lang}">
 <head>
 <meta charset="UTF-8">
 <meta name="viewport" content="width=device-width, initial-scale=1.0, viewport-fit=cover">
 <meta name="apple-mobile-web-app-capable" content="yes">
 <meta name="theme-color" content="#0d1520">
-<title>Snow Monitor</title>
+<title>${t('app.title')}</title>
+<link rel="manifest" href="${root}manifest.webmanifest">
+<link rel="icon" href="${root}icon.svg" type="image/svg+xml">
+<link rel="alternate" type="application/atom+xml" title="${t('app.title')}" href="${root}${api.DIR}/changes.atom">
+<link rel="apple-touch-icon" href="${root}icon.svg">
+<script src="${root}app.js" defer></script>
 <style>
 *{box-sizing:border-box;margin:0;padding:0}
 body{font-family:-apple-system,BlinkMacSystemFont,'SF Pro',system-ui,sans-serif;background:#0d1520;color:#d8e3f0;-webkit-font-smoothing:antialiased;padding:env(safe-area-inset-top) 12px 20px}
@@ -318,6 +174,12 @@ header{text-align:center;padding:16px 0 12px}
 header h1{font-size:1.3em;color:#7ec8f0;letter-spacing:-.5px}
 header h1::before{content:'🏔️ '}
 .updated{color:#5a6a7a;font-size:.72em;margin-top:2px}
+.updated a{color:#3a6a8a}
+.age.old{color:#f0a040}
+.age.offline{color:#e05a5a}
+.switch{font-size:.68em;color:#3a4a5a;margin-top:4px;letter-spacing:.5px}
+.switch a{color:#3a6a8a;text-decoration:none}
+.switch strong{color:#7ec8f0;font-weight:600}
 
 .card{background:#151f2e;border-radius:14px;padding:16px;margin-bottom:14px;border:1px solid #1e2d3d}
 .card-header{display:flex;align-items:baseline;gap:8px;margin-bottom:12px}
@@ -332,6 +194,15 @@ header h1::before{content:'🏔️ '}
 .lift-bar{height:4px;background:#1a2a3a;border-radius:2px;margin-top:4px;overflow:hidden}
 .lift-fill{height:100%;background:#4ecdc4;border-radius:2px;transition:width .3s}
 .piste-fill{background:#7eb8da}
+.rec-flag{font-size:.55em;vertical-align:super;cursor:help}
+.rec-row{padding:6px 0;border-bottom:1px solid rgba(255,255,255,.04);font-size:.85em}
+.rec-row:last-child{border:none}
+.rec-row.flagged .rec-field{color:#f0a040}
+.rec-field{display:block;color:#9ab0c0}
+.rec-values{display:flex;flex-wrap:wrap;gap:4px 14px;font-variant-numeric:tabular-nums;color:#5a7a8a}
+.rec-values strong{color:#e8f0f8;font-weight:600}
+.rec-values small{font-size:.75em;color:#5a7a8a;font-weight:400}
+.rec-why{display:block;font-size:.8em;color:#3a6a8a}
 
 .snow-forecast{display:flex;gap:8px;margin-bottom:14px;padding:10px 12px;background:#0d1a28;border-radius:10px}
 .sf-item{flex:1;text-align:center}
@@ -353,26 +224,61 @@ header h1::before{content:'🏔️ '}
 .st-weather{text-align:center;font-size:1.1em}
 .st-snow{font-size:.9em;font-weight:700;color:#81d4fa;text-align:right}
 .st-wind{font-size:.8em;text-align:right;color:#8899aa}
+.feels,.gust{display:block;font-size:.62em;font-weight:400;color:#5a7a8a;white-space:nowrap}
 .unit{font-size:.7em;color:#5a7a8a}
 
 .stations-legend{display:grid;grid-template-columns:1fr 50px 28px 44px 50px;padding:4px 0 0;font-size:.55em;color:#3a4a5a;text-transform:uppercase;letter-spacing:.5px}
 .stations-legend span:nth-child(2),.stations-legend span:nth-child(4),.stations-legend span:nth-child(5){text-align:right}
 
-.avy-bar{display:flex;align-items:center;gap:8px;padding:8px 12px;background:#0d1a28;border-radius:8px;margin-bottom:8px;font-size:.82em}
+.week-strip{display:flex;gap:2px;margin-bottom:12px;padding:8px 4px;background:#0d1a28;border-radius:10px}
+.ws-day{flex:1;display:flex;flex-direction:column;align-items:center;gap:2px;font-size:.62em;color:#8899aa;min-width:0}
+.ws-name{text-transform:uppercase;letter-spacing:.5px;color:#5a7a8a}
+.ws-emoji{font-size:1.5em}
+.ws-snow{color:#b3e5fc;font-weight:700}
+.ws-rain{color:#7eb8da}
+.ws-dry{color:#3a4a5a}
+.ws-temp{color:#c8d8e8}
+.ws-line,.ws-sun{white-space:nowrap}
+
+.hourly{width:100%;border-collapse:collapse;font-size:.72em;font-variant-numeric:tabular-nums}
+.hourly th{font-weight:400;color:#5a7a8a;font-size:.85em;text-align:right;padding:2px}
+.hourly td{padding:4px 2px;text-align:right;border-bottom:1px solid rgba(255,255,255,.04);color:#c8d8e8;vertical-align:top}
+.hourly td:first-child{text-align:left;color:#8ab8d0}
+.hourly td:nth-child(2){text-align:center}
+.hr-sub{display:block;font-size:.85em;color:#5a7a8a}
+
+.avy-bar{padding:8px 12px;background:#0d1a28;border-radius:8px;margin-bottom:8px;font-size:.82em}
+.avy-head{display:flex;align-items:center;gap:8px}
 .avy-emoji{font-size:1.1em}
 .avy-level{flex:1}
 .avy-level strong{color:#e8f0f8}
+.avy-tendency{font-size:.8em;color:#8ab8d0;white-space:nowrap}
 .avy-link{color:#4a6a8a;font-size:.9em;text-decoration:none}
+.avy-bands{display:flex;flex-direction:column;gap:2px;margin-top:6px;font-size:.9em;color:#8ab8d0}
+.avy-band strong{color:#c8d8e8}
+.avy-problems{margin-top:6px}
+.avy-problem{display:flex;justify-content:space-between;gap:8px;padding:3px 0;font-size:.9em;color:#c8d8e8;border-top:1px solid rgba(255,255,255,.04)}
+.avy-where{color:#5a8aaa;text-align:right;font-size:.9em}
+.avy-valid{margin-top:6px;font-size:.75em;color:#5a6a7a}
+.avy-bar.expired .avy-level,.avy-bar.expired .avy-bands,.avy-bar.expired .avy-problems{opacity:.45}
+.avy-bar.expired .avy-valid{color:#f0a040}
 
 .hours-bar{display:flex;align-items:center;gap:8px;padding:7px 12px;background:#0d1a28;border-radius:8px;margin-bottom:12px;font-size:.82em;border-left:3px solid #2a6a8a}
 .hours-icon{font-size:1em}
 .hours-text{color:#8ab8d0}
 .hours-text strong{color:#b3e5fc}
+.hours-note{display:block;font-size:.85em;color:#5a8aaa}
+.hours-note.open,.sched-note.open{color:#4ecdc4}
 
-.detail-time{margin-left:auto;font-size:.8em;color:#5a8aaa;white-space:nowrap;font-variant-numeric:tabular-nums}
+.detail-time{margin-left:auto;font-size:.8em;color:#5a8aaa;white-space:nowrap;font-variant-numeric:tabular-nums;text-align:right}
+.sched-note{display:block;font-size:.85em;color:#3a6a8a}
 
 footer{text-align:center;color:#2a3a4a;font-size:.6em;padding:8px 0}
 footer a{color:#3a6a8a}
+footer a.sources-bad{color:#f0a040}
+
+.stale{display:inline-block;font-size:.72em;font-weight:400;color:#f0a040;background:rgba(240,160,64,.12);border-radius:4px;padding:1px 5px;margin:0 6px;white-space:nowrap}
+.section-stale{font-size:.7em;color:#5a7a8a;margin:0 0 4px;text-transform:uppercase;letter-spacing:.5px}
 
 .detail-section{margin-bottom:8px;border-radius:8px;background:#0d1a28;overflow:hidden}
 .detail-section summary{display:flex;align-items:center;justify-content:space-between;padding:11px 12px;font-size:.95em;font-weight:600;cursor:pointer;list-style:none;user-select:none;color:#c8d8e8}
@@ -383,88 +289,780 @@ footer a{color:#3a6a8a}
 .detail-list{padding:4px 12px 10px}
 .detail-row{display:flex;align-items:center;gap:8px;padding:6px 0;border-bottom:1px solid rgba(255,255,255,.04);font-size:.9em}
 .detail-row:last-child{border:none}
+.wind-hold{display:inline-flex;align-items:center;gap:3px;margin-left:6px;font-size:.85em;cursor:help}
+.wh-strip{display:inline-flex;gap:1px}
+.wh-strip i{width:4px;height:10px;border-radius:1px;background:#1e2d3d}
+.wh-strip i.watch{background:#f0a040}
+.wh-strip i.hold{background:#e05a5a}
+.wh-count{color:#f0a040;cursor:help}
 .badge{font-size:1.2em;flex-shrink:0}
 .badge.open{color:#4ecdc4}
 .badge.closed{color:#e05a5a}
 .badge.eval{color:#f0a040}
 .detail-name{color:#9ab0c0;text-transform:capitalize;font-size:.95em}
+.piste-group{display:flex;align-items:center;gap:6px;padding:8px 0 2px;font-size:.75em;color:#c8d8e8;text-transform:uppercase;letter-spacing:.5px}
+.piste-group .detail-count{margin-left:auto;text-transform:none;letter-spacing:0}
+.dot{display:inline-block;width:9px;height:9px;border-radius:50%;background:#5a7a8a}
+.dot.d-green,.mk.d-green circle{background:#4caf50;stroke:#4caf50}
+.dot.d-blue,.mk.d-blue circle{background:#4a9eff;stroke:#4a9eff}
+.dot.d-red,.mk.d-red circle{background:#e05a5a;stroke:#e05a5a}
+.dot.d-black,.mk.d-black circle{background:#e8eef5;stroke:#e8eef5}
+.area-map{display:block;width:100%;height:auto;max-height:360px;background:#0a1520;border-radius:6px}
+.mk{cursor:pointer;outline:none}
+.mk rect,.mk circle{fill:#e05a5a;stroke:#5a7a8a}
+.mk.open rect,.mk.open circle{fill:#4ecdc4}
+.mk.evaluating rect,.mk.evaluating circle{fill:#f0a040}
+.mk rect{stroke:#0a1520;stroke-width:.5}
+.mk.on rect,.mk.on circle,.mk:focus rect,.mk:focus circle{stroke:#fff}
+.mk.off,.detail-row.off{display:none}
+.map-info{font-size:.75em;color:#5a7a8a;padding:6px 2px 0;min-height:1.6em}
+.sectors{display:flex;flex-wrap:wrap;gap:4px;margin:-4px 0 12px}
+
+.trend{display:block;width:100%;height:auto;background:#0a1520;border-radius:4px}
+.trend-title{font-size:.65em;color:#5a7a8a;text-transform:uppercase;letter-spacing:.5px;margin:10px 0 4px}
+.trend-axis{display:flex;justify-content:space-between;font-size:.55em;color:#3a4a5a;margin-top:2px}
+.trend-legend{display:flex;gap:10px;font-size:.6em;color:#5a7a8a;margin-top:2px}
+.trend-legend i{display:inline-block;width:8px;height:8px;border-radius:2px;margin-right:4px}
+.week-cmp{width:100%;border-collapse:collapse;font-size:.78em;margin-top:12px}
+.week-cmp th{font-weight:400;color:#5a7a8a;font-size:.85em;text-align:right;padding:3px 0}
+.week-cmp td{padding:4px 0;border-bottom:1px solid rgba(255,255,255,.04);text-align:right;color:#b3e5fc;font-variant-numeric:tabular-nums}
+.week-cmp td:first-child{text-align:left;color:#9ab0c0}
+
+.fav,.pin{background:none;border:none;cursor:pointer;font:inherit;line-height:1;padding:0 2px}
+.fav{margin-left:auto;font-size:1.1em;color:#3a4a5a}
+.fav::before{content:'☆'}
+.fav[aria-pressed="true"]{color:#f0c040}
+.fav[aria-pressed="true"]::before{content:'★'}
+.pin{font-size:.8em;opacity:.25;filter:grayscale(1)}
+.pin::before{content:'📌'}
+.pin[aria-pressed="true"]{opacity:1;filter:none}
+.pinned{margin:-4px 0 12px;padding:2px 12px 4px;background:#0d1a28;border-radius:8px}
+.pinned .trend-title{margin-top:6px}
+.filters{display:flex;gap:4px;padding:4px 0 6px}
+.filter{background:#151f2e;border:1px solid #1e2d3d;border-radius:10px;color:#5a7a8a;font:inherit;font-size:.72em;padding:2px 8px;cursor:pointer}
+.filter.on{color:#d8e3f0;border-color:#3a6a8a}
+.detail-list[data-filter="open"] .detail-row:not([data-status="open"]),
+.detail-list[data-filter="evaluating"] .detail-row:not([data-status="evaluating"]),
+.detail-list[data-filter="closed"] .detail-row:not([data-status="closed"]){display:none}
 </style>
 </head>
 <body>
 <div class="wrap">
   <header>
-    <h1>Snow Monitor</h1>
-    <p class="updated">${timeStr} CET</p>
+    <h1>${t('app.title')}</h1>
+    <p class="updated"><span id="updated">${timeStr}</span><span id="age" class="age"></span> · <a href="compare.html">${t('nav.compare')}</a></p>
+    ${variantNav(view, 'index.html')}
   </header>
+  <main id="resorts" data-timestamp="${timestamp}" data-lang="${view.lang}" data-units="${view.units}" data-tz="${view.timeZone || ''}" data-root="${root}">
   ${resortCards}
-  <footer>Data: <a href="https://open-meteo.com">Open-Meteo</a> · <a href="https://www.onthesnow.co.uk">OnTheSnow</a> · Updated every 15 min</footer>
+  </main>
+  <footer>${t('footer.data')}: <a href="https://open-meteo.com">Open-Meteo</a> · <a href="https://www.onthesnow.co.uk">OnTheSnow</a> · ${view.live ? t('footer.live') : t('footer.every')}<span id="sources">${render.sourcesLink(sources, view)}</span></footer>
 </div>
 </body>
 </html>`;
 }
 
-async function fetchAvalancheData() {
-  try {
-    // Fetch EUREGIO bulletin (covers Tyrol-Trentino region, nearest reliable data for western Alps)
-    const raw = await fetch('https://static.avalanche.report/bulletins/latest/EUREGIO_en_CAAMLv6.json');
-    const data = JSON.parse(raw);
-    // Get highest danger level across all bulletins
-    let maxDanger = 'low';
-    let maxLevel = 1;
-    const dangerMap = { low: 1, moderate: 2, considerable: 3, high: 4, very_high: 5 };
-    const labelMap = { 1: 'Low', 2: 'Moderate', 3: 'Considerable', 4: 'High', 5: 'Very High' };
-    const colorMap = { 1: '#4CAF50', 2: '#FFEB3B', 3: '#FF9800', 4: '#F44336', 5: '#000' };
-    const emojiMap = { 1: '🟢', 2: '🟡', 3: '🟠', 4: '🔴', 5: '⚫' };
-
-    for (const b of (data.bulletins || [])) {
-      for (const r of (b.dangerRatings || [])) {
-        const level = dangerMap[r.mainValue] || 1;
-        if (level > maxLevel) { maxLevel = level; maxDanger = r.mainValue; }
-      }
+// "Where to ski": sortable score table for today / tomorrow / weekend plus the reasons
+function generateCompareHTML(allData, timestamp, weights = ranking.DEFAULT_WEIGHTS, view = createView()) {
+  const { t, u } = view;
+  const tz = pageTimeZone(allData, view);
+  const ranked = ranking.rankResorts(allData, timestamp, weights, tz);
+  const fmtDates = dates => dates.map(d => view.date(d, 'weekdayDay')).join(' + ');
+  const byId = period => Object.fromEntries(ranked[period].ranking.map(r => [r.id, r]));
+  const todayR = byId('today'), tomorrowR = byId('tomorrow'), weekendR = byId('weekend');
+
+  const cell = (value, text) => `<td data-v="${value === null || value === undefined ? '' : value}">${text}</td>`;
+  const scoreCell = r => cell(r.score, r.score === null ? '–' : `<span class="score" style="--s:${r.score}">${r.score}</span>`);
+  const rows = ranked.today.ranking.map(({ id }) => {
+    const t = todayR[id], f = t.factors;
+    return `
+      <tr>
+        ${cell(t.name, `<strong>${t.name}</strong><span class="sub">${t.area || ''}</span>`)}
+        ${scoreCell(t)}${scoreCell(tomorrowR[id])}${scoreCell(weekendR[id])}
+        ${cell(f.freshSnow, u.fmt('snowfall', f.freshSnow, 0))}
+        ${cell(weekendR[id].factors.forecastSnow, u.fmt('snowfall', weekendR[id].factors.forecastSnow, 0))}
+        ${cell(f.liftsOpen, f.liftsOpen !== undefined ? `${Math.round(f.liftsOpen * 100)}%` : '–')}
+        ${cell(f.wind, f.wind !== undefined ? `${Math.round(u.value('wind', f.wind))}` : '–')}
+        ${cell(f.avalanche, f.avalanche !== undefined ? `${f.avalanche}/5` : '–')}
+        ${cell(f.liftHours, f.liftHours !== undefined ? `${view.number(f.liftHours, 1)}h` : '–')}
+      </tr>`;
+  }).join('');
+
+  const reasons = Object.entries(ranked).map(([period, { dates, ranking: list }]) => `
+    <section class="why">
+      <h2>${t(`compare.${period}`)} <span class="sub">${fmtDates(dates)}</span></h2>
+      <ol>${list.map(r => `<li><strong>${r.name}</strong> <span class="pts">${r.score === null ? '–' : r.score}</span><p>${ranking.explain(r, list, view)}</p></li>`).join('')}</ol>
+    </section>`).join('');
+
+  const weightText = Object.entries(weights).filter(([, w]) => w).map(([k, w]) => `${t(`factor.${k}`)} ×${w}`).join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="${view.lang}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="theme-color" content="#0d1520">
+<title>${t('app.title')} · ${t('nav.compare')}</title>
+<style>
+*{box-sizing:border-box;margin:0;padding:0}
+body{font-family:-apple-system,BlinkMacSystemFont,'SF Pro',system-ui,sans-serif;background:#0d1520;color:#d8e3f0;-webkit-font-smoothing:antialiased;padding:16px 12px}
+.wrap{max-width:720px;margin:0 auto}
+h1{font-size:1.2em;color:#7ec8f0;margin-bottom:4px}
+h2{font-size:.95em;color:#e8f0f8;margin:18px 0 6px}
+.summary{color:#5a7a8a;font-size:.75em;margin-bottom:14px}
+a{color:#3a6a8a}
+.scroll{overflow-x:auto;border-radius:10px}
+table{width:100%;border-collapse:collapse;font-size:.8em;background:#151f2e;font-variant-numeric:tabular-nums}
+th{font-weight:400;color:#5a7a8a;font-size:.85em;padding:8px 6px;text-align:right;cursor:pointer;user-select:none;white-space:nowrap}
+th:first-child,td:first-child{text-align:left}
+th.asc::after{content:' ▲'}
+th.desc::after{content:' ▼'}
+td{padding:8px 6px;border-top:1px solid #1e2d3d;text-align:right}
+.sub{display:block;font-size:.8em;color:#5a7a8a;font-weight:400}
+h2 .sub{display:inline;margin-left:6px}
+.score{display:inline-block;min-width:2.2em;text-align:center;border-radius:4px;padding:1px 4px;font-weight:700;color:#0d1520;background:hsl(calc(var(--s) * 1.2),55%,55%)}
+.why ol{list-style:none;background:#151f2e;border-radius:10px;padding:4px 12px}
+.why li{padding:8px 0;border-bottom:1px solid #1e2d3d;font-size:.85em}
+.why li:last-child{border:none}
+.why p{color:#8ab8d0;font-size:.9em;margin-top:2px}
+.pts{float:right;color:#b3e5fc;font-weight:700}
+.switch{font-size:.75em;color:#3a4a5a;margin-bottom:10px}
+.switch a{text-decoration:none}
+.switch strong{color:#7ec8f0}
+</style>
+</head>
+<body>
+<div class="wrap">
+  <h1>${t('nav.compare')}</h1>
+  <p class="summary">${t('compare.summary')} · ${view.time(timestamp, tz)} · <a href="index.html">${t('nav.back')}</a></p>
+  ${variantNav(view, 'compare.html')}
+  <div class="scroll">
+  <table id="compare">
+    <thead><tr>${['resort', 'today', 'tomorrow', 'weekend', 'fresh', 'weekendSnow', 'lifts', 'gusts', 'avy', 'hours'].map(k => `<th>${t(`compare.${k}`)}</th>`).join('')}</tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  </div>
+  ${reasons}
+  <p class="summary" style="margin-top:14px">${t('compare.weights')}: ${weightText}</p>
+</div>
+<script>
+document.querySelectorAll('#compare th').forEach((th, col) => th.addEventListener('click', () => {
+  const tbody = document.querySelector('#compare tbody');
+  const desc = !th.classList.contains('desc');
+  document.querySelectorAll('#compare th').forEach(h => h.classList.remove('asc', 'desc'));
+  th.classList.add(desc ? 'desc' : 'asc');
+  const key = tr => { const v = tr.children[col].dataset.v; return v === '' ? null : isNaN(v) ? v : parseFloat(v); };
+  [...tbody.rows].sort((a, b) => {
+    const x = key(a), y = key(b);
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return (x < y ? -1 : x > y ? 1 : 0) * (desc ? -1 : 1);
+  }).forEach(tr => tbody.appendChild(tr));
+}));
+</script>
+</body>
+</html>`;
+}
+
+// Source health page: one row per resort source, worst first
+function generateStatusHTML(data, view = createView()) {
+  const { t } = view;
+  const tz = pageTimeZone(data.resorts || [], view);
+  const fmtTime = iso => (iso ? view.time(iso, tz, 'short') : '–');
+  const statusLabel = { ok: t('status.ok'), degraded: t('status.degradedState'), failed: t('status.failed') };
+  const names = Object.fromEntries((data.resorts || []).map(e => [e.resort.id, e.resort.name]));
+  const order = { failed: 0, degraded: 1, ok: 2 };
+  const rows = Object.entries(data.sources || {})
+    .flatMap(([id, kinds]) => Object.entries(kinds).map(([kind, h]) => ({ id, kind, ...h })))
+    .sort((a, b) => order[a.status] - order[b.status] || a.id.localeCompare(b.id) || a.kind.localeCompare(b.kind));
+  const counts = items => (items ? Object.entries(items).map(([k, n]) => `${n} ${k}`).join(', ') : '–');
+
+  const body = rows.map(r => `
+      <tr class="${r.status}">
+        <td><span class="dot"></span>${names[r.id] || r.id}<span class="sub">${r.kind} · ${escapeHtml(r.provider)}</span></td>
+        <td>${statusLabel[r.status] || r.status}${r.error ? `<span class="sub">${escapeHtml(r.error.message)}</span>` : ''}</td>
+        <td>${r.latencyMs !== null && r.latencyMs !== undefined ? `${r.latencyMs}ms` : '–'}</td>
+        <td>${fmtTime(r.lastSuccess)}${r.consecutiveFailures ? `<span class="sub">${t('status.failures', { n: r.consecutiveFailures })}</span>` : ''}</td>
+        <td>${counts(r.items)}${r.usualItems ? `<span class="sub">${t('status.usually', { items: counts(r.usualItems) })}</span>` : ''}</td>
+      </tr>`).join('');
+  const { degraded, failed, total } = health.summarize(data.sources);
+
+  return `<!DOCTYPE html>
+<html lang="${view.lang}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="theme-color" content="#0d1520">
+<title>${t('app.title')} · ${t('status.title')}</title>
+<style>
+*{box-sizing:border-box;margin:0;padding:0}
+body{font-family:-apple-system,BlinkMacSystemFont,'SF Pro',system-ui,sans-serif;background:#0d1520;color:#d8e3f0;-webkit-font-smoothing:antialiased;padding:16px 12px}
+.wrap{max-width:720px;margin:0 auto}
+h1{font-size:1.2em;color:#7ec8f0;margin-bottom:4px}
+.summary{color:#5a7a8a;font-size:.8em;margin-bottom:14px}
+a{color:#3a6a8a}
+table{width:100%;border-collapse:collapse;font-size:.82em;background:#151f2e;border-radius:10px;overflow:hidden}
+th{text-align:left;font-weight:400;color:#5a7a8a;font-size:.85em;padding:8px}
+td{padding:8px;border-top:1px solid #1e2d3d;vertical-align:top}
+.sub{display:block;font-size:.82em;color:#5a7a8a}
+.dot{display:inline-block;width:8px;height:8px;border-radius:50%;margin-right:6px;background:#4ecdc4}
+.degraded .dot{background:#f0a040}
+.failed .dot{background:#e05a5a}
+</style>
+</head>
+<body>
+<div class="wrap">
+  <h1>${t('status.title')}</h1>
+  <p class="summary">${t('status.summary', { ok: total - degraded - failed, total })}${degraded ? ` · ${t('status.degraded', { n: degraded })}` : ''}${failed ? ` · ${t('status.failing', { n: failed })}` : ''} · ${t('status.checked', { when: fmtTime(data.timestamp) })} · <a href="index.html">${t('nav.back')}</a></p>
+  <table>
+    <tr>${['source', 'status', 'latency', 'lastSuccess', 'items'].map(k => `<th>${t(`status.${k}`)}</th>`).join('')}</tr>
+    ${body}
+  </table>
+</div>
+</body>
+</html>`;
+}
+
+// --- Fetch & output ---
+
+const EXIT = { OK: 0, FAILURE: 1, PARTIAL: 2, INVALID_CONFIG: 3, USAGE: 64 };
+
+// --only names -> data kinds ("lifts" covers live status and the snow report's counts)
+const ONLY = {
+  weather: ['weather'],
+  lifts: ['liftStatus', 'snowReport'],
+  schedule: ['schedule'],
+  avalanche: ['avalanche']
+};
+
+// All of a resort's sources in parallel (the HTTP client keeps each host's concurrency in check)
+async function fetchResort(resort, kinds, ctx) {
+  const entry = { resort, sources: {} };
+  const outcomes = await Promise.all(kinds.map(kind => providers.runSource(kind, resort, ctx)));
+  kinds.forEach((kind, i) => {
+    const { data, ...outcome } = outcomes[i];
+    entry[kind] = outcome.ok ? data : null;
+    entry.sources[kind] = outcome;
+    if (!outcome.ok && outcome.error.type !== 'config') console.error(`  ${resort.name}: ${kind} (${outcome.provider}) failed: ${outcome.error.message}`);
+    for (const warning of outcome.warnings || []) console.error(`  ${resort.name}: ${kind} (${outcome.provider}) partly failed: ${warning}`);
+  });
+  return entry;
+}
+
+function createContext(opts) {
+  const fetch = httpClient.createClient({ cacheDir: opts.noCache ? null : path.join(__dirname, '.cache', 'http') });
+  return { fetch, cache: new Map() };
+}
+
+// data.json from before the provider registry kept the OnTheSnow report as
+// `lifts`, the Skirama map as `skirama` and a schedule without per-lift periods
+function upgradeEntry(entry) {
+  const { lifts, skirama, ...rest } = entry;
+  if (lifts === undefined && skirama === undefined && !(rest.schedule && !rest.schedule.lifts)) return entry;
+  return {
+    ...rest,
+    snowReport: rest.snowReport !== undefined ? rest.snowReport : lifts || null,
+    liftStatus: rest.liftStatus !== undefined ? rest.liftStatus : skirama || null,
+    schedule: rest.schedule && rest.schedule.lifts ? rest.schedule : null
+  };
+}
+
+// A data.json with every entry in today's shape (null when there is none)
+function loadDataFile(file) {
+  const data = readData(file);
+  return data && { ...data, resorts: (data.resorts || []).map(upgradeEntry) };
+}
+
+// Resorts not fetched this run (--resort) are carried over from the previous data.json;
+// sections not fetched (--only) or failed fall back to their last good value
+function mergeWithPrevious(prevData, allData, resorts, kinds, timestamp) {
+  const prevById = {};
+  for (const e of (prevData && prevData.resorts) || []) if (e.resort) prevById[e.resort.id] = e;
+  const fresh = Object.fromEntries(allData.map(e => [e.resort.id, e]));
+  return resorts.map(resort => {
+    const prev = prevById[resort.id];
+    const next = fresh[resort.id];
+    if (!next) return prev ? { ...prev, resort } : null;
+    return health.applyFallback(prev, next, kinds, timestamp, prevData && prevData.timestamp);
+  }).filter(Boolean);
+}
+
+// EXIT.OK when every configured source delivered, PARTIAL when some did, FAILURE when none did
+function fetchOutcome(allData) {
+  const outcomes = allData.flatMap(e => Object.values(e.sources)).filter(o => o.ok || o.error.type !== 'config');
+  const ok = outcomes.filter(o => o.ok).length;
+  if (outcomes.length === 0 || ok === 0) return EXIT.FAILURE;
+  return ok === outcomes.length ? EXIT.OK : EXIT.PARTIAL;
+}
+
+function loadHistories(historyDir, allData, timestamp) {
+  const histories = {};
+  for (const entry of allData) {
+    try {
+      histories[entry.resort.id] = history.loadHistory(historyDir, entry.resort.id, timestamp, time.timeZoneOf(entry.resort));
+    } catch (e) {
+      console.error(`  History failed for ${entry.resort.id}: ${e.message}`);
     }
-    const validTime = data.bulletins?.[0]?.validTime;
-    return {
-      level: maxLevel,
-      label: labelMap[maxLevel],
-      color: colorMap[maxLevel],
-      emoji: emojiMap[maxLevel],
-      validFrom: validTime?.startTime,
-      validTo: validTime?.endTime,
-      source: 'EUREGIO (Tyrol-Trentino)',
-      url: 'https://avalanche.report'
-    };
-  } catch (e) {
-    console.error(`  Avalanche data failed: ${e.message}`);
-    return null;
   }
+  return histories;
 }
 
-async function main() {
-  console.log('Fetching snow data...');
-  const allData = [];
+function readData(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
 
-  const avalanche = await fetchAvalancheData();
-  console.log(`  Avalanche: ${avalanche ? avalanche.label : 'N/A'}`);
+// The default language/units at the top of the output directory, every other
+// variant from site.json in its own folder (it/, en-imperial/, ...)
+function siteVariants(site) {
+  const variants = [{ lang: site.lang, units: site.units, dir: '' }];
+  for (const v of site.variants) {
+    const lang = v.lang || site.lang, units = v.units || site.units;
+    if (variants.some(x => x.lang === lang && x.units === units)) continue;
+    variants.push({ lang, units, dir: units === 'metric' ? lang : `${lang}-${units}` });
+  }
+  return variants;
+}
 
-  for (const resort of resorts) {
-    console.log(`  ${resort.name}...`);
-    const weather = await fetchOpenMeteo(resort);
-    const lifts = await fetchLiftPisteData(resort);
-    const skirama = await fetchSkiramaData(resort);
-    const schedule = await fetchLiftSchedule(resort);
-    console.log(`  Lifts: ${skirama.lifts.length}, Pistes: ${skirama.pistes.length}, Schedule: ${Object.keys(schedule.hours).length} entries`);
-    allData.push({ resort, weather, lifts, skirama, avalanche, schedule });
+function loadSite(opts) {
+  const site = config.loadSite(path.join(__dirname, 'site.json'));
+  if (opts.lang) site.lang = opts.lang;
+  if (opts.units) site.units = opts.units;
+  const errors = config.validateSite(site);
+  if (errors.length) throw new Error(`site.json${errors[0].path}: ${errors[0].message}`);
+  return site;
+}
+
+function writePages(outDir, data, histories, site) {
+  const weights = ranking.loadWeights(path.join(__dirname, 'ranking.json'));
+  const variants = siteVariants(site);
+  for (const variant of variants) {
+    const view = createView({ ...variant, timeZone: site.timezone, variants, live: !!site.live });
+    const dir = path.join(outDir, variant.dir);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.html'), generateHTML(data.resorts, data.timestamp, histories, data.sources, view));
+    fs.writeFileSync(path.join(dir, 'status.html'), generateStatusHTML(data, view));
+    fs.writeFileSync(path.join(dir, 'compare.html'), generateCompareHTML(data.resorts, data.timestamp, weights, view));
+  }
+  writeClient(outDir, createView({ ...variants[0], timeZone: site.timezone }));
+  writeApi(outDir, data, createView(variants[0]));
+}
+
+// The versioned public API and feeds (see lib/api.js). changes.json is kept up
+// to date by cmdFetch; the Atom feed is rebuilt from it.
+function writeApi(outDir, data, view) {
+  const dir = path.join(outDir, api.DIR);
+  fs.mkdirSync(path.join(dir, 'resorts'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'schema'), { recursive: true });
+  const write = (file, body) => fs.writeFileSync(path.join(dir, file), typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+  const docs = data.resorts.map(entry => api.resortDoc(entry, data.timestamp));
+  for (const doc of docs) write(`resorts/${doc.id}.json`, doc);
+  for (const entry of data.resorts) write(`resorts/${entry.resort.id}.ics`, feeds.ical(entry, data.timestamp));
+  write('index.json', api.indexDoc(docs, data.timestamp));
+  for (const [name, schema] of Object.entries(api.SCHEMAS)) write(`schema/${name}.json`, schema);
+  const log = readData(path.join(dir, 'changes.json')) || feeds.emptyLog(data.timestamp);
+  write('changes.json', log);
+  write('changes.atom', feeds.atom(log, { title: view.t('app.title'), link: '../../index.html' }));
+}
+
+// The offline client: app.js (lib/render.js and what it needs, bundled, plus
+// client/app.js), the service worker and the install manifest
+function writeClient(outDir, view) {
+  const clientDir = path.join(__dirname, 'client');
+  const app = bundle(['render'], ['providers']) + fs.readFileSync(path.join(clientDir, 'app.js'), 'utf8');
+  fs.writeFileSync(path.join(outDir, 'app.js'), app);
+  fs.copyFileSync(path.join(clientDir, 'sw.js'), path.join(outDir, 'sw.js'));
+  fs.copyFileSync(path.join(clientDir, 'icon.svg'), path.join(outDir, 'icon.svg'));
+  const manifest = {
+    name: view.t('app.title'),
+    short_name: view.t('app.title'),
+    lang: view.lang,
+    start_url: './',
+    scope: './',
+    display: 'standalone',
+    background_color: '#0d1520',
+    theme_color: '#0d1520',
+    icons: [{ src: 'icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any maskable' }]
+  };
+  fs.writeFileSync(path.join(outDir, 'manifest.webmanifest'), JSON.stringify(manifest, null, 2));
+}
+
+// Lifts the schedule couldn't be matched to, and the matches that were only guessed
+function reportScheduleMatch(liftStatus, schedule, resort) {
+  const { match, unmatched } = scheduleLib.matchLifts(liftStatus.lifts.map(l => l.name), schedule, scheduleAliases(resort));
+  const guessed = Object.entries(match).filter(([, m]) => m.how === 'guess');
+  if (unmatched.length) console.log(`    No schedule for ${unmatched.length} lift(s): ${unmatched.join(', ')}`);
+  if (guessed.length) console.log(`    Schedule guessed by name (add sources.schedule.aliases to confirm): ${guessed.map(([lift, m]) => `${lift} → ${m.name}`).join(', ')}`);
+}
+
+// All resorts, the ones --resort picked, and the kinds --only picked
+function selection(opts) {
+  const resorts = config.loadResorts(opts.config);
+  const selected = opts.resort.length ? resorts.filter(r => opts.resort.includes(r.id)) : resorts;
+  const unknown = opts.resort.filter(id => !resorts.some(r => r.id === id));
+  if (unknown.length) throw new UsageError(`unknown resort: ${unknown.join(', ')}`);
+  const kinds = opts.only.length ? [...new Set(opts.only.flatMap(o => ONLY[o]))] : Object.keys(providers.KINDS);
+  return { resorts, selected, kinds };
+}
+
+async function cmdFetch(opts) {
+  const { resorts, selected, kinds } = selection(opts);
+  const site = loadSite(opts);
+  const { outcome } = await update(opts, { resorts, selected, kinds, site, ctx: createContext(opts) });
+  return outcome;
+}
+
+// One run: fetch `kinds` for the selected resorts, merge into <out>/data.json,
+// record history, send notifications and write every output. Resolves
+// { outcome, data } (data is null on a dry run).
+async function update(opts, { resorts, selected, kinds, site, ctx }) {
+  console.log(`Fetching snow data${kinds.length < Object.keys(providers.KINDS).length ? ` (${kinds.join(', ')})` : ''}...`);
+  const fetched = await Promise.all(selected.map(resort => fetchResort(resort, kinds, ctx)));
+  for (const { resort, liftStatus, schedule, avalanche } of fetched) {
+    console.log(`  ${resort.name} — Lifts: ${liftStatus ? liftStatus.lifts.length : 0}, Pistes: ${liftStatus ? liftStatus.pistes.length : 0}, Schedule: ${schedule ? Object.keys(schedule.lifts).length : 0} lifts, Avalanche: ${avalanche ? avalanche.label : 'N/A'}`);
+    if (liftStatus && schedule) reportScheduleMatch(liftStatus, schedule, resort);
   }
 
   const timestamp = new Date().toISOString();
-  const html = generateHTML(allData, timestamp);
+  const outcome = fetchOutcome(fetched);
+  if (opts.dryRun) {
+    console.log(`Dry run: nothing written (${outcome === EXIT.OK ? 'all sources OK' : outcome === EXIT.PARTIAL ? 'partial data' : 'no data'})`);
+    return { outcome, data: null };
+  }
 
-  const outDir = path.join(__dirname, 'docs');
-  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir);
-  fs.writeFileSync(path.join(outDir, 'index.html'), html);
-  fs.writeFileSync(path.join(outDir, 'data.json'), JSON.stringify({ timestamp, resorts: allData }, null, 2));
+  const outDir = opts.out;
+  const dataFile = path.join(outDir, 'data.json');
+  const prevData = loadDataFile(dataFile);
+  const allData = mergeWithPrevious(prevData, fetched, resorts, kinds, timestamp);
+  const sources = health.updateHealth(prevData && prevData.sources, fetched, timestamp);
+  const summary = health.summarize(sources);
+  console.log(`  Sources: ${summary.ok} ok, ${summary.degraded} degraded, ${summary.failed} failed`);
+
+  // Append this run to the history store (fallback values left out) and load the season for the charts
+  const historyDir = path.join(outDir, 'history');
+  for (const entry of allData) {
+    try {
+      history.recordSnapshot(historyDir, health.freshOnly(entry), timestamp);
+    } catch (e) {
+      console.error(`  History failed for ${entry.resort.id}: ${e.message}`);
+    }
+  }
+  const histories = loadHistories(historyDir, allData, timestamp);
+
+  // Compare with the previous run and send notifications for what changed
+  try {
+    const notifyConfig = notify.loadConfig(path.join(__dirname, 'notify.json'));
+    const events = changes.detectChanges(prevData, allData, timestamp, notifyConfig.rules);
+    const sent = await notify.dispatch(events, resorts, notifyConfig, path.join(__dirname, 'state', 'notifications.json'), timestamp);
+    console.log(`  Changes: ${events.length} event(s), ${sent.length} sent`);
+  } catch (e) {
+    console.error(`  Notifications failed: ${e.message}`);
+  }
+
+  // The public changes feed has its own rules, so it doesn't follow notify.json
+  const changesFile = path.join(outDir, api.DIR, 'changes.json');
+  try {
+    const events = changes.detectChanges(prevData, allData, timestamp, {}, feeds.FEED_RULES);
+    fs.mkdirSync(path.dirname(changesFile), { recursive: true });
+    fs.writeFileSync(changesFile, JSON.stringify(feeds.recordChanges(readData(changesFile) || feeds.emptyLog(timestamp), events, timestamp), null, 2));
+  } catch (e) {
+    console.error(`  Changes feed failed: ${e.message}`);
+  }
+
+  const data = { timestamp, resorts: allData, sources };
+  writePages(outDir, data, histories, site);
+  // Renamed into place: under `serve` it may be read while this runs
+  fs.writeFileSync(`${dataFile}.tmp`, JSON.stringify(data, null, 2));
+  fs.renameSync(`${dataFile}.tmp`, dataFile);
 
   console.log(`Done! ${timestamp}`);
+  return { outcome, data };
+}
+
+// Long-running: each kind is refreshed on its own interval (site.json
+// serve.refreshMinutes, else the kind's default in lib/providers), every run
+// writes the same output as `fetch`, and the output directory is served with
+// live updates and /healthz (lib/server.js). Stops on SIGINT/SIGTERM.
+async function cmdServe(opts) {
+  if (opts.dryRun) throw new UsageError('--dry-run does not apply to serve');
+  const { resorts, selected, kinds } = selection(opts);
+  const site = { ...loadSite(opts), live: true };
+  const port = opts.port ?? site.serve.port ?? 8080;
+  const refresh = site.serve.refreshMinutes || {};
+  const intervals = Object.fromEntries(kinds.map(kind => [kind, refresh[kind] ?? providers.KINDS[kind].refreshMinutes]));
+  // The scheduler decides when to ask, so cached responses are always revalidated
+  const client = createContext(opts).fetch;
+  const fetch = (url, o = {}) => client(url, { ...o, ttl: 0 });
+  const started = Date.now();
+  fs.mkdirSync(opts.out, { recursive: true });
+  let data = loadDataFile(path.join(opts.out, 'data.json'));
+
+  let web = null;
+  // A new `cache` per run, so a shared avalanche bulletin is downloaded again
+  const scheduler = createScheduler(intervals, async due => {
+    const result = await update(opts, { resorts, selected, kinds: due, site, ctx: { fetch, cache: new Map() } });
+    data = result.data;
+    web.broadcast('update', { timestamp: data.timestamp, kinds: due });
+  });
+  web = createServer({ dir: opts.out, healthz: () => serveHealth(data, scheduler.status(), web.clients, started) });
+  await new Promise((resolve, reject) => {
+    web.server.once('error', reject);
+    web.server.listen(port, opts.host, resolve);
+  });
+  console.log(`Serving ${opts.out} on http://${opts.host}:${port}/ (${Object.entries(intervals).map(([kind, m]) => `${kind} every ${m} min`).join(', ')})`);
+  scheduler.start();
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  console.log('Stopping...');
+  await scheduler.stop();
+  await web.close();
+  return EXIT.OK;
+}
+
+// /healthz body: ok (HTTP 200) unless there is no data yet or nothing is being delivered
+function serveHealth(data, refresh, clients, started) {
+  const summary = data ? health.summarize(data.sources) : null;
+  const runs = Object.values(refresh).map(k => k.lastRun).filter(Boolean);
+  let status = 'ok';
+  if (!data) status = 'starting';
+  else if ((summary.total && summary.ok + summary.degraded === 0) || (runs.length && runs.every(r => r.error))) status = 'failing';
+  else if (summary.failed || summary.degraded) status = 'degraded';
+  return {
+    ok: status === 'ok' || status === 'degraded',
+    status,
+    updated: data ? data.timestamp : null,
+    uptimeSeconds: Math.round((Date.now() - started) / 1000),
+    sources: summary,
+    refresh,
+    clients
+  };
 }
 
-main().catch(e => { console.error(e); process.exit(1); });
+function cmdValidate(opts) {
+  let resorts;
+  try {
+    resorts = JSON.parse(fs.readFileSync(opts.config, 'utf8'));
+  } catch (e) {
+    console.error(`${opts.config}: ${e.message}`);
+    return EXIT.INVALID_CONFIG;
+  }
+  const errors = config.validateResorts(resorts);
+  for (const e of errors) console.error(`${opts.config}${e.path}: ${e.message}`);
+  const siteFile = path.join(__dirname, 'site.json');
+  let siteErrors;
+  try {
+    siteErrors = config.validateSite(config.loadSite(siteFile));
+  } catch (e) {
+    siteErrors = [{ path: '', message: e.message }];
+  }
+  for (const e of siteErrors) console.error(`${siteFile}${e.path}: ${e.message}`);
+  if (errors.length || siteErrors.length) return EXIT.INVALID_CONFIG;
+  console.log(`${opts.config}: ${resorts.length} resort(s) OK`);
+  return EXIT.OK;
+}
+
+// Rebuild the pages from an existing data.json, no network
+function cmdRender(opts) {
+  const site = loadSite(opts);
+  const dataFile = opts.data || path.join(opts.out, 'data.json');
+  const data = loadDataFile(dataFile);
+  if (!data) throw new Error(`${dataFile} not found`);
+  const allData = opts.resort.length ? data.resorts.filter(e => opts.resort.includes(e.resort.id)) : data.resorts;
+  const histories = loadHistories(path.join(opts.out, 'history'), allData, data.timestamp);
+  const rendered = { ...data, resorts: allData };
+  writePages(opts.out, rendered, histories, site);
+  // The client polls <out>/data.json: put the rendered data there when it came from elsewhere
+  const outFile = path.join(opts.out, 'data.json');
+  if (path.resolve(dataFile) !== path.resolve(outFile)) {
+    fs.writeFileSync(`${outFile}.tmp`, JSON.stringify(rendered, null, 2));
+    fs.renameSync(`${outFile}.tmp`, outFile);
+  }
+  console.log(`Rendered ${path.join(opts.out, 'index.html')} from ${dataFile} (${data.timestamp})`);
+  return EXIT.OK;
+}
+
+function printTable(rows, columns) {
+  const widths = columns.map(c => Math.max(c.length, ...rows.map(r => String(r[c] ?? '').length)));
+  const line = cells => cells.map((c, i) => String(c ?? '').padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(columns));
+  console.log(line(widths.map(w => '-'.repeat(w))));
+  for (const r of rows) console.log(line(columns.map(c => r[c])));
+}
+
+// Print what the lift/piste/schedule/snow-report scrapers parse for one resort
+async function cmdInspect(opts) {
+  const id = opts.positionals[0];
+  if (!id) throw new UsageError('inspect needs a resort id');
+  const resort = config.loadResorts(opts.config).find(r => r.id === id);
+  if (!resort) throw new UsageError(`unknown resort: ${id}`);
+  const kinds = opts.only.length ? [...new Set(opts.only.flatMap(o => ONLY[o]))] : ['liftStatus', 'schedule', 'snowReport'];
+  const entry = await fetchResort(resort, kinds, createContext(opts));
+
+  for (const kind of kinds) {
+    const outcome = entry.sources[kind];
+    console.log(`\n== ${kind} (${outcome.provider || 'none'}): ${outcome.ok ? 'ok' : `${outcome.error.type} error: ${outcome.error.message}`}`);
+    for (const warning of outcome.warnings || []) console.log(`   partly failed: ${warning}`);
+    const data = entry[kind];
+    if (!data) continue;
+    if (kind === 'liftStatus') {
+      const sched = scheduleLib.today(entry.schedule, data.lifts.map(l => l.name), scheduleAliases(resort), new Date().toISOString(), time.timeZoneOf(resort));
+      printTable(data.lifts.map(l => {
+        const st = sched && sched.lifts[l.name];
+        return { lift: l.name, status: l.status, today: st ? (st.open ? `${st.open}–${st.close}` : 'closed') : '', schedule: st ? `${st.name} (${st.how})` : '' };
+      }), ['lift', 'status', 'today', 'schedule']);
+      console.log('');
+      printTable(data.pistes.map(p => ({ piste: p.name, status: p.status })), ['piste', 'status']);
+    } else if (kind === 'schedule') {
+      const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+      printTable(Object.entries(data.lifts).flatMap(([name, periods]) => periods.map(p => ({
+        lift: name,
+        from: p.from || '',
+        to: p.to || '',
+        days: p.days ? p.days.map(d => WEEKDAYS[d]).join(' ') : 'daily',
+        hours: p.open ? `${p.open}–${p.close}` : 'closed'
+      }))), ['lift', 'from', 'to', 'days', 'hours']);
+      if (entry.liftStatus) {
+        const { unused } = scheduleLib.matchLifts(entry.liftStatus.lifts.map(l => l.name), data, scheduleAliases(resort));
+        if (unused.length) console.log(`Not matched to any Skirama lift: ${unused.join(', ')}`);
+      }
+    } else {
+      printTable(Object.entries(data).map(([field, value]) => ({ field, value: typeof value === 'object' ? JSON.stringify(value) : value })), ['field', 'value']);
+    }
+  }
+  return fetchOutcome([entry]);
+}
+
+// Compare wind-hold predictions with the lift closures recorded in the history
+function cmdWindhold(opts) {
+  const ids = opts.positionals.length ? opts.positionals : opts.resort;
+  const resorts = config.loadResorts(opts.config).filter(r => !ids.length || ids.includes(r.id));
+  if (ids.length && !resorts.length) throw new UsageError(`unknown resort: ${ids.join(', ')}`);
+  const historyDir = path.join(opts.out, 'history');
+  const timestamp = new Date().toISOString();
+  for (const resort of resorts) {
+    const { intraday } = history.loadHistory(historyDir, resort.id, timestamp, time.timeZoneOf(resort));
+    const rows = windhold.evaluate(resort, intraday);
+    console.log(`\n== ${resort.id}: ${intraday.length} run(s) in history`);
+    if (!rows.length) { console.log('No runs with gust data and open lifts yet'); continue; }
+    printTable(rows.map(r => ({ ...r, type: r.type || '-', suggested: r.suggested ?? '-' })),
+      ['lift', 'type', 'station', 'threshold', 'runs', 'closed', 'hits', 'misses', 'falseAlarms', 'suggested']);
+  }
+  return EXIT.OK;
+}
+
+// --- CLI ---
+
+class UsageError extends Error {}
+
+const USAGE = `Usage: fetch-data.js [command] [options]
+
+Commands:
+  fetch               Fetch all sources and write index.html + data.json (default)
+  serve               Keep running: refresh each source on its own interval, serve
+                      the output with live updates and /healthz
+  validate            Check resorts.json and site.json against the schema
+  render              Rebuild the pages from an existing data.json (no network)
+  inspect <resort>    Print the parsed lift/piste/schedule tables for one resort
+  windhold [resort]   Check wind-hold predictions against recorded lift closures
+
+Options:
+  --resort <id>       Only this resort (repeatable)
+  --only <section>    Only weather | lifts | schedule | avalanche (repeatable)
+  --out <dir>         Output directory (default: docs/)
+  --config <file>     Resorts file (default: resorts.json)
+  --data <file>       data.json to render from, copied to <out> (render; default: <out>/data.json)
+  --dry-run           Fetch and report, but write and send nothing
+  --no-cache          Ignore the on-disk HTTP cache (.cache/http)
+  --port <n>          serve: port to listen on (default: site.json serve.port, else 8080)
+  --host <address>    serve: address to listen on (default: 127.0.0.1)
+  --lang <code>       Default page language: en | it | de | fr (default: site.json)
+  --units <system>    Default units: metric | imperial (default: site.json)
+  -h, --help          Show this help
+
+Exit codes: 0 ok, 1 total failure, 2 partial data, 3 invalid config, 64 usage error`;
+
+const COMMANDS = { fetch: cmdFetch, serve: cmdServe, validate: cmdValidate, render: cmdRender, inspect: cmdInspect, windhold: cmdWindhold };
+
+function parseCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        resort: { type: 'string', multiple: true, default: [] },
+        only: { type: 'string', multiple: true, default: [] },
+        out: { type: 'string', default: path.join(__dirname, 'docs') },
+        config: { type: 'string', default: path.join(__dirname, 'resorts.json') },
+        data: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        'no-cache': { type: 'boolean', default: false },
+        port: { type: 'string' },
+        host: { type: 'string', default: '127.0.0.1' },
+        lang: { type: 'string' },
+        units: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const { values, positionals } = parsed;
+  const command = positionals.length ? positionals.shift() : 'fetch';
+  if (!COMMANDS[command]) throw new UsageError(`unknown command: ${command}`);
+  const only = values.only.flatMap(o => o.split(',')).map(o => o.trim()).filter(Boolean);
+  const badOnly = only.filter(o => !ONLY[o]);
+  if (badOnly.length) throw new UsageError(`--only must be one of ${Object.keys(ONLY).join(', ')} (got ${badOnly.join(', ')})`);
+  if (values.lang && !i18n.LANGUAGES.includes(values.lang)) throw new UsageError(`--lang must be one of ${i18n.LANGUAGES.join(', ')}`);
+  const port = values.port === undefined ? null : Number(values.port);
+  if (port !== null && !(Number.isInteger(port) && port > 0 && port < 65536)) throw new UsageError('--port must be a port number (1-65535)');
+  if (values.units && !i18n.UNIT_SYSTEMS.includes(values.units)) throw new UsageError(`--units must be one of ${i18n.UNIT_SYSTEMS.join(', ')}`);
+  return {
+    command,
+    positionals,
+    help: values.help,
+    resort: values.resort.flatMap(r => r.split(',')).map(r => r.trim()).filter(Boolean),
+    only,
+    out: path.resolve(values.out),
+    config: path.resolve(values.config),
+    data: values.data ? path.resolve(values.data) : null,
+    dryRun: values['dry-run'],
+    noCache: values['no-cache'],
+    port,
+    host: values.host,
+    lang: values.lang || null,
+    units: values.units || null
+  };
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseCli(argv);
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return EXIT.OK;
+  }
+  try {
+    return await COMMANDS[opts.command](opts);
+  } catch (e) {
+    if (e instanceof UsageError) {
+      console.error(`${e.message}\n\n${USAGE}`);
+      return EXIT.USAGE;
+    }
+    console.error(e);
+    return EXIT.FAILURE;
+  }
+}
+
+// Required as a module (index.js) it only defines things; run directly it's the CLI
+if (require.main === module) main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+
+module.exports = { EXIT, main, fetchResort, generateHTML, generateCompareHTML, generateStatusHTML };
@@ -0,0 +1,95 @@
+// Snow Monitor - Library API
+// What the CLI (fetch-data.js) does, for use from other code:
+//   getResortSnapshot(resort, { fetch })  fetch one resort now -> snapshot
+//   parse.*(body)                         the scrapers on a saved page or API response
+//   render(snapshot, options)             the HTML page for a snapshot
+// A snapshot has the shape of data.json ({ timestamp, resorts: [entry], sources }),
+// so a saved data.json renders as is. Nothing here writes files or reads the
+// repo's config; resorts are passed in as resorts.json entries.
+
+const providers = require('./lib/providers');
+const config = require('./lib/config');
+const health = require('./lib/health');
+const httpClient = require('./lib/http');
+const ranking = require('./lib/ranking');
+const forecast = require('./lib/forecast');
+const scheduleLib = require('./lib/schedule');
+const { reconcile } = require('./lib/reconcile');
+const { createView } = require('./lib/render');
+const cli = require('./fetch-data');
+
+// Problems with a resorts.json entry: [{ path, message }], empty when it's fine
+const validateResort = resort => config.validateResorts([resort]).map(e => ({ ...e, path: e.path.replace(/^\[0\]/, '') }));
+
+const adapter = (kind, name) => providers.getAdapter(kind, name);
+
+// Pure parsers: page or response body in, normalized data out (ParseError when it holds nothing usable)
+const parse = {
+  skirama: html => adapter('liftStatus', 'monterosa-skirama').parse(html),
+  liftSchedule: html => adapter('schedule', 'monterosa-schedule').parse(html),
+  onTheSnow: html => adapter('snowReport', 'onthesnow').parse(html),
+  openMeteo: json => adapter('weather', 'open-meteo').parse(json),
+  // cfg: the resort's avalanche source ({ source, regions, ... })
+  avalanche: (json, cfg = {}) => adapter('avalanche', 'caamlv6').parse(json, cfg)
+};
+
+// Fetch every configured source of one resort. `fetch(url)` must resolve to the
+// response body as a string; it defaults to the CLI's HTTP client without the
+// disk cache. `kinds` limits the sources (default: all), `timestamp` the run time.
+async function getResortSnapshot(resort, { fetch, kinds = Object.keys(providers.KINDS), timestamp = new Date().toISOString() } = {}) {
+  const errors = validateResort(resort);
+  if (errors.length) throw new Error(`resort${errors[0].path}: ${errors[0].message}`);
+  const ctx = { fetch: fetch || httpClient.createClient({ cacheDir: null }), cache: new Map() };
+  const fetched = await cli.fetchResort(resort, kinds, ctx);
+  return {
+    timestamp,
+    resorts: [health.applyFallback(null, fetched, kinds, timestamp)],
+    sources: health.updateHealth(null, [fetched], timestamp)
+  };
+}
+
+// Several snapshots as one, for a page with every resort
+function mergeSnapshots(snapshots) {
+  return {
+    timestamp: snapshots.map(s => s.timestamp).sort().pop(),
+    resorts: snapshots.flatMap(s => s.resorts),
+    sources: Object.assign({}, ...snapshots.map(s => s.sources || {}))
+  };
+}
+
+const PAGES = ['index', 'compare', 'status'];
+
+// HTML of one page for a snapshot (or an array of them). options:
+//   page      index (default) | compare | status
+//   lang, units, timeZone  as in site.json
+//   histories { [resort id]: lib/history.js loadHistory() } for the season charts
+//   weights   ranking weights for the compare page (ranking.json)
+// The page links app.js, the manifest and icon relative to itself; without them
+// next to it (fetch-data.js writes them) it is a plain static page.
+function render(snapshot, { page = 'index', lang, units, timeZone = null, histories = {}, weights = ranking.DEFAULT_WEIGHTS } = {}) {
+  if (!PAGES.includes(page)) throw new Error(`page must be one of ${PAGES.join(', ')}`);
+  const data = Array.isArray(snapshot) ? mergeSnapshots(snapshot) : snapshot;
+  const view = createView({ lang, units, timeZone });
+  if (page === 'compare') return cli.generateCompareHTML(data.resorts, data.timestamp, weights, view);
+  if (page === 'status') return cli.generateStatusHTML(data, view);
+  return cli.generateHTML(data.resorts, data.timestamp, histories, data.sources || null, view);
+}
+
+module.exports = {
+  getResortSnapshot,
+  mergeSnapshots,
+  parse,
+  render,
+  ParseError: providers.ParseError,
+  // Helpers the page is built from
+  createView,
+  // [description, emoji] of a WMO weather code, in lang (default en)
+  weatherDesc: (code, { lang } = {}) => createView({ lang }).weather(code),
+  reconcile,
+  matchLifts: scheduleLib.matchLifts,
+  liftHours: scheduleLib.liftHours,
+  dayHours: scheduleLib.dayHours,
+  snowTotals: forecast.snowTotals,
+  dailyStrip: forecast.dailyStrip,
+  validateResort
+};
@@ -0,0 +1,274 @@
+// Snow Monitor - Public JSON API (v1)
+// data.json is the script's working state and changes shape whenever the script
+// does. The API is the stable, documented subset: one compact document per
+// resort with the normalized values the page shows, an index, and the changes
+// log behind the feeds (lib/feeds.js). Everything lives under api/v1/:
+//   index.json              resorts, links and feeds
+//   resorts/<id>.json       one resort
+//   resorts/<id>.ics        daily lift hours (iCal)
+//   changes.json / .atom    notable changes
+//   schema/*.json           JSON Schemas of the three documents
+// Values are metric (°C, cm, km/h, m) regardless of the page's units. Fields are
+// only ever added within v1; anything else gets a v2 next to it.
+
+const time = require('./time');
+const forecast = require('./forecast');
+const health = require('./health');
+const scheduleLib = require('./schedule');
+const windhold = require('./windhold');
+const { reconcile } = require('./reconcile');
+const { sectorOf } = require('./render');
+
+const VERSION = 1;
+const DIR = `api/v${VERSION}`;
+const KINDS = ['weather', 'liftStatus', 'snowReport', 'avalanche', 'schedule'];
+const REC_FIELDS = ['lifts', 'pistes', 'kmOpen', 'summitDepth', 'baseDepth'];
+
+const round = (v, digits = 1) => (typeof v === 'number' ? Math.round(v * 10 ** digits) / 10 ** digits : null);
+const aliasesOf = resort => (resort.sources && resort.sources.schedule && resort.sources.schedule.aliases) || {};
+
+function station(resort, name, data) {
+  const c = data && data.current;
+  if (!c) return null;
+  return {
+    elevation: resort.elevations[name],
+    temperature: round(c.temperature_2m),
+    feelsLike: round(c.apparent_temperature),
+    weatherCode: c.weather_code ?? null,
+    snowDepth: typeof c.snow_depth === 'number' ? Math.round(c.snow_depth * 100) : null,
+    windSpeed: round(c.wind_speed_10m, 0),
+    windGusts: round(c.wind_gusts_10m, 0)
+  };
+}
+
+function reconciledDoc(entry, timestamp) {
+  const { fields, flags, providers } = reconcile(entry, timestamp);
+  const field = f => f && {
+    value: f.value,
+    source: providers[f.source],
+    reason: f.reason,
+    values: Object.entries(f.values).map(([kind, value]) => ({ source: providers[kind], value })),
+    disagree: f.flag
+  };
+  return { ...Object.fromEntries(REC_FIELDS.map(key => [key, field(fields[key]) || null])), flags };
+}
+
+function avalancheDoc(a) {
+  if (!a) return null;
+  return {
+    level: a.level,
+    label: a.label,
+    above: a.above ?? null,
+    below: a.below ?? null,
+    boundary: a.boundary ?? null,
+    problems: (a.problems || []).map(p => ({ type: p.type, label: p.label, aspects: p.aspects || [], elevation: p.elevationLabel || null })),
+    validFrom: a.validFrom || null,
+    validTo: a.validTo || null,
+    source: a.source || null,
+    url: a.url || null
+  };
+}
+
+// resorts/<id>.json
+function resortDoc(entry, timestamp) {
+  const { resort, weather, liftStatus, snowReport, avalanche, schedule } = entry;
+  const tz = time.timeZoneOf(resort);
+  const today = time.localDate(timestamp, tz);
+  const liftNames = liftStatus ? liftStatus.lifts.map(l => l.name) : [];
+  const sched = scheduleLib.today(schedule, liftNames, aliasesOf(resort), timestamp, tz);
+  const totals = forecast.snowTotals(weather, today);
+  const count = list => ({ open: list.filter(x => x.status === 'open').length, total: list.length });
+
+  return {
+    version: VERSION,
+    id: resort.id,
+    name: resort.name,
+    area: resort.area || null,
+    timezone: tz,
+    updated: timestamp,
+    asOf: Object.fromEntries(KINDS.map(kind => [kind, (entry.asOf && entry.asOf[kind]) || null])),
+    stale: KINDS.filter(kind => health.isStale(entry, kind, timestamp)),
+    stations: Object.fromEntries(['top', 'mid', 'bottom'].map(s => [s, station(resort, s, weather && weather[s])])),
+    snowfall: totals && { past3Days: round(totals.fresh3), next3Days: round(totals.next3), next7Days: round(totals.next7) },
+    forecast: forecast.dailyStrip(weather, today).map(d => ({
+      date: d.date,
+      weatherCode: d.code,
+      snowfall: round(d.snowfall),
+      tempMin: round(d.tempMin),
+      tempMax: round(d.tempMax),
+      gustsMax: round(d.gustsMax, 0),
+      snowLine: d.snowLine ? d.snowLine.elevation : null
+    })),
+    snowReport: snowReport ? { summitDepth: snowReport.summitDepth ?? null, baseDepth: snowReport.baseDepth ?? null, condition: snowReport.condition || null } : null,
+    hours: sched && sched.generalOpen ? { open: sched.generalOpen, close: sched.generalClose } : null,
+    lifts: liftStatus ? {
+      ...count(liftStatus.lifts),
+      items: liftStatus.lifts.map(l => {
+        const st = sched && sched.lifts[l.name];
+        const risk = windhold.liftRisk(resort, weather, l.name);
+        return {
+          name: l.name,
+          status: l.status,
+          hours: st && st.open ? { open: st.open, close: st.close } : null,
+          windHold: risk ? risk.now.level : null,
+          sector: sectorOf(resort, l)
+        };
+      })
+    } : null,
+    pistes: liftStatus ? {
+      ...count(liftStatus.pistes),
+      items: liftStatus.pistes.map(p => ({ name: p.name, status: p.status, difficulty: p.difficulty || null, lengthKm: p.lengthKm || null, sector: sectorOf(resort, p) }))
+    } : null,
+    avalanche: avalancheDoc(avalanche),
+    reconciled: reconciledDoc(entry, timestamp)
+  };
+}
+
+// index.json; paths are relative to it
+function indexDoc(docs, timestamp) {
+  return {
+    version: VERSION,
+    updated: timestamp,
+    resorts: docs.map(d => ({
+      id: d.id,
+      name: d.name,
+      area: d.area,
+      href: `resorts/${d.id}.json`,
+      calendar: `resorts/${d.id}.ics`,
+      liftsOpen: d.lifts ? d.lifts.open : null,
+      liftsTotal: d.lifts ? d.lifts.total : null,
+      avalancheLevel: d.avalanche ? d.avalanche.level : null
+    })),
+    feeds: { changes: 'changes.json', atom: 'changes.atom' },
+    schemas: { index: 'schema/index.json', resort: 'schema/resort.json', changes: 'schema/changes.json' }
+  };
+}
+
+// --- JSON Schemas (draft 2020-12) ---
+
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+const str = { type: 'string' };
+const num = { type: 'number' };
+const int = { type: 'integer' };
+const dateTime = { type: 'string', format: 'date-time' };
+const date = { type: 'string', format: 'date' };
+const clock = { type: 'string', pattern: '^\\d{1,2}:\\d{2}$' };
+const status = { enum: ['open', 'closed', 'evaluating'] };
+const object = (properties, extra = {}) => ({ type: 'object', required: Object.keys(properties), properties, ...extra });
+const hours = object({ open: clock, close: clock });
+const level = nullable({ type: 'integer', minimum: 1, maximum: 5 });
+const schema = (name, title, body) => ({ $schema: 'https://json-schema.org/draft/2020-12/schema', $id: `${name}.json`, title, ...body });
+
+const STATION = object({
+  elevation: { ...num, description: 'm' },
+  temperature: nullable({ ...num, description: '°C' }),
+  feelsLike: nullable({ ...num, description: '°C' }),
+  weatherCode: nullable({ ...int, description: 'WMO weather code' }),
+  snowDepth: nullable({ ...num, description: 'cm (model)' }),
+  windSpeed: nullable({ ...num, description: 'km/h' }),
+  windGusts: nullable({ ...num, description: 'km/h' })
+});
+
+// One reconciled field (lib/reconcile.js): the value settled on and what each source said
+const reconciled = (value, description) => nullable(object({
+  value,
+  source: str,
+  reason: { enum: ['live', 'measured', 'only', 'fresher'] },
+  values: { type: 'array', items: object({ source: str, value }) },
+  disagree: { type: 'boolean', description: 'The sources differ by more than the usual margin' }
+}, { description }));
+const COUNT = object({ open: int, total: int });
+
+const SCHEMAS = {
+  resort: schema('resort', 'Snow Monitor resort (v1)', object({
+    version: { const: VERSION },
+    id: str,
+    name: str,
+    area: nullable(str),
+    timezone: { ...str, description: 'IANA time zone; dates and "H:MM" times are local to it' },
+    updated: dateTime,
+    asOf: object(Object.fromEntries(KINDS.map(kind => [kind, nullable(dateTime)])), { description: 'When each section was last fetched' }),
+    stale: { type: 'array', items: { enum: KINDS }, description: 'Sections showing older data because their source failed or lags' },
+    stations: object({ top: nullable(STATION), mid: nullable(STATION), bottom: nullable(STATION) }),
+    snowfall: nullable(object({ past3Days: num, next3Days: num, next7Days: num }, { description: 'cm at the top station' })),
+    forecast: {
+      type: 'array',
+      items: object({
+        date,
+        weatherCode: nullable(int),
+        snowfall: nullable({ ...num, description: 'cm' }),
+        tempMin: nullable(num),
+        tempMax: nullable(num),
+        gustsMax: nullable({ ...num, description: 'km/h' }),
+        snowLine: nullable({ ...num, description: 'm' })
+      })
+    },
+    snowReport: nullable(object({ summitDepth: nullable({ ...num, description: 'cm' }), baseDepth: nullable({ ...num, description: 'cm' }), condition: nullable(str) })),
+    hours: nullable({ ...hours, description: "Today's opening hours of the whole area" }),
+    lifts: nullable(object({
+      open: int,
+      total: int,
+      items: {
+        type: 'array',
+        items: object({ name: str, status, hours: nullable(hours), windHold: nullable({ enum: ['ok', 'watch', 'hold'] }), sector: nullable(str) })
+      }
+    })),
+    pistes: nullable(object({
+      open: int,
+      total: int,
+      items: {
+        type: 'array',
+        items: object({ name: str, status, difficulty: nullable({ enum: ['green', 'blue', 'red', 'black'] }), lengthKm: nullable({ ...num, description: 'km' }), sector: nullable(str) })
+      }
+    })),
+    avalanche: nullable(object({
+      level,
+      label: nullable(str),
+      above: level,
+      below: level,
+      boundary: nullable(str),
+      problems: { type: 'array', items: object({ type: str, label: str, aspects: { type: 'array', items: str }, elevation: nullable(str) }) },
+      validFrom: nullable(dateTime),
+      validTo: nullable(dateTime),
+      source: nullable(str),
+      url: nullable(str)
+    })),
+    reconciled: object({
+      lifts: reconciled(COUNT, 'Open lifts'),
+      pistes: reconciled(COUNT, 'Open pistes'),
+      kmOpen: reconciled({ ...num, description: 'km' }, 'Open pistes in km'),
+      summitDepth: reconciled({ ...num, description: 'cm' }, 'Snow depth at the top'),
+      baseDepth: reconciled({ ...num, description: 'cm' }, 'Snow depth at the bottom'),
+      flags: { type: 'array', items: { enum: REC_FIELDS }, description: 'Fields whose sources disagree' }
+    }, { description: 'Values reported by more than one source, settled on one' })
+  })),
+  index: schema('index', 'Snow Monitor index (v1)', object({
+    version: { const: VERSION },
+    updated: dateTime,
+    resorts: {
+      type: 'array',
+      items: object({ id: str, name: str, area: nullable(str), href: str, calendar: str, liftsOpen: nullable(int), liftsTotal: nullable(int), avalancheLevel: level })
+    },
+    feeds: object({ changes: str, atom: str }),
+    schemas: object({ index: str, resort: str, changes: str })
+  })),
+  changes: schema('changes', 'Snow Monitor changes (v1)', object({
+    version: { const: VERSION },
+    updated: dateTime,
+    changes: {
+      type: 'array',
+      description: 'Newest first',
+      items: object({
+        id: str,
+        type: { enum: ['lift-status', 'piste-status', 'first-lift', 'fresh-snow', 'avalanche-up', 'avalanche-down'] },
+        resort: str,
+        severity: { enum: ['low', 'normal', 'high'] },
+        title: str,
+        message: str,
+        time: dateTime
+      })
+    }
+  }))
+};
+
+module.exports = { VERSION, DIR, resortDoc, indexDoc, SCHEMAS };
@@ -0,0 +1,150 @@
+// Snow Monitor - Avalanche bulletins
+// Bulletin sources and a CAAMLv6 parser that keeps what the bulletin says for
+// the resort's own micro-regions (danger by elevation band, problems, tendency).
+
+// url(cfg, date) builds the CAAMLv6 JSON URL; date is the bulletin day (YYYY-MM-DD, local time)
+const SOURCES = {
+  euregio: {
+    name: 'EUREGIO (Tyrol–South Tyrol–Trentino)',
+    url: (cfg) => `https://static.avalanche.report/bulletins/latest/EUREGIO_${cfg.lang || 'en'}_CAAMLv6.json`,
+    link: 'https://avalanche.report'
+  },
+  eaws: {
+    // Bulletins of every EAWS member, republished as CAAMLv6 per service (bulletin "IT-23" = Aosta Valley)
+    name: 'EAWS',
+    url: (cfg, date) => `https://static.avalanche.report/eaws_bulletins/${date}/${date}-${cfg.bulletin}.json`,
+    link: 'https://avalanches.org'
+  },
+  caaml: {
+    // Any other CAAMLv6 endpoint, given verbatim in resorts.json
+    name: 'CAAMLv6',
+    url: (cfg) => cfg.url,
+    link: null
+  }
+};
+
+const DANGER_LEVEL = { low: 1, moderate: 2, considerable: 3, high: 4, very_high: 5 };
+const LABEL = { 1: 'Low', 2: 'Moderate', 3: 'Considerable', 4: 'High', 5: 'Very High' };
+const COLOR = { 1: '#4CAF50', 2: '#FFEB3B', 3: '#FF9800', 4: '#F44336', 5: '#000' };
+const EMOJI = { 1: '🟢', 2: '🟡', 3: '🟠', 4: '🔴', 5: '⚫' };
+
+const PROBLEMS = {
+  new_snow: ['New snow', '❄️'],
+  wind_slab: ['Wind slab', '💨'],
+  persistent_weak_layers: ['Persistent weak layers', '🧱'],
+  wet_snow: ['Wet snow', '💧'],
+  gliding_snow: ['Gliding snow', '🐟'],
+  cornices: ['Cornices', '🪨'],
+  no_distinct_avalanche_problem: ['No distinct problem', '➖'],
+  favourable_situation: ['Favourable situation', '👍']
+};
+
+const TENDENCY = { increasing: '↗', steady: '→', decreasing: '↘' };
+const ASPECT_ORDER = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+function describeLevel(level) {
+  return { level, label: LABEL[level] || 'n/a', color: COLOR[level] || '#5a7a8a', emoji: EMOJI[level] || '❓' };
+}
+
+function bulletinUrl(cfg, date) {
+  const source = SOURCES[cfg.source];
+  if (!source) throw new Error(`Unknown avalanche source "${cfg.source}"`);
+  return source.url(cfg, date);
+}
+
+// A configured region ID matches itself and its sub-regions ("IT-23-AO" matches "IT-23-AO-A05")
+const regionMatches = (wanted, id) => wanted.some(w => id === w || id.startsWith(`${w}-`));
+
+// "2200" / "treeline" / undefined -> { lower, upper }
+function band(elevation) {
+  if (!elevation) return { lower: null, upper: null };
+  return { lower: elevation.lowerBound || null, upper: elevation.upperBound || null };
+}
+
+function bandLabel({ lower, upper }) {
+  const fmt = (b) => (b === 'treeline' ? 'treeline' : `${b}m`);
+  if (lower && upper) return `${fmt(lower)}–${fmt(upper)}`;
+  if (lower) return `above ${fmt(lower)}`;
+  if (upper) return `below ${fmt(upper)}`;
+  return 'all elevations';
+}
+
+function sortAspects(aspects) {
+  return (aspects || []).map(a => a.toUpperCase()).sort((a, b) => ASPECT_ORDER.indexOf(a) - ASPECT_ORDER.indexOf(b));
+}
+
+// Reduce a CAAMLv6 document to the bulletin covering `regions`.
+// If several bulletins match (one per sub-region) the most severe one wins.
+function parseCAAMLv6(doc, regions) {
+  const bulletins = (doc.bulletins || []).filter(b =>
+    !regions || regions.length === 0 || (b.regions || []).some(r => regionMatches(regions, r.regionID))
+  );
+  if (bulletins.length === 0) return null;
+
+  const maxLevel = b => Math.max(0, ...(b.dangerRatings || []).map(r => DANGER_LEVEL[r.mainValue] || 0));
+  const b = bulletins.reduce((best, x) => (maxLevel(x) > maxLevel(best) ? x : best));
+
+  const ratings = (b.dangerRatings || []).map(r => {
+    const elevation = band(r.elevation);
+    return {
+      ...describeLevel(DANGER_LEVEL[r.mainValue] || null),
+      elevation,
+      band: elevation.lower ? 'above' : elevation.upper ? 'below' : 'all',
+      period: r.validTimePeriod || 'all_day'
+    };
+  }).filter(r => r.level);
+
+  // Danger above/below the elevation boundary the bulletin uses (treeline or a height)
+  const pick = (bandName) => {
+    const rs = ratings.filter(r => r.band === bandName || r.band === 'all');
+    return rs.length ? Math.max(...rs.map(r => r.level)) : null;
+  };
+  const split = ratings.find(r => r.band !== 'all');
+  const boundary = split ? (split.elevation.lower || split.elevation.upper) : null;
+
+  const problems = (b.avalancheProblems || []).map(p => {
+    const [label, emoji] = PROBLEMS[p.problemType] || [p.problemType, '⚠️'];
+    const elevation = band(p.elevation);
+    return {
+      type: p.problemType,
+      label,
+      emoji,
+      aspects: sortAspects(p.aspects),
+      elevation,
+      elevationLabel: bandLabel(elevation),
+      period: p.validTimePeriod || 'all_day'
+    };
+  });
+
+  const tendency = (b.tendency || []).filter(t => t.tendencyType).map(t => ({
+    type: t.tendencyType,
+    arrow: TENDENCY[t.tendencyType] || '',
+    comment: t.highlights || t.comment || null,
+    validFrom: t.validTime?.startTime || null,
+    validTo: t.validTime?.endTime || null
+  }));
+
+  const level = Math.max(...ratings.map(r => r.level), 0) || null;
+  return {
+    ...describeLevel(level),
+    bulletinID: b.bulletinID || null,
+    regions: (b.regions || []).filter(r => !regions || regions.length === 0 || regionMatches(regions, r.regionID))
+      .map(r => ({ id: r.regionID, name: r.name })),
+    boundary,
+    above: pick('above'),
+    below: pick('below'),
+    ratings,
+    problems,
+    tendency,
+    highlights: b.highlights || null,
+    publicationTime: b.publicationTime || null,
+    validFrom: b.validTime?.startTime || null,
+    validTo: b.validTime?.endTime || null,
+    nextUpdate: b.nextUpdate || null
+  };
+}
+
+const isExpired = (bulletin, now = Date.now()) =>
+  !!(bulletin && bulletin.validTo && Date.parse(bulletin.validTo) < now);
+
+module.exports = { SOURCES, PROBLEMS, DANGER_LEVEL, bulletinUrl, parseCAAMLv6, describeLevel, bandLabel, isExpired };
@@ -0,0 +1,78 @@
+// Snow Monitor - Browser bundle
+// Packs lib/ modules into one script so the client app runs the same code as
+// the static page. Each file becomes a function in a module table and a small
+// require() resolves the relative paths between them; the bundle exposes it as
+// window.SnowMonitor.require. A module that needs a Node built-in can't be
+// packed, so bundle() throws instead of shipping an app.js that breaks later.
+
+const fs = require('fs');
+const path = require('path');
+
+const LIB = __dirname;
+const REQUIRE_RE = /\brequire\((['"])([^'"]+)\1\)/g;
+
+function resolve(fromId, request) {
+  const parts = path.posix.dirname(fromId).split('/').filter(p => p && p !== '.');
+  for (const p of request.split('/')) {
+    if (p === '..') parts.pop();
+    else if (p !== '.') parts.push(p);
+  }
+  const id = parts.join('/');
+  if (fs.existsSync(path.join(LIB, `${id}.js`))) return id;
+  if (fs.existsSync(path.join(LIB, id, 'index.js'))) return `${id}/index`;
+  throw new Error(`${fromId}.js: cannot find module "${request}"`);
+}
+
+// Module ids ("render", "providers/index") reachable from `entries` through
+// static require() calls, plus every module in `dirs` (for dynamic requires)
+function collect(entries, dirs) {
+  const ids = new Set();
+  const queue = [...entries];
+  for (const dir of dirs) {
+    for (const file of fs.readdirSync(path.join(LIB, dir))) if (file.endsWith('.js')) queue.push(`${dir}/${file.slice(0, -3)}`);
+  }
+  while (queue.length) {
+    const id = queue.shift();
+    if (ids.has(id)) continue;
+    ids.add(id);
+    const source = fs.readFileSync(path.join(LIB, `${id}.js`), 'utf8');
+    for (const [, , request] of source.matchAll(REQUIRE_RE)) {
+      if (!request.startsWith('.')) throw new Error(`${id}.js requires "${request}", which the browser doesn't have`);
+      queue.push(resolve(id, request));
+    }
+  }
+  return [...ids];
+}
+
+function bundle(entries, dirs = []) {
+  const modules = collect(entries, dirs).map(id =>
+    `${JSON.stringify(id)}: function (module, exports, require) {\n${fs.readFileSync(path.join(LIB, `${id}.js`), 'utf8')}\n}`
+  ).join(',\n');
+  return `// Snow Monitor - bundled from lib/ by lib/bundle.js; edit the sources, not this file
+(function () {
+var modules = {
+${modules}
+};
+var cache = {};
+function resolve(from, request) {
+  var parts = from.split('/').slice(0, -1);
+  request.split('/').forEach(function (p) {
+    if (p === '..') parts.pop();
+    else if (p !== '.') parts.push(p);
+  });
+  var id = parts.join('/');
+  return modules[id] ? id : id + '/index';
+}
+function load(id) {
+  if (!cache[id]) {
+    var module = cache[id] = { exports: {} };
+    modules[id](module, module.exports, function (request) { return load(resolve(id, request)); });
+  }
+  return cache[id].exports;
+}
+window.SnowMonitor = { require: load };
+})();
+`;
+}
+
+module.exports = { bundle };
@@ -0,0 +1,165 @@
+// Snow Monitor - Change detection
+// Compares this run with the previous data.json and turns differences into events:
+//   { key, type, resort, severity, title, message, time }
+// `key` names what changed; with `time` it identifies the event, except for the
+// day-keyed ONCE_PER_KEY types, whose key alone does (see lib/notify.js).
+
+const { timeZoneOf, localDate } = require('./time');
+
+const DEFAULT_RULES = {
+  events: ['lift-status', 'piste-status', 'first-lift', 'fresh-snow', 'avalanche-up', 'source-failed'],
+  lifts: ['*'],        // lift names to report individually ("*" = all)
+  pistes: [],          // piste names to report individually
+  freshSnowCm: 10,
+  quietHours: null,    // e.g. { "from": "22:00", "to": "07:00" }
+  channels: null       // channel names from notify.json (null = all)
+};
+
+// Events whose key carries the (resort-local) day fire on every run of that
+// day: one per key is enough. The others only fire on an actual change.
+const ONCE_PER_KEY = new Set(['first-lift', 'fresh-snow']);
+
+const STATUS_LABEL = { open: 'open', closed: 'closed', evaluating: 'under evaluation' };
+const SOURCE_LABEL = { weather: 'Weather', liftStatus: 'Lift status', schedule: 'Lift schedule', snowReport: 'Snow report', avalanche: 'Avalanche bulletin' };
+
+
+// `overrides` beat the resort's own notify rules (the public changes feed uses them)
+function rulesFor(resort, defaults = {}, overrides = {}) {
+  return { ...DEFAULT_RULES, ...defaults, ...(resort.notify || {}), ...overrides };
+}
+
+const watches = (list, name) => list.includes('*') || list.some(n => n.toUpperCase() === name.toUpperCase());
+
+// Snowfall of the day before `date` at the top station
+function freshSnow(entry, date) {
+  const top = entry.weather && (entry.weather.top || entry.weather.mid);
+  if (!top || !top.daily || !top.daily.time) return null;
+  const i = top.daily.time.indexOf(date) - 1;
+  return i >= 0 ? top.daily.snowfall_sum[i] : null;
+}
+
+function statusEvents(resort, kind, prevList, nextList, watched, timestamp) {
+  const events = [];
+  const prev = Object.fromEntries((prevList || []).map(x => [x.name, x.status]));
+  for (const { name, status } of nextList) {
+    if (!prev[name] || prev[name] === status || !watches(watched, name)) continue;
+    const what = kind === 'lift' ? 'Lift' : 'Piste';
+    events.push({
+      key: `${resort.id}:${kind}:${name}:${prev[name]}>${status}`,
+      type: `${kind}-status`,
+      resort: resort.id,
+      severity: 'low',
+      title: `${resort.name}: ${name} ${STATUS_LABEL[status] || status}`,
+      message: `${what} ${name} is now ${STATUS_LABEL[status] || status} (was ${STATUS_LABEL[prev[name]] || prev[name]}).`,
+      time: timestamp
+    });
+  }
+  return events;
+}
+
+function detectResort(prev, next, rules, timestamp) {
+  const { resort } = next;
+  const tz = timeZoneOf(resort);
+  const today = localDate(timestamp, tz);
+  const enabled = new Set(rules.events);
+  let events = [];
+
+  const prevLifts = prev && prev.liftStatus;
+  const nextLifts = next.liftStatus;
+  if (prevLifts && nextLifts) {
+    if (enabled.has('lift-status')) events.push(...statusEvents(resort, 'lift', prevLifts.lifts, nextLifts.lifts, rules.lifts, timestamp));
+    if (enabled.has('piste-status')) events.push(...statusEvents(resort, 'piste', prevLifts.pistes, nextLifts.pistes, rules.pistes, timestamp));
+  }
+
+  // First lift of the day: nothing was open in the previous run (or it was yesterday's)
+  if (enabled.has('first-lift') && nextLifts) {
+    const openNow = nextLifts.lifts.filter(l => l.status === 'open');
+    const prevOpen = prevLifts && prev.time && localDate(prev.time, tz) === today
+      ? prevLifts.lifts.filter(l => l.status === 'open').length : 0;
+    if (openNow.length > 0 && prevOpen === 0) {
+      events.push({
+        key: `${resort.id}:first-lift:${today}`,
+        type: 'first-lift',
+        resort: resort.id,
+        severity: 'normal',
+        title: `${resort.name}: lifts are running`,
+        message: `First lift open today: ${openNow[0].name}${openNow.length > 1 ? ` (+${openNow.length - 1} more)` : ''}.`,
+        time: timestamp
+      });
+    }
+  }
+
+  if (enabled.has('fresh-snow')) {
+    const cm = freshSnow(next, today);
+    if (cm !== null && cm >= rules.freshSnowCm) {
+      events.push({
+        key: `${resort.id}:fresh-snow:${today}`,
+        type: 'fresh-snow',
+        resort: resort.id,
+        severity: 'normal',
+        title: `${resort.name}: ${cm.toFixed(0)}cm fresh snow ❄️`,
+        message: `${cm.toFixed(1)}cm of snow fell yesterday at ${resort.elevations.top}m.`,
+        time: timestamp
+      });
+    }
+  }
+
+  const prevAvy = prev && prev.avalanche, nextAvy = next.avalanche;
+  if (enabled.has('avalanche-up') && prevAvy && nextAvy && nextAvy.level > prevAvy.level) {
+    events.push({
+      key: `${resort.id}:avalanche-up:${nextAvy.level}:${nextAvy.validFrom || today}`,
+      type: 'avalanche-up',
+      resort: resort.id,
+      severity: 'high',
+      title: `${resort.name}: avalanche danger up to ${nextAvy.label} (${nextAvy.level}/5)`,
+      message: `Avalanche danger rose from ${prevAvy.label} (${prevAvy.level}) to ${nextAvy.label} (${nextAvy.level}).`,
+      time: timestamp
+    });
+  }
+
+  if (enabled.has('avalanche-down') && prevAvy && nextAvy && nextAvy.level < prevAvy.level) {
+    events.push({
+      key: `${resort.id}:avalanche-down:${nextAvy.level}:${nextAvy.validFrom || today}`,
+      type: 'avalanche-down',
+      resort: resort.id,
+      severity: 'low',
+      title: `${resort.name}: avalanche danger down to ${nextAvy.label} (${nextAvy.level}/5)`,
+      message: `Avalanche danger fell from ${prevAvy.label} (${prevAvy.level}) to ${nextAvy.label} (${nextAvy.level}).`,
+      time: timestamp
+    });
+  }
+
+  // A source that worked last run and now returns nothing
+  if (enabled.has('source-failed') && next.sources) {
+    for (const [kind, outcome] of Object.entries(next.sources)) {
+      const before = prev && prev.sources && prev.sources[kind];
+      if (outcome.ok || outcome.error.type === 'config' || (before && !before.ok)) continue;
+      events.push({
+        key: `${resort.id}:source:${kind}`,
+        type: 'source-failed',
+        resort: resort.id,
+        severity: 'low',
+        title: `${resort.name}: ${SOURCE_LABEL[kind] || kind} unavailable`,
+        message: `${outcome.provider} ${outcome.error.type === 'parse' ? 'returned nothing' : 'failed'}: ${outcome.error.message}`,
+        time: timestamp
+      });
+    }
+  }
+
+  return events;
+}
+
+// prevData: previous data.json contents (or null); allData: this run's entries
+function detectChanges(prevData, allData, timestamp, defaults = {}, overrides = {}) {
+  const prevById = {};
+  for (const e of (prevData && prevData.resorts) || []) {
+    if (e.resort) prevById[e.resort.id] = { ...e, time: prevData.timestamp };
+  }
+  const events = [];
+  for (const next of allData) {
+    events.push(...detectResort(prevById[next.resort.id] || null, next, rulesFor(next.resort, defaults, overrides), timestamp));
+  }
+  return events;
+}
+
+module.exports = { detectChanges, rulesFor, DEFAULT_RULES, ONCE_PER_KEY };
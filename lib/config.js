@@ -0,0 +1,163 @@
+// Snow Monitor - resorts.json loading and validation
+// validateResorts() checks the file against the schema below and returns a list
+// of { path, message } problems (empty when the config is valid).
+// site.json holds page-wide settings: default language and units, the time
+// zone of the page header, extra language/unit variants to publish, and the
+// port and per-kind refresh intervals of `fetch-data.js serve`.
+
+const fs = require('fs');
+const providers = require('./providers');
+const avalanche = require('./avalanche');
+const i18n = require('./i18n');
+const time = require('./time');
+const windhold = require('./windhold');
+
+const STATIONS = ['top', 'mid', 'bottom'];
+const URL_KEYS = ['onTheSnowUrl', 'skiramaUrl', 'liftScheduleUrl'];
+
+function loadResorts(file) {
+  const resorts = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(resorts)) throw new Error(`${file} must contain an array of resorts`);
+  return resorts;
+}
+
+function isUrl(value) {
+  try {
+    const u = new URL(value);
+    return u.protocol === 'https:' || u.protocol === 'http:';
+  } catch (e) {
+    return false;
+  }
+}
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+function validateResort(resort, at, errors) {
+  const err = (p, message) => errors.push({ path: `${at}${p ? `.${p}` : ''}`, message });
+  if (!resort || typeof resort !== 'object' || Array.isArray(resort)) return err('', 'must be an object');
+
+  if (typeof resort.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(resort.id)) err('id', 'must be a lowercase slug (a-z, 0-9, -)');
+  if (typeof resort.name !== 'string' || !resort.name.trim()) err('name', 'must be a non-empty string');
+  if (resort.area !== undefined && typeof resort.area !== 'string') err('area', 'must be a string');
+  if (resort.country !== undefined && !/^[A-Z]{2}$/.test(resort.country)) err('country', 'must be an ISO 3166 alpha-2 code');
+  if (resort.timezone !== undefined && !time.isTimeZone(resort.timezone)) err('timezone', 'must be an IANA time zone (e.g. "Europe/Rome")');
+  if (!isNumber(resort.lat) || resort.lat < -90 || resort.lat > 90) err('lat', 'must be a latitude between -90 and 90');
+  if (!isNumber(resort.lon) || resort.lon < -180 || resort.lon > 180) err('lon', 'must be a longitude between -180 and 180');
+
+  const elev = resort.elevations;
+  if (!elev || typeof elev !== 'object' || Array.isArray(elev)) {
+    err('elevations', 'must be an object with top, mid and bottom');
+  } else {
+    for (const s of STATIONS) {
+      if (!isNumber(elev[s]) || elev[s] < 0 || elev[s] > 9000) err(`elevations.${s}`, 'must be an elevation in metres');
+    }
+    for (const k of Object.keys(elev)) if (!STATIONS.includes(k)) err(`elevations.${k}`, 'unknown station (expected top, mid, bottom)');
+    if (STATIONS.every(s => isNumber(elev[s])) && !(elev.top > elev.mid && elev.mid > elev.bottom)) {
+      err('elevations', 'must satisfy top > mid > bottom');
+    }
+  }
+
+  if (resort.lifts !== undefined) {
+    if (!resort.lifts || typeof resort.lifts !== 'object' || Array.isArray(resort.lifts)) {
+      err('lifts', 'must be an object keyed by lift name');
+    } else {
+      for (const [name, lift] of Object.entries(resort.lifts)) {
+        const at = `lifts.${name}`;
+        if (!lift || typeof lift !== 'object') { err(at, 'must be an object'); continue; }
+        if (lift.type !== undefined && !windhold.LIFT_TYPES[lift.type]) err(`${at}.type`, `must be one of ${Object.keys(windhold.LIFT_TYPES).join(', ')}`);
+        if (lift.station !== undefined && !STATIONS.includes(lift.station)) err(`${at}.station`, 'must be top, mid or bottom');
+        if (lift.elevation !== undefined && (!isNumber(lift.elevation) || lift.elevation < 0 || lift.elevation > 9000)) err(`${at}.elevation`, 'must be an elevation in metres');
+        if (lift.gustThreshold !== undefined && (!isNumber(lift.gustThreshold) || lift.gustThreshold <= 0)) err(`${at}.gustThreshold`, 'must be a gust speed in km/h');
+      }
+    }
+  }
+
+  if (resort.sectors !== undefined && (!resort.sectors || typeof resort.sectors !== 'object' || Array.isArray(resort.sectors)
+    || Object.values(resort.sectors).some(names => !Array.isArray(names) || names.some(n => typeof n !== 'string')))) {
+    err('sectors', 'must map sector names to lists of lift and piste names');
+  }
+
+  for (const k of URL_KEYS) {
+    if (resort[k] !== undefined && !isUrl(resort[k])) err(k, 'must be an http(s) URL');
+  }
+
+  if (resort.sources !== undefined) {
+    if (!resort.sources || typeof resort.sources !== 'object') {
+      err('sources', 'must be an object');
+    } else {
+      for (const [kind, cfg] of Object.entries(resort.sources)) {
+        if (!providers.KINDS[kind]) { err(`sources.${kind}`, `unknown data kind (expected ${Object.keys(providers.KINDS).join(', ')})`); continue; }
+        if (!cfg || typeof cfg.provider !== 'string') { err(`sources.${kind}.provider`, 'is required'); continue; }
+        if (!providers.getAdapter(kind, cfg.provider)) err(`sources.${kind}.provider`, `unknown ${kind} provider "${cfg.provider}"`);
+        if (cfg.url !== undefined && !isUrl(cfg.url)) err(`sources.${kind}.url`, 'must be an http(s) URL');
+        if (cfg.link !== undefined && !isUrl(cfg.link)) err(`sources.${kind}.link`, 'must be an http(s) URL');
+        if (cfg.aliases !== undefined && (!cfg.aliases || typeof cfg.aliases !== 'object' || Array.isArray(cfg.aliases) || Object.values(cfg.aliases).some(v => typeof v !== 'string'))) {
+          err(`sources.${kind}.aliases`, 'must map lift names to schedule names');
+        }
+      }
+    }
+  }
+
+  const avy = providers.resolveSources(resort).avalanche;
+  if (avy) {
+    const where = resort.sources && resort.sources.avalanche ? 'sources.avalanche' : 'avalanche';
+    if (!avalanche.SOURCES[avy.source]) err(`${where}.source`, `must be one of ${Object.keys(avalanche.SOURCES).join(', ')}`);
+    if (avy.source === 'eaws' && !avy.bulletin) err(`${where}.bulletin`, 'is required for EAWS bulletins (e.g. "IT-23")');
+    if (avy.source === 'caaml' && !isUrl(avy.url)) err(`${where}.url`, 'must be an http(s) URL');
+    if (avy.regions !== undefined && (!Array.isArray(avy.regions) || avy.regions.some(r => typeof r !== 'string'))) {
+      err(`${where}.regions`, 'must be an array of region IDs');
+    }
+  }
+}
+
+function validateResorts(resorts) {
+  const errors = [];
+  if (!Array.isArray(resorts)) return [{ path: '', message: 'must be an array of resorts' }];
+  if (resorts.length === 0) errors.push({ path: '', message: 'must list at least one resort' });
+  const seen = new Set();
+  resorts.forEach((r, i) => {
+    validateResort(r, `[${i}]`, errors);
+    if (r && r.id) {
+      if (seen.has(r.id)) errors.push({ path: `[${i}].id`, message: `duplicate id "${r.id}"` });
+      seen.add(r.id);
+    }
+  });
+  return errors;
+}
+
+// --- site.json ---
+
+const SITE_DEFAULTS = { lang: 'en', units: 'metric', timezone: null, variants: [], serve: {} };
+
+function loadSite(file) {
+  if (!file || !fs.existsSync(file)) return { ...SITE_DEFAULTS };
+  return { ...SITE_DEFAULTS, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+function validateSite(site) {
+  const errors = [];
+  const err = (p, message) => errors.push({ path: p ? `.${p}` : '', message });
+  const checkView = (v, at) => {
+    if (v.lang !== undefined && !i18n.LANGUAGES.includes(v.lang)) err(`${at}lang`, `must be one of ${i18n.LANGUAGES.join(', ')}`);
+    if (v.units !== undefined && !i18n.UNIT_SYSTEMS.includes(v.units)) err(`${at}units`, `must be one of ${i18n.UNIT_SYSTEMS.join(', ')}`);
+  };
+  if (!site || typeof site !== 'object' || Array.isArray(site)) return [{ path: '', message: 'must be an object' }];
+  checkView(site, '');
+  if (site.timezone !== null && site.timezone !== undefined && !time.isTimeZone(site.timezone)) err('timezone', 'must be an IANA time zone (e.g. "Europe/Rome")');
+  if (!Array.isArray(site.variants)) err('variants', 'must be an array of { lang, units }');
+  else site.variants.forEach((v, i) => (v && typeof v === 'object' ? checkView(v, `variants[${i}].`) : err(`variants[${i}]`, 'must be an object')));
+  const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+  if (site.serve !== undefined && !isObject(site.serve)) err('serve', 'must be an object');
+  else if (site.serve) {
+    const { port, refreshMinutes } = site.serve;
+    if (port !== undefined && !(Number.isInteger(port) && port > 0 && port < 65536)) err('serve.port', 'must be a port number (1-65535)');
+    if (refreshMinutes !== undefined && !isObject(refreshMinutes)) err('serve.refreshMinutes', 'must be an object of data kind -> minutes');
+    for (const [kind, minutes] of Object.entries(isObject(refreshMinutes) ? refreshMinutes : {})) {
+      if (!providers.KINDS[kind]) err(`serve.refreshMinutes.${kind}`, `unknown data kind (expected ${Object.keys(providers.KINDS).join(', ')})`);
+      else if (typeof minutes !== 'number' || !(minutes > 0)) err(`serve.refreshMinutes.${kind}`, 'must be a positive number of minutes');
+    }
+  }
+  return errors;
+}
+
+module.exports = { loadResorts, validateResorts, isUrl, loadSite, validateSite };
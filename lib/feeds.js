@@ -0,0 +1,114 @@
+// Snow Monitor - Subscribable feeds
+// changes.json keeps the last MAX_CHANGES notable changes (lib/changes.js
+// events, with the public feed's own rules rather than notify.json's), and
+// changes.atom is the same list as an Atom feed. resorts/<id>.ics is an iCal
+// calendar with one event per day the lifts run, over the next CALENDAR_DAYS.
+
+const time = require('./time');
+const scheduleLib = require('./schedule');
+const { VERSION } = require('./api');
+const { ONCE_PER_KEY } = require('./changes');
+
+const MAX_CHANGES = 100;
+const CALENDAR_DAYS = 14;
+const TAG = 'tag:snow-monitor,2025';
+
+// Rules for detectChanges(): every lift, no pistes, no source failures
+const FEED_RULES = { events: ['first-lift', 'lift-status', 'fresh-snow', 'avalanche-up', 'avalanche-down'], lifts: ['*'], pistes: [] };
+
+function emptyLog(timestamp) {
+  return { version: VERSION, updated: timestamp, changes: [] };
+}
+
+// The log with `events` added (newest first). A change's id is "<event key>@<time>".
+function recordChanges(log, events, timestamp) {
+  const known = new Set(log.changes.map(c => c.id.slice(0, c.id.lastIndexOf('@'))));
+  // Day-keyed events are logged once; for the others a repeated key is a new change
+  const added = events
+    .filter(e => !(ONCE_PER_KEY.has(e.type) && known.has(e.key)))
+    .map(e => ({ id: `${e.key}@${e.time}`, type: e.type, resort: e.resort, severity: e.severity, title: e.title, message: e.message, time: e.time }));
+  return { version: VERSION, updated: timestamp, changes: [...added, ...log.changes].slice(0, MAX_CHANGES) };
+}
+
+// --- Atom ---
+
+const xml = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function atom(log, { title, link }) {
+  const entries = log.changes.map(c => `  <entry>
+    <id>${TAG}:${xml(encodeURIComponent(c.id))}</id>
+    <title>${xml(c.title)}</title>
+    <updated>${c.time}</updated>
+    <category term="${c.type}"/>
+    <link rel="alternate" href="${xml(link)}"/>
+    <summary>${xml(c.message)}</summary>
+  </entry>`).join('\n');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${TAG}:changes</id>
+  <title>${xml(title)}</title>
+  <updated>${log.updated}</updated>
+  <author><name>Snow Monitor</name></author>
+  <link rel="self" href="changes.atom"/>
+  <link rel="alternate" href="${xml(link)}"/>
+${entries}
+</feed>
+`;
+}
+
+// --- iCal ---
+
+const icsText = s => String(s).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/[,;]/g, m => `\\${m}`);
+const icsTime = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+// Lines are folded at 75 octets (RFC 5545 3.1); continuation lines start with a space
+function fold(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (parts.length ? 74 : 75), bytes.length);
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--; // don't split a character
+    parts.push(bytes.subarray(start, end).toString('utf8'));
+    start = end;
+  }
+  return parts.join('\r\n ');
+}
+
+function ical(entry, timestamp, days = CALENDAR_DAYS) {
+  const { resort, schedule } = entry;
+  const tz = time.timeZoneOf(resort);
+  const first = time.localDate(timestamp, tz);
+  const events = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(Date.parse(`${first}T12:00:00Z`) + i * 86400000).toISOString().slice(0, 10);
+    const day = scheduleLib.dayHours(schedule, date);
+    if (!day || !day.generalOpen) continue;
+    const lifts = Object.entries(day.hours).map(([name, h]) => `${name}: ${h.open}–${h.close}`);
+    events.push([
+      'BEGIN:VEVENT',
+      `UID:${resort.id}-${date}@snow-monitor`,
+      `DTSTAMP:${icsTime(new Date(timestamp))}`,
+      `DTSTART:${icsTime(time.fromLocal(date, day.generalOpen, tz))}`,
+      `DTEND:${icsTime(time.fromLocal(date, day.generalClose, tz))}`,
+      `SUMMARY:${icsText(`${resort.name}: lifts ${day.generalOpen}–${day.generalClose}`)}`,
+      `DESCRIPTION:${icsText(lifts.join('\n'))}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ]);
+  }
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Snow Monitor//Lift hours//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(`${resort.name} lift hours`)}`,
+    `X-WR-TIMEZONE:${tz}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+module.exports = { FEED_RULES, emptyLog, recordChanges, atom, ical };
@@ -0,0 +1,98 @@
+// Snow Monitor - Mountain forecast
+// Hourly rows per station and a 7-day strip per resort, derived from the
+// Open-Meteo hourly/daily blocks (times are local to the requested timezone).
+
+const { localDateTime } = require('./time');
+
+// Snow usually reaches ~300 m below the freezing level
+const SNOW_LINE_OFFSET = 300;
+
+const at = (arr, i) => (arr && arr[i] !== undefined ? arr[i] : null);
+
+// Next `count` hours from the station's current time
+function hourlyRows(station, count = 24) {
+  const h = station && station.hourly;
+  if (!h || !h.time) return [];
+  const now = (station.current && station.current.time) || localDateTime(Date.now(), station.timezone);
+  const hourStart = `${now.slice(0, 13)}:00`;
+  let start = h.time.findIndex(t => t >= hourStart);
+  if (start < 0) return [];
+
+  const rows = [];
+  for (let i = start; i < h.time.length && rows.length < count; i++) {
+    rows.push({
+      time: h.time[i],
+      temp: at(h.temperature_2m, i),
+      feels: at(h.apparent_temperature, i),
+      snowfall: at(h.snowfall, i),
+      rain: at(h.rain, i),
+      freezingLevel: at(h.freezing_level_height, i),
+      wind: at(h.wind_speed_10m, i),
+      gusts: at(h.wind_gusts_10m, i),
+      cloudCover: at(h.cloud_cover, i),
+      visibility: at(h.visibility, i),
+      code: at(h.weather_code, i)
+    });
+  }
+  return rows;
+}
+
+// Rain/snow line for one day: freezing level minus SNOW_LINE_OFFSET, averaged
+// over the hours with precipitation (or the whole day when it stays dry)
+function snowLine(hourly, date) {
+  if (!hourly || !hourly.freezing_level_height) return null;
+  const idx = hourly.time.map((t, i) => (t.startsWith(date) ? i : -1)).filter(i => i >= 0);
+  const wet = idx.filter(i => (at(hourly.precipitation, i) || 0) > 0);
+  const levels = (wet.length ? wet : idx).map(i => at(hourly.freezing_level_height, i)).filter(v => v !== null);
+  if (!levels.length) return null;
+  const mean = levels.reduce((a, b) => a + b, 0) / levels.length;
+  return { elevation: Math.max(0, Math.round((mean - SNOW_LINE_OFFSET) / 50) * 50), wet: wet.length > 0 };
+}
+
+// One entry per forecast day from `today` on, using the top station for
+// snow/sunshine and the bottom station for rain in the valley
+function dailyStrip(weather, today, days = 7) {
+  const top = weather && (weather.top || weather.mid || weather.bottom);
+  const bottom = weather && (weather.bottom || weather.mid || weather.top);
+  if (!top || !top.daily || !top.daily.time) return [];
+  const d = top.daily;
+  const strip = [];
+  for (let i = 0; i < d.time.length && strip.length < days; i++) {
+    if (d.time[i] < today) continue;
+    const j = bottom.daily && bottom.daily.time ? bottom.daily.time.indexOf(d.time[i]) : -1;
+    const sunshine = at(d.sunshine_duration, i);
+    strip.push({
+      date: d.time[i],
+      code: at(d.weather_code, i),
+      snowfall: at(d.snowfall_sum, i),
+      rainBottom: j >= 0 ? at(bottom.daily.rain_sum, j) : null,
+      tempMax: at(d.temperature_2m_max, i),
+      tempMin: at(d.temperature_2m_min, i),
+      gustsMax: at(d.wind_gusts_10m_max, i),
+      sunshineHours: sunshine !== null ? Math.round(sunshine / 360) / 10 : null,
+      snowLine: snowLine(top.hourly, d.time[i])
+    });
+  }
+  return strip;
+}
+
+// Snowfall at the top station: the past 3 days, and the next 3 and 7 days from `today` on
+function snowTotals(weather, today) {
+  const top = weather && weather.top;
+  if (!top || !top.daily || !top.daily.snowfall_sum || !top.daily.time) return null;
+  const { time: times, snowfall_sum: snows } = top.daily;
+  const totals = { fresh3: 0, next3: 0, next7: 0 };
+  let futureCount = 0;
+  for (let i = 0; i < times.length; i++) {
+    if (times[i] < today) {
+      totals.fresh3 += snows[i] || 0;
+    } else {
+      totals.next7 += snows[i] || 0;
+      if (futureCount < 3) totals.next3 += snows[i] || 0;
+      futureCount++;
+    }
+  }
+  return totals;
+}
+
+module.exports = { hourlyRows, dailyStrip, snowLine, snowTotals, SNOW_LINE_OFFSET };
@@ -0,0 +1,128 @@
+// Snow Monitor - Source health and last-known-good fallback
+// Each resort entry carries asOf[kind] (when that section's data was fetched).
+// A source that fails keeps serving its last good value from the previous
+// data.json, and data.json's `sources` block tracks every source over time:
+//   { provider, status: ok | degraded | failed, latencyMs, lastAttempt, lastSuccess,
+//     consecutiveFailures, items, usualItems, error }
+// A source is degraded when part of it failed (the adapter's warnings) or it
+// returned far fewer items than usual.
+
+const providers = require('./providers');
+
+// Fewer items than this share of the usual count marks a source degraded
+const DEGRADED_RATIO = 0.5;
+const USUAL_WEIGHT = 0.2; // moving-average weight of the latest count
+
+// Section age after which it is shown as stale even if the last fetch worked
+const STALE_MINUTES = { weather: 90, liftStatus: 30, schedule: 48 * 60, snowReport: 24 * 60, avalanche: 24 * 60 };
+
+function itemCounts(kind, data) {
+  if (!data) return null;
+  switch (kind) {
+    case 'weather': return { stations: Object.values(data).filter(Boolean).length };
+    case 'liftStatus': return { lifts: data.lifts.length, pistes: data.pistes.length };
+    case 'schedule': return { lifts: Object.keys(data.lifts || data.hours).length };
+    case 'snowReport': return { fields: Object.values(data).filter(v => v !== null).length };
+    case 'avalanche': return { ratings: (data.ratings || []).length, problems: (data.problems || []).length };
+    default: return null;
+  }
+}
+
+const configured = outcome => outcome && !(outcome.error && outcome.error.type === 'config' && !outcome.provider);
+
+// Merge this run's entry with the previous one: sections not fetched this run
+// are carried over, failed sections fall back to the last good value.
+function applyFallback(prev, next, kinds, timestamp, prevTimestamp) {
+  if (!prev) {
+    const asOf = {};
+    for (const kind of kinds) if (next[kind]) asOf[kind] = timestamp;
+    return { ...next, asOf };
+  }
+  const merged = { ...prev, ...next, sources: { ...(prev.sources || {}), ...next.sources } };
+  const prevAsOf = prev.asOf || {};
+  merged.asOf = {};
+  for (const kind of Object.keys(providers.KINDS)) {
+    const prevAt = prevAsOf[kind] || (prev[kind] ? prevTimestamp : undefined);
+    if (!kinds.includes(kind) || (!next[kind] && prev[kind])) {
+      // Not fetched this run, or failed: keep the last good value
+      merged[kind] = prev[kind] !== undefined ? prev[kind] : null;
+      if (merged[kind] && prevAt) merged.asOf[kind] = prevAt;
+    } else if (next[kind]) {
+      merged.asOf[kind] = timestamp;
+    }
+  }
+  return merged;
+}
+
+// The entry as fetched this run, without fallback values (for history and change tracking)
+function freshOnly(entry) {
+  const out = { ...entry };
+  for (const [kind, outcome] of Object.entries(entry.sources || {})) if (!outcome.ok) out[kind] = null;
+  return out;
+}
+
+function isStale(entry, kind, timestamp) {
+  const outcome = entry.sources && entry.sources[kind];
+  const at = entry.asOf && entry.asOf[kind];
+  if (!entry[kind] || !at) return false;
+  if (outcome && !outcome.ok) return true;
+  return Date.parse(timestamp) - Date.parse(at) > (STALE_MINUTES[kind] || 60) * 60000;
+}
+
+function sourceHealth(prev, kind, outcome, data, timestamp) {
+  const h = {
+    provider: outcome.provider,
+    status: outcome.ok ? 'ok' : 'failed',
+    latencyMs: outcome.latencyMs ?? null,
+    lastAttempt: timestamp,
+    lastSuccess: outcome.ok ? timestamp : (prev && prev.lastSuccess) || null,
+    consecutiveFailures: outcome.ok ? 0 : ((prev && prev.consecutiveFailures) || 0) + 1,
+    items: outcome.ok ? itemCounts(kind, data) : null,
+    usualItems: (prev && prev.usualItems) || null,
+    error: outcome.ok ? null : outcome.error
+  };
+  if (outcome.ok && h.items) {
+    const usual = h.usualItems || {};
+    const low = Object.entries(h.items).filter(([k, n]) => usual[k] >= 4 && n < usual[k] * DEGRADED_RATIO);
+    if (outcome.warnings && outcome.warnings.length) {
+      // Part of the source failed (e.g. one weather station): keep the baseline as it is
+      h.status = 'degraded';
+      h.error = { type: 'partial', message: outcome.warnings.join('; ') };
+    } else if (low.length) {
+      h.status = 'degraded';
+      h.error = { type: 'items', message: low.map(([k, n]) => `${n} ${k} (usually ${Math.round(usual[k])})`).join(', ') };
+    } else {
+      // Only healthy runs move the baseline, so a broken scraper can't make 0 look normal
+      h.usualItems = Object.fromEntries(Object.entries(h.items).map(([k, n]) =>
+        [k, usual[k] === undefined ? n : Math.round((usual[k] * (1 - USUAL_WEIGHT) + n * USUAL_WEIGHT) * 10) / 10]
+      ));
+    }
+  }
+  return h;
+}
+
+// New `sources` block from the previous one and this run's fetched entries
+function updateHealth(prevSources, fetched, timestamp) {
+  const sources = JSON.parse(JSON.stringify(prevSources || {}));
+  for (const entry of fetched) {
+    const id = entry.resort.id;
+    sources[id] = sources[id] || {};
+    for (const [kind, outcome] of Object.entries(entry.sources)) {
+      if (!configured(outcome)) { delete sources[id][kind]; continue; }
+      sources[id][kind] = sourceHealth(sources[id][kind], kind, outcome, entry[kind], timestamp);
+    }
+  }
+  return sources;
+}
+
+function summarize(sources) {
+  const all = Object.values(sources || {}).flatMap(r => Object.values(r));
+  return {
+    total: all.length,
+    ok: all.filter(s => s.status === 'ok').length,
+    degraded: all.filter(s => s.status === 'degraded').length,
+    failed: all.filter(s => s.status === 'failed').length
+  };
+}
+
+module.exports = { applyFallback, freshOnly, isStale, updateHealth, summarize, itemCounts, STALE_MINUTES };
@@ -0,0 +1,229 @@
+// Snow Monitor - History store
+// Append-only, compacted per-resort history:
+//   history/<resort>/intraday-YYYY-MM-DD.jsonl  one line per run (only when something changed)
+//   history/<resort>/daily-YYYY-YY.jsonl        one line per finished day, one file per season
+// Intra-day files are rolled up into the season file once the day is over and
+// deleted after INTRADAY_DAYS; season files are kept for SEASONS_KEPT seasons.
+// Days are split at midnight in the resort's own time zone.
+
+const fs = require('fs');
+const path = require('path');
+const { timeZoneOf, localDate, localTime } = require('./time');
+
+const INTRADAY_DAYS = 14;
+const SEASONS_KEPT = 3;
+const STATUS_CODE = { open: 'o', closed: 'c', evaluating: 'e' };
+
+// Winter season a date belongs to, e.g. 2025-12-20 -> "2025-26" (seasons roll over on 1 July)
+function seasonOf(date) {
+  const y = parseInt(date.slice(0, 4)), m = parseInt(date.slice(5, 7));
+  const start = m >= 7 ? y : y - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => {
+    try { return JSON.parse(l); } catch (e) { return null; }
+  }).filter(Boolean);
+}
+
+// Reduce one fetched resort entry to the scalar values we want to keep over time
+function snapshot(entry, timestamp) {
+  const { resort, weather, snowReport, liftStatus, avalanche } = entry;
+  const v = {};
+  const set = (k, x) => { if (x !== null && x !== undefined && !Number.isNaN(x)) v[k] = x; };
+
+  for (const station of ['top', 'mid', 'bottom']) {
+    const c = weather && weather[station] && weather[station].current;
+    if (!c) continue;
+    const key = station[0].toUpperCase() + station.slice(1);
+    set(`depth${key}`, c.snow_depth !== null && c.snow_depth !== undefined ? Math.round(c.snow_depth * 100) : null);
+    set(`temp${key}`, c.temperature_2m);
+    set(`gust${key}`, c.wind_gusts_10m); // for checking wind-hold predictions (lib/windhold.js)
+  }
+
+  // Yesterday's snowfall from the past_days block: a finished day, not today's forecast.
+  // It belongs to the day before this record; see observedSnowfall()
+  const topDaily = weather && weather.top && weather.top.daily;
+  if (topDaily && topDaily.time) {
+    const i = topDaily.time.indexOf(localDate(timestamp, timeZoneOf(resort)));
+    if (i >= 1) set('snowYesterday', topDaily.snowfall_sum[i - 1]);
+  }
+
+  if (snowReport) {
+    set('baseDepth', snowReport.baseDepth);
+    set('summitDepth', snowReport.summitDepth);
+  }
+
+  const statuses = { lifts: {}, pistes: {} };
+  if (liftStatus && (liftStatus.lifts.length || liftStatus.pistes.length)) {
+    set('liftsOpen', liftStatus.lifts.filter(l => l.status === 'open').length);
+    set('liftsTotal', liftStatus.lifts.length);
+    set('pistesOpen', liftStatus.pistes.filter(p => p.status === 'open').length);
+    set('pistesTotal', liftStatus.pistes.length);
+    for (const l of liftStatus.lifts) statuses.lifts[l.name] = STATUS_CODE[l.status] || 'c';
+    for (const p of liftStatus.pistes) statuses.pistes[p.name] = STATUS_CODE[p.status] || 'c';
+  }
+
+  if (avalanche) set('avalanche', avalanche.level);
+
+  return { t: timestamp, v, ...statuses };
+}
+
+// Only the entries of `next` that differ from `prev`
+function diffStatuses(prev, next) {
+  const out = {};
+  for (const [name, s] of Object.entries(next)) if (prev[name] !== s) out[name] = s;
+  return out;
+}
+
+// Intra-day line format: { t, v, l?, p? } where l/p hold lift/piste statuses —
+// the full map on the first line of each file, only changes after that.
+function readIntraday(file) {
+  const records = [];
+  const lifts = {}, pistes = {};
+  for (const line of readLines(file)) {
+    Object.assign(lifts, line.l || {});
+    Object.assign(pistes, line.p || {});
+    records.push({ t: line.t, v: line.v, lifts: { ...lifts }, pistes: { ...pistes } });
+  }
+  return records;
+}
+
+function summarizeDay(date, records, tz) {
+  const day = { d: date };
+  if (!records.length) return day;
+  const last = records[records.length - 1].v;
+  for (const k of ['depthTop', 'depthMid', 'depthBottom', 'snowYesterday', 'baseDepth', 'summitDepth', 'liftsTotal', 'pistesTotal']) {
+    if (last[k] !== undefined) day[k] = last[k];
+  }
+  for (const k of ['liftsOpen', 'pistesOpen', 'avalanche']) {
+    const vals = records.map(r => r.v[k]).filter(x => x !== undefined);
+    if (vals.length) day[k] = Math.max(...vals);
+  }
+  // First time each lift was seen open that day
+  const opened = {};
+  for (const r of records) {
+    for (const [name, s] of Object.entries(r.lifts)) {
+      if (s === 'o' && !opened[name]) opened[name] = localTime(r.t, tz);
+    }
+  }
+  if (Object.keys(opened).length) day.opened = opened;
+  return day;
+}
+
+function listFiles(dir, re) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).map(f => f.match(re)).filter(Boolean).sort((a, b) => a[1].localeCompare(b[1]));
+}
+
+// Append finished intra-day files to their season file, then rotate old files away
+function rollUp(dir, today, tz) {
+  for (const [file, date] of listFiles(dir, /^intraday-(\d{4}-\d{2}-\d{2})\.jsonl$/)) {
+    if (date >= today) continue;
+    const seasonFile = path.join(dir, `daily-${seasonOf(date)}.jsonl`);
+    const done = readLines(seasonFile).some(d => d.d === date);
+    if (!done) fs.appendFileSync(seasonFile, JSON.stringify(summarizeDay(date, readIntraday(path.join(dir, file)), tz)) + '\n');
+    const age = (Date.parse(today) - Date.parse(date)) / 86400000;
+    if (age >= INTRADAY_DAYS) fs.unlinkSync(path.join(dir, file));
+  }
+  const seasons = listFiles(dir, /^daily-(\d{4}-\d{2})\.jsonl$/);
+  for (const [file] of seasons.slice(0, Math.max(0, seasons.length - SEASONS_KEPT))) {
+    fs.unlinkSync(path.join(dir, file));
+  }
+}
+
+function recordSnapshot(historyDir, entry, timestamp) {
+  const dir = path.join(historyDir, entry.resort.id);
+  fs.mkdirSync(dir, { recursive: true });
+  const tz = timeZoneOf(entry.resort);
+  const today = localDate(timestamp, tz);
+  rollUp(dir, today, tz);
+
+  const file = path.join(dir, `intraday-${today}.jsonl`);
+  const prev = readIntraday(file);
+  const snap = snapshot(entry, timestamp);
+  const last = prev[prev.length - 1];
+  const line = { t: snap.t, v: snap.v };
+  const l = last ? diffStatuses(last.lifts, snap.lifts) : snap.lifts;
+  const p = last ? diffStatuses(last.pistes, snap.pistes) : snap.pistes;
+  if (Object.keys(l).length) line.l = l;
+  if (Object.keys(p).length) line.p = p;
+
+  // Compaction: skip runs where nothing changed
+  if (last && !line.l && !line.p && JSON.stringify(last.v) === JSON.stringify(snap.v)) return false;
+  fs.appendFileSync(file, JSON.stringify(line) + '\n');
+  return true;
+}
+
+// Snow that fell on each day: the next day's snowYesterday, else (today, or a
+// day with no weather) how much the top snow depth rose since the day before.
+// Days recorded before snowYesterday carried a forecast in `fresh`, which is ignored.
+function observedSnowfall(daily) {
+  const dayMs = 86400000;
+  const follows = (a, b) => a && b && Date.parse(b.d) - Date.parse(a.d) === dayMs;
+  return daily.map((d, i) => {
+    const { fresh, ...day } = d;
+    const prev = daily[i - 1], next = daily[i + 1];
+    if (follows(d, next) && next.snowYesterday !== undefined) day.snowfall = next.snowYesterday;
+    else if (follows(prev, d) && prev.depthTop !== undefined && d.depthTop !== undefined) day.snowfall = Math.max(0, d.depthTop - prev.depthTop);
+    return day;
+  });
+}
+
+// Daily series for the current season (today included, summarized on the fly)
+// plus the raw intra-day records still on disk
+function loadHistory(historyDir, resortId, timestamp, tz) {
+  const dir = path.join(historyDir, resortId);
+  const today = localDate(timestamp, tz);
+  const season = seasonOf(today);
+  const daily = readLines(path.join(dir, `daily-${season}.jsonl`)).filter(d => d.d < today);
+
+  const intraday = [];
+  for (const [file, date] of listFiles(dir, /^intraday-(\d{4}-\d{2}-\d{2})\.jsonl$/)) {
+    const records = readIntraday(path.join(dir, file));
+    intraday.push(...records);
+    if (date === today) daily.push(summarizeDay(date, records, tz));
+  }
+  return { season, daily: observedSnowfall(daily), intraday };
+}
+
+// First date (and time) each lift was seen open this season
+function liftOpenings(daily) {
+  const first = {};
+  for (const d of daily) {
+    for (const [name, time] of Object.entries(d.opened || {})) {
+      if (!first[name]) first[name] = { date: d.d, time };
+    }
+  }
+  return first;
+}
+
+// Compare the last 7 days with the 7 before them
+function weekComparison(daily, today) {
+  const dayMs = 86400000;
+  const t = Date.parse(today);
+  const pick = (from, to) => daily.filter(d => {
+    const age = (t - Date.parse(d.d)) / dayMs;
+    return age >= from && age < to;
+  });
+  const stats = (days) => {
+    const avg = (f) => {
+      const vals = days.map(f).filter(x => x !== null && x !== undefined && !Number.isNaN(x));
+      return vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+    };
+    const pct = (open, total) => d => (d[total] ? 100 * d[open] / d[total] : null);
+    return {
+      days: days.length,
+      snowfall: days.some(d => d.snowfall !== undefined) ? days.reduce((a, d) => a + (d.snowfall || 0), 0) : null,
+      liftsPct: avg(pct('liftsOpen', 'liftsTotal')),
+      pistesPct: avg(pct('pistesOpen', 'pistesTotal')),
+      depth: avg(d => (d.summitDepth !== undefined ? d.summitDepth : d.depthTop)),
+      avalanche: avg(d => d.avalanche)
+    };
+  };
+  return { thisWeek: stats(pick(0, 7)), lastWeek: stats(pick(7, 14)) };
+}
+
+module.exports = { recordSnapshot, loadHistory, observedSnowfall, liftOpenings, weekComparison, seasonOf };
@@ -0,0 +1,206 @@
+// Snow Monitor - HTTP client
+// GET with per-host timeouts (idle and total) and concurrency limits, a capped
+// redirect chain, retries with exponential backoff on 5xx/429/network errors
+// (honouring Retry-After) and an on-disk cache revalidated with ETag/Last-Modified.
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+// timeout: longest silence on the socket; deadline: longest a whole request may take
+const HOST_DEFAULTS = { timeout: 15000, deadline: 60000, concurrency: 4 };
+
+// Per-host overrides (matched on the hostname or any parent domain)
+const HOSTS = {
+  'api.open-meteo.com': { timeout: 10000, concurrency: 6 },
+  'monterosaski.eu': { timeout: 20000, concurrency: 2 },
+  'www.onthesnow.co.uk': { timeout: 20000, concurrency: 2 },
+  'static.avalanche.report': { timeout: 15000, concurrency: 2 }
+};
+
+class HttpError extends Error {
+  constructor(status, url) {
+    super(`HTTP ${status}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// At most `max` tasks at a time, the rest wait in FIFO order
+function limiter(max) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => { active--; next(); });
+  };
+  return task => new Promise((resolve, reject) => { queue.push({ task, resolve, reject }); next(); });
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(header, now = Date.now()) {
+  if (!header) return null;
+  if (/^\d+$/.test(header.trim())) return parseInt(header) * 1000;
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function decode(res, buffer) {
+  const enc = (res.headers['content-encoding'] || '').toLowerCase();
+  if (enc === 'gzip') return zlib.gunzipSync(buffer);
+  if (enc === 'deflate') return zlib.inflateSync(buffer);
+  if (enc === 'br') return zlib.brotliDecompressSync(buffer);
+  return buffer;
+}
+
+// Cache files not written for maxAge ms belong to URLs no longer fetched
+// (a changed query, a dropped resort): delete them so the directory stays bounded
+function pruneCache(dir, maxAge, now = Date.now()) {
+  let removed = 0;
+  let names;
+  try { names = fs.readdirSync(dir); } catch (e) { return 0; }
+  for (const name of names) {
+    if (!name.endsWith('.json')) continue;
+    const file = path.join(dir, name);
+    try {
+      if (now - fs.statSync(file).mtimeMs > maxAge) {
+        fs.unlinkSync(file);
+        removed++;
+      }
+    } catch (e) { /* gone already */ }
+  }
+  return removed;
+}
+
+function createClient(options = {}) {
+  const {
+    cacheDir = null,
+    hosts = {},
+    maxRedirects = 5,
+    retries = 2,
+    backoff = 1000,
+    maxBackoff = 30000,
+    cacheMaxAge = 7 * 24 * 3600 * 1000,
+    userAgent = 'Mozilla/5.0 (compatible; SnowMonitor/1.0)'
+  } = options;
+  const limiters = {};
+
+  const hostConfig = (hostname) => {
+    const all = { ...HOSTS, ...hosts };
+    const key = Object.keys(all).find(h => hostname === h || hostname.endsWith(`.${h}`));
+    return { ...HOST_DEFAULTS, ...(key ? all[key] : {}) };
+  };
+  const limiterFor = (hostname) => {
+    if (!limiters[hostname]) limiters[hostname] = limiter(hostConfig(hostname).concurrency);
+    return limiters[hostname];
+  };
+
+  // --- cache ---
+  if (cacheDir) pruneCache(cacheDir, cacheMaxAge);
+  const cacheFile = url => path.join(cacheDir, `${crypto.createHash('sha1').update(url).digest('hex')}.json`);
+  const readCache = (url) => {
+    if (!cacheDir) return null;
+    try { return JSON.parse(fs.readFileSync(cacheFile(url), 'utf8')); } catch (e) { return null; }
+  };
+  const writeCache = (url, entry) => {
+    if (!cacheDir) return;
+    try {
+      fs.mkdirSync(cacheDir, { recursive: true });
+      fs.writeFileSync(cacheFile(url), JSON.stringify({ url, ...entry }));
+    } catch (e) {
+      console.error(`  Cache write failed for ${url}: ${e.message}`);
+    }
+  };
+
+  // One request, no redirects or retries: resolves { status, headers, body }
+  function request(url, headers, { timeout, deadline }) {
+    const mod = url.startsWith('https') ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = mod.get(url, { headers }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          try {
+            resolve({ status: res.statusCode, headers: res.headers, body: decode(res, Buffer.concat(chunks)).toString('utf8') });
+          } catch (e) {
+            reject(e);
+          }
+        });
+        res.on('error', reject);
+      });
+      req.setTimeout(timeout, () => req.destroy(new Error(`timeout after ${timeout}ms`)));
+      // A server that keeps trickling bytes never trips the idle timeout
+      const timer = setTimeout(() => {
+        const error = new Error(`no complete response after ${deadline}ms`);
+        reject(error);
+        req.destroy(error);
+      }, deadline);
+      req.on('close', () => clearTimeout(timer));
+      req.on('error', reject);
+    });
+  }
+
+  // Follow redirects (each hop queued on its own host's limiter)
+  async function follow(url, headers, overrides) {
+    let current = url;
+    for (let hop = 0; ; hop++) {
+      const { hostname } = new URL(current);
+      const host = hostConfig(hostname);
+      const limits = { timeout: overrides.timeout || host.timeout, deadline: overrides.deadline || host.deadline };
+      const res = await limiterFor(hostname)(() => request(current, headers, limits));
+      if (res.status >= 300 && res.status < 400 && res.status !== 304 && res.headers.location) {
+        if (hop >= maxRedirects) throw new Error(`too many redirects (>${maxRedirects}) from ${url}`);
+        current = new URL(res.headers.location, current).toString();
+        continue;
+      }
+      return res;
+    }
+  }
+
+  // fetch(url, { ttl, timeout, deadline, headers }) -> body string
+  // ttl: milliseconds a cached copy is used without asking the server at all;
+  // after that the copy is revalidated with a conditional request.
+  return async function fetch(url, opts = {}) {
+    const cached = opts.noCache ? null : readCache(url);
+    if (cached && opts.ttl && Date.now() - cached.fetchedAt < opts.ttl) return cached.body;
+
+    const headers = { 'User-Agent': userAgent, 'Accept-Encoding': 'gzip, deflate, br', ...(opts.headers || {}) };
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    for (let attempt = 0; ; attempt++) {
+      let res, error;
+      try {
+        res = await follow(url, headers, { timeout: opts.timeout, deadline: opts.deadline });
+      } catch (e) {
+        error = e;
+      }
+
+      if (res && res.status === 304 && cached) {
+        writeCache(url, { ...cached, fetchedAt: Date.now() });
+        return cached.body;
+      }
+      if (res && res.status < 400) {
+        if (res.status === 200) {
+          writeCache(url, { etag: res.headers.etag || null, lastModified: res.headers['last-modified'] || null, fetchedAt: Date.now(), body: res.body });
+        }
+        return res.body;
+      }
+
+      const retryable = error || res.status === 429 || res.status >= 500;
+      if (!retryable || attempt >= retries) throw error || new HttpError(res.status, url);
+      const wait = (res && retryAfterMs(res.headers['retry-after'])) ?? backoff * 2 ** attempt * (1 + Math.random() / 2);
+      await sleep(Math.min(wait, maxBackoff));
+    }
+  };
+}
+
+module.exports = { createClient, HttpError, limiter, retryAfterMs, pruneCache, HOSTS };
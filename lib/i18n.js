@@ -0,0 +1,889 @@
+// Snow Monitor - Languages and units
+// Message catalogue for the generated pages (en, it, de, fr; English fills any
+// gaps), metric/imperial conversion and locale-aware date formatting.
+// Data is always stored metric; conversion only happens when rendering.
+
+const LANGUAGES = ['en', 'it', 'de', 'fr'];
+const INTL_LOCALE = { en: 'en-GB', it: 'it-IT', de: 'de-DE', fr: 'fr-FR' };
+
+const MESSAGES = {
+  en: {
+    'app.title': 'Snow Monitor',
+    'nav.compare': 'Where to ski',
+    'app.ago': '{d} ago',
+    'app.justNow': 'just now',
+    'app.offline': 'offline',
+    'app.favourite': 'Favourite',
+    'app.pin': 'Pin lift',
+    'app.pinned': 'Pinned lifts',
+    'filter.all': 'All',
+    'filter.open': 'Open',
+    'filter.evaluating': 'Evaluating',
+    'filter.closed': 'Closed',
+    'nav.back': 'back',
+    'nav.language': 'Language',
+    'nav.units': 'Units',
+    'station.top': 'Top',
+    'station.mid': 'Mid',
+    'station.bottom': 'Base',
+    'station.feels': 'feels {v}',
+    'station.gusts': 'gusts {v}',
+    'legend.temp': 'Temp',
+    'legend.snow': 'Snow',
+    'legend.wind': 'Wind',
+    'lifts.title': 'Lifts',
+    'pistes.title': 'Pistes',
+    'rec.title': 'Sources compared',
+    'rec.disagree': 'Sources disagree',
+    'rec.lifts': 'Lifts open',
+    'rec.pistes': 'Pistes open',
+    'rec.kmOpen': 'Length open',
+    'rec.summitDepth': 'Summit depth',
+    'rec.baseDepth': 'Base depth',
+    'rec.model': 'model',
+    'rec.why.live': 'Live status per lift/piste from {source}',
+    'rec.why.measured': 'Measured by the resort ({source}); the model is an estimate',
+    'rec.why.only': 'Only {source} has it',
+    'rec.why.fresher': 'From {source}: the preferred source is out of date',
+    'pistes.kmOpen': '{v} open',
+    'map.title': 'Map',
+    'map.hint': 'Tap a marker for details',
+    'marker.lift.open': 'Lift open',
+    'marker.lift.closed': 'Lift closed',
+    'marker.lift.evaluating': 'Lift under evaluation',
+    'marker.piste.open': 'Piste open',
+    'marker.piste.closed': 'Piste closed',
+    'marker.piste.evaluating': 'Piste under evaluation',
+    'difficulty.green': 'Green',
+    'difficulty.blue': 'Blue',
+    'difficulty.red': 'Red',
+    'difficulty.black': 'Black',
+    'difficulty.other': 'Other',
+    'count.open': '{open}/{total} open',
+    'hours.open': 'Lifts open',
+    'wind.hold': 'Likely on wind hold: gusts {gust}, limit {limit}',
+    'wind.watch': 'Gusts {gust}, close to the {limit} limit',
+    'wind.ahead': 'Gusts up to {gust} from {time} (limit {limit})',
+    'wind.holdCount': { one: '{n} lift likely on wind hold', other: '{n} lifts likely on wind hold' },
+    'sched.openNow': 'open now, closes in {d}',
+    'sched.opensAt': 'opens at {time}',
+    'sched.closedAt': 'closed at {time}',
+    'sched.closedToday': 'closed today',
+    'sched.until': 'scheduled until {time}',
+    'sched.guessed': 'Hours of “{name}” on the schedule, matched by a similar name',
+    'weather.title': 'Weather',
+    'snowReport.title': 'Snow report',
+    'snowReport.summit': 'Summit',
+    'snowReport.base': 'Base',
+    'snowReport.condition': 'Condition',
+    'snow.fresh3': 'Fresh (3d)',
+    'snow.next3': 'Next 3d',
+    'snow.next7': 'Next 7d',
+    'avy.risk': 'Avalanche Risk',
+    'avy.above': 'above',
+    'avy.below': 'below',
+    'avy.treeline': 'treeline',
+    'avy.allAspects': 'all aspects',
+    'avy.allElevations': 'all elevations',
+    'avy.morning': 'morning',
+    'avy.afternoon': 'afternoon',
+    'avy.tendency': 'Tendency',
+    'avy.valid': 'Valid {from} – {to}',
+    'avy.expired': '⚠️ Expired — was valid {from} – {to}',
+    'danger.1': 'Low',
+    'danger.2': 'Moderate',
+    'danger.3': 'Considerable',
+    'danger.4': 'High',
+    'danger.5': 'Very High',
+    'problem.new_snow': 'New snow',
+    'problem.wind_slab': 'Wind slab',
+    'problem.persistent_weak_layers': 'Persistent weak layers',
+    'problem.wet_snow': 'Wet snow',
+    'problem.gliding_snow': 'Gliding snow',
+    'problem.cornices': 'Cornices',
+    'problem.no_distinct_avalanche_problem': 'No distinct problem',
+    'problem.favourable_situation': 'Favourable situation',
+    'tendency.increasing': 'increasing',
+    'tendency.steady': 'steady',
+    'tendency.decreasing': 'decreasing',
+    'forecast.today': 'Today',
+    'forecast.snowLine': 'Rain/snow line',
+    'forecast.sunshine': 'Sunshine',
+    'forecast.hourly': 'Hourly forecast',
+    'forecast.next24': 'next 24h',
+    'forecast.temp': 'Temp',
+    'forecast.feels': 'feels',
+    'forecast.precip': 'Snow/rain',
+    'forecast.wind': 'Wind',
+    'forecast.gusts': 'gusts',
+    'forecast.cloud': 'Cloud',
+    'forecast.vis': 'vis',
+    'season.title': 'Season {season}',
+    'season.days': { one: '{n} day', other: '{n} days' },
+    'season.depth': 'Snow depth',
+    'season.summit': 'Summit',
+    'season.base': 'Base',
+    'season.snowfall': 'Snowfall (observed)',
+    'season.open': 'Open',
+    'season.lifts': 'Lifts',
+    'season.pistes': 'Pistes',
+    'season.avalanche': 'Avalanche level',
+    'season.max': 'max {v}',
+    'season.thisWeek': 'This week',
+    'season.lastWeek': 'Last week',
+    'season.liftsOpen': 'Lifts open',
+    'season.pistesOpen': 'Pistes open',
+    'season.summitDepth': 'Summit depth',
+    'season.avy': 'Avalanche',
+    'season.firstOpened': 'Lift first opened',
+    'stale.asOf': 'as of {when}',
+    'stale.failed': 'Source failed ({error}); showing last good data',
+    'stale.old': 'Data has not been refreshed recently',
+    'footer.data': 'Data',
+    'footer.every': 'Updated every 15 min',
+    'footer.live': 'Live updates',
+    'footer.degraded': { one: '{n} source degraded', other: '{n} sources degraded' },
+    'footer.ok': 'Sources OK',
+    'compare.summary': 'Scores 0–100 from snow, open lifts/pistes, wind, avalanche danger and lift hours',
+    'compare.resort': 'Resort',
+    'compare.today': 'Today',
+    'compare.tomorrow': 'Tomorrow',
+    'compare.weekend': 'Weekend',
+    'compare.fresh': 'Fresh',
+    'compare.weekendSnow': 'Wkd snow',
+    'compare.lifts': 'Lifts',
+    'compare.gusts': 'Gusts',
+    'compare.avy': 'Avy',
+    'compare.hours': 'Hours',
+    'compare.weights': 'Weights',
+    'rank.good': 'Good: {list}.',
+    'rank.heldBack': 'Held back by {list}.',
+    'rank.behind': { one: '{n} point behind {name}.', other: '{n} points behind {name}.' },
+    'rank.noData': 'No data for {list}.',
+    'rank.notEnough': 'Not enough data to score.',
+    'factor.freshSnow': 'fresh snow',
+    'factor.forecastSnow': 'snow forecast',
+    'factor.liftsOpen': 'lift status',
+    'factor.pistesOpen': 'piste status',
+    'factor.wind': 'wind',
+    'factor.avalanche': 'avalanche danger',
+    'factor.liftHours': 'lift hours',
+    'reason.freshSnow': '{v} fresh snow',
+    'reason.noFreshSnow': 'no fresh snow',
+    'reason.forecastSnow': '{v} snow forecast',
+    'reason.noForecastSnow': 'no snow forecast',
+    'reason.liftsOpen': '{pct}% lifts open',
+    'reason.pistesOpen': '{pct}% pistes open',
+    'reason.windRisk': 'gusts {v} at the top, lifts at risk',
+    'reason.wind': 'gusts {v} at the top',
+    'reason.calm': 'calm at the top',
+    'reason.avalanche': 'avalanche danger {level}/5',
+    'reason.liftHours': '{h}h lift day',
+    'status.title': 'Source status',
+    'status.summary': '{ok}/{total} sources OK',
+    'status.degraded': '{n} degraded',
+    'status.failing': '{n} failing',
+    'status.checked': 'checked {when}',
+    'status.source': 'Source',
+    'status.status': 'Status',
+    'status.latency': 'Latency',
+    'status.lastSuccess': 'Last success',
+    'status.items': 'Items',
+    'status.failures': { one: '{n} failure in a row', other: '{n} failures in a row' },
+    'status.usually': 'usually {items}',
+    'status.ok': 'ok',
+    'status.failed': 'failed',
+    'status.degradedState': 'degraded',
+    'wx.0': 'Clear', 'wx.1': 'Mostly clear', 'wx.2': 'Partly cloudy', 'wx.3': 'Overcast',
+    'wx.45': 'Fog', 'wx.48': 'Rime fog',
+    'wx.51': 'Light drizzle', 'wx.53': 'Drizzle', 'wx.55': 'Heavy drizzle',
+    'wx.56': 'Freezing drizzle', 'wx.57': 'Heavy freezing drizzle',
+    'wx.61': 'Light rain', 'wx.63': 'Rain', 'wx.65': 'Heavy rain',
+    'wx.66': 'Freezing rain', 'wx.67': 'Heavy freezing rain',
+    'wx.71': 'Light snow', 'wx.73': 'Snow', 'wx.75': 'Heavy snow', 'wx.77': 'Snow grains',
+    'wx.80': 'Light showers', 'wx.81': 'Showers', 'wx.82': 'Heavy showers',
+    'wx.85': 'Snow showers', 'wx.86': 'Heavy snow showers',
+    'wx.95': 'Thunderstorm', 'wx.96': 'T-storm + hail', 'wx.99': 'T-storm + hail',
+    'wx.unknown': 'Unknown'
+  },
+
+  it: {
+    'app.title': 'Snow Monitor',
+    'nav.compare': 'Dove sciare',
+    'app.ago': '{d} fa',
+    'app.justNow': 'adesso',
+    'app.offline': 'offline',
+    'app.favourite': 'Preferito',
+    'app.pin': 'Fissa impianto',
+    'app.pinned': 'Impianti fissati',
+    'filter.all': 'Tutti',
+    'filter.open': 'Aperti',
+    'filter.evaluating': 'In valutazione',
+    'filter.closed': 'Chiusi',
+    'nav.back': 'indietro',
+    'nav.language': 'Lingua',
+    'nav.units': 'Unità',
+    'station.top': 'Vetta',
+    'station.mid': 'Metà',
+    'station.bottom': 'Base',
+    'station.feels': 'perc. {v}',
+    'station.gusts': 'raffiche {v}',
+    'legend.temp': 'Temp',
+    'legend.snow': 'Neve',
+    'legend.wind': 'Vento',
+    'lifts.title': 'Impianti',
+    'pistes.title': 'Piste',
+    'rec.title': 'Confronto fonti',
+    'rec.disagree': 'Le fonti non concordano',
+    'rec.lifts': 'Impianti aperti',
+    'rec.pistes': 'Piste aperte',
+    'rec.kmOpen': 'Lunghezza aperta',
+    'rec.summitDepth': 'Neve in vetta',
+    'rec.baseDepth': 'Neve alla base',
+    'rec.model': 'modello',
+    'rec.why.live': 'Stato in tempo reale per impianto/pista da {source}',
+    'rec.why.measured': 'Misurato dalla stazione ({source}); il modello è una stima',
+    'rec.why.only': 'Solo {source} lo fornisce',
+    'rec.why.fresher': 'Da {source}: la fonte preferita non è aggiornata',
+    'pistes.kmOpen': '{v} aperti',
+    'map.title': 'Mappa',
+    'map.hint': 'Tocca un simbolo per i dettagli',
+    'marker.lift.open': 'Impianto aperto',
+    'marker.lift.closed': 'Impianto chiuso',
+    'marker.lift.evaluating': 'Impianto in valutazione',
+    'marker.piste.open': 'Pista aperta',
+    'marker.piste.closed': 'Pista chiusa',
+    'marker.piste.evaluating': 'Pista in valutazione',
+    'difficulty.green': 'Verdi',
+    'difficulty.blue': 'Blu',
+    'difficulty.red': 'Rosse',
+    'difficulty.black': 'Nere',
+    'difficulty.other': 'Altre',
+    'count.open': '{open}/{total} aperti',
+    'hours.open': 'Impianti aperti',
+    'wind.hold': 'Probabile fermo per vento: raffiche {gust}, limite {limit}',
+    'wind.watch': 'Raffiche {gust}, vicine al limite di {limit}',
+    'wind.ahead': 'Raffiche fino a {gust} dalle {time} (limite {limit})',
+    'wind.holdCount': { one: '{n} impianto probabilmente fermo per vento', other: '{n} impianti probabilmente fermi per vento' },
+    'sched.openNow': 'aperto ora, chiude tra {d}',
+    'sched.opensAt': 'apre alle {time}',
+    'sched.closedAt': 'chiuso alle {time}',
+    'sched.closedToday': 'chiuso oggi',
+    'sched.until': 'in orario fino alle {time}',
+    'sched.guessed': 'Orario di «{name}», abbinato per nome simile',
+    'weather.title': 'Meteo',
+    'snowReport.title': 'Bollettino neve',
+    'snowReport.summit': 'Vetta',
+    'snowReport.base': 'Base',
+    'snowReport.condition': 'Condizioni',
+    'snow.fresh3': 'Fresca (3g)',
+    'snow.next3': 'Prossimi 3g',
+    'snow.next7': 'Prossimi 7g',
+    'avy.risk': 'Pericolo valanghe',
+    'avy.above': 'sopra',
+    'avy.below': 'sotto',
+    'avy.treeline': 'limite del bosco',
+    'avy.allAspects': 'tutte le esposizioni',
+    'avy.allElevations': 'tutte le quote',
+    'avy.morning': 'mattina',
+    'avy.afternoon': 'pomeriggio',
+    'avy.tendency': 'Tendenza',
+    'avy.valid': 'Valido {from} – {to}',
+    'avy.expired': '⚠️ Scaduto — era valido {from} – {to}',
+    'danger.1': 'Debole',
+    'danger.2': 'Moderato',
+    'danger.3': 'Marcato',
+    'danger.4': 'Forte',
+    'danger.5': 'Molto forte',
+    'problem.new_snow': 'Neve fresca',
+    'problem.wind_slab': 'Neve ventata',
+    'problem.persistent_weak_layers': 'Strati deboli persistenti',
+    'problem.wet_snow': 'Neve bagnata',
+    'problem.gliding_snow': 'Valanghe di slittamento',
+    'problem.cornices': 'Cornici',
+    'problem.no_distinct_avalanche_problem': 'Nessun problema evidente',
+    'problem.favourable_situation': 'Situazione favorevole',
+    'tendency.increasing': 'in aumento',
+    'tendency.steady': 'stabile',
+    'tendency.decreasing': 'in diminuzione',
+    'forecast.today': 'Oggi',
+    'forecast.snowLine': 'Limite neve/pioggia',
+    'forecast.sunshine': 'Soleggiamento',
+    'forecast.hourly': 'Previsioni orarie',
+    'forecast.next24': 'prossime 24h',
+    'forecast.temp': 'Temp',
+    'forecast.feels': 'perc.',
+    'forecast.precip': 'Neve/pioggia',
+    'forecast.wind': 'Vento',
+    'forecast.gusts': 'raffiche',
+    'forecast.cloud': 'Nuvole',
+    'forecast.vis': 'visib.',
+    'season.title': 'Stagione {season}',
+    'season.days': { one: '{n} giorno', other: '{n} giorni' },
+    'season.depth': 'Altezza neve',
+    'season.summit': 'Vetta',
+    'season.base': 'Base',
+    'season.snowfall': 'Neve caduta (osservata)',
+    'season.open': 'Aperti',
+    'season.lifts': 'Impianti',
+    'season.pistes': 'Piste',
+    'season.avalanche': 'Grado valanghe',
+    'season.max': 'max {v}',
+    'season.thisWeek': 'Questa settimana',
+    'season.lastWeek': 'Settimana scorsa',
+    'season.liftsOpen': 'Impianti aperti',
+    'season.pistesOpen': 'Piste aperte',
+    'season.summitDepth': 'Neve in vetta',
+    'season.avy': 'Valanghe',
+    'season.firstOpened': 'Prima apertura impianti',
+    'stale.asOf': 'dati delle {when}',
+    'stale.failed': 'Fonte non disponibile ({error}); mostrati gli ultimi dati validi',
+    'stale.old': 'Dati non aggiornati di recente',
+    'footer.data': 'Dati',
+    'footer.every': 'Aggiornato ogni 15 min',
+    'footer.live': 'Aggiornamenti in tempo reale',
+    'footer.degraded': { one: '{n} fonte con problemi', other: '{n} fonti con problemi' },
+    'footer.ok': 'Fonti OK',
+    'compare.summary': 'Punteggio 0–100 da neve, impianti/piste aperti, vento, pericolo valanghe e orari degli impianti',
+    'compare.resort': 'Località',
+    'compare.today': 'Oggi',
+    'compare.tomorrow': 'Domani',
+    'compare.weekend': 'Weekend',
+    'compare.fresh': 'Fresca',
+    'compare.weekendSnow': 'Neve wkd',
+    'compare.lifts': 'Impianti',
+    'compare.gusts': 'Raffiche',
+    'compare.avy': 'Val.',
+    'compare.hours': 'Orario',
+    'compare.weights': 'Pesi',
+    'rank.good': 'Punti forti: {list}.',
+    'rank.heldBack': 'Penalizzata da {list}.',
+    'rank.behind': { one: '{n} punto dietro {name}.', other: '{n} punti dietro {name}.' },
+    'rank.noData': 'Nessun dato per {list}.',
+    'rank.notEnough': 'Dati insufficienti per un punteggio.',
+    'factor.freshSnow': 'neve fresca',
+    'factor.forecastSnow': 'neve prevista',
+    'factor.liftsOpen': 'stato impianti',
+    'factor.pistesOpen': 'stato piste',
+    'factor.wind': 'vento',
+    'factor.avalanche': 'pericolo valanghe',
+    'factor.liftHours': 'orari impianti',
+    'reason.freshSnow': '{v} di neve fresca',
+    'reason.noFreshSnow': 'niente neve fresca',
+    'reason.forecastSnow': '{v} di neve prevista',
+    'reason.noForecastSnow': 'nessuna nevicata prevista',
+    'reason.liftsOpen': '{pct}% impianti aperti',
+    'reason.pistesOpen': '{pct}% piste aperte',
+    'reason.windRisk': 'raffiche {v} in quota, impianti a rischio',
+    'reason.wind': 'raffiche {v} in quota',
+    'reason.calm': 'vento calmo in quota',
+    'reason.avalanche': 'pericolo valanghe {level}/5',
+    'reason.liftHours': 'impianti aperti {h}h',
+    'status.title': 'Stato delle fonti',
+    'status.summary': '{ok}/{total} fonti OK',
+    'status.degraded': '{n} con problemi',
+    'status.failing': '{n} non disponibili',
+    'status.checked': 'controllato {when}',
+    'status.source': 'Fonte',
+    'status.status': 'Stato',
+    'status.latency': 'Latenza',
+    'status.lastSuccess': 'Ultimo successo',
+    'status.items': 'Elementi',
+    'status.failures': { one: '{n} errore consecutivo', other: '{n} errori consecutivi' },
+    'status.usually': 'di solito {items}',
+    'status.ok': 'ok',
+    'status.failed': 'non disponibile',
+    'status.degradedState': 'con problemi',
+    'wx.0': 'Sereno', 'wx.1': 'Poco nuvoloso', 'wx.2': 'Parzialmente nuvoloso', 'wx.3': 'Coperto',
+    'wx.45': 'Nebbia', 'wx.48': 'Nebbia con brina',
+    'wx.51': 'Pioviggine debole', 'wx.53': 'Pioviggine', 'wx.55': 'Pioviggine forte',
+    'wx.56': 'Pioviggine gelata', 'wx.57': 'Pioviggine gelata forte',
+    'wx.61': 'Pioggia debole', 'wx.63': 'Pioggia', 'wx.65': 'Pioggia forte',
+    'wx.66': 'Pioggia gelata', 'wx.67': 'Pioggia gelata forte',
+    'wx.71': 'Neve debole', 'wx.73': 'Neve', 'wx.75': 'Neve forte', 'wx.77': 'Neve granulosa',
+    'wx.80': 'Rovesci deboli', 'wx.81': 'Rovesci', 'wx.82': 'Rovesci forti',
+    'wx.85': 'Rovesci di neve', 'wx.86': 'Forti rovesci di neve',
+    'wx.95': 'Temporale', 'wx.96': 'Temporale + grandine', 'wx.99': 'Temporale + grandine',
+    'wx.unknown': 'Sconosciuto'
+  },
+
+  de: {
+    'app.title': 'Snow Monitor',
+    'nav.compare': 'Wo Skifahren',
+    'app.ago': 'vor {d}',
+    'app.justNow': 'gerade eben',
+    'app.offline': 'offline',
+    'app.favourite': 'Favorit',
+    'app.pin': 'Lift anheften',
+    'app.pinned': 'Angeheftete Lifte',
+    'filter.all': 'Alle',
+    'filter.open': 'Offen',
+    'filter.evaluating': 'In Prüfung',
+    'filter.closed': 'Geschlossen',
+    'nav.back': 'zurück',
+    'nav.language': 'Sprache',
+    'nav.units': 'Einheiten',
+    'station.top': 'Berg',
+    'station.mid': 'Mitte',
+    'station.bottom': 'Tal',
+    'station.feels': 'gefühlt {v}',
+    'station.gusts': 'Böen {v}',
+    'legend.temp': 'Temp',
+    'legend.snow': 'Schnee',
+    'legend.wind': 'Wind',
+    'lifts.title': 'Lifte',
+    'pistes.title': 'Pisten',
+    'rec.title': 'Quellenvergleich',
+    'rec.disagree': 'Quellen widersprechen sich',
+    'rec.lifts': 'Lifte offen',
+    'rec.pistes': 'Pisten offen',
+    'rec.kmOpen': 'Länge offen',
+    'rec.summitDepth': 'Schnee Berg',
+    'rec.baseDepth': 'Schnee Tal',
+    'rec.model': 'Modell',
+    'rec.why.live': 'Live-Status je Lift/Piste von {source}',
+    'rec.why.measured': 'Vom Skigebiet gemessen ({source}); das Modell ist eine Schätzung',
+    'rec.why.only': 'Nur {source} liefert den Wert',
+    'rec.why.fresher': 'Von {source}: die bevorzugte Quelle ist veraltet',
+    'pistes.kmOpen': '{v} offen',
+    'map.title': 'Karte',
+    'map.hint': 'Für Details auf ein Symbol tippen',
+    'marker.lift.open': 'Lift offen',
+    'marker.lift.closed': 'Lift geschlossen',
+    'marker.lift.evaluating': 'Lift in Prüfung',
+    'marker.piste.open': 'Piste offen',
+    'marker.piste.closed': 'Piste geschlossen',
+    'marker.piste.evaluating': 'Piste in Prüfung',
+    'difficulty.green': 'Grün',
+    'difficulty.blue': 'Blau',
+    'difficulty.red': 'Rot',
+    'difficulty.black': 'Schwarz',
+    'difficulty.other': 'Andere',
+    'count.open': '{open}/{total} offen',
+    'hours.open': 'Lifte offen',
+    'wind.hold': 'Wahrscheinlich windbedingt gestoppt: Böen {gust}, Grenze {limit}',
+    'wind.watch': 'Böen {gust}, nahe der Grenze von {limit}',
+    'wind.ahead': 'Böen bis {gust} ab {time} (Grenze {limit})',
+    'wind.holdCount': { one: '{n} Lift wohl wegen Wind gestoppt', other: '{n} Lifte wohl wegen Wind gestoppt' },
+    'sched.openNow': 'jetzt offen, schließt in {d}',
+    'sched.opensAt': 'öffnet um {time}',
+    'sched.closedAt': 'geschlossen seit {time}',
+    'sched.closedToday': 'heute geschlossen',
+    'sched.until': 'planmäßig bis {time}',
+    'sched.guessed': 'Zeiten von „{name}“ im Fahrplan, über ähnlichen Namen zugeordnet',
+    'weather.title': 'Wetter',
+    'snowReport.title': 'Schneebericht',
+    'snowReport.summit': 'Berg',
+    'snowReport.base': 'Tal',
+    'snowReport.condition': 'Zustand',
+    'snow.fresh3': 'Neu (3T)',
+    'snow.next3': 'Nächste 3T',
+    'snow.next7': 'Nächste 7T',
+    'avy.risk': 'Lawinengefahr',
+    'avy.above': 'über',
+    'avy.below': 'unter',
+    'avy.treeline': 'Waldgrenze',
+    'avy.allAspects': 'alle Expositionen',
+    'avy.allElevations': 'alle Höhenlagen',
+    'avy.morning': 'vormittags',
+    'avy.afternoon': 'nachmittags',
+    'avy.tendency': 'Tendenz',
+    'avy.valid': 'Gültig {from} – {to}',
+    'avy.expired': '⚠️ Abgelaufen — war gültig {from} – {to}',
+    'danger.1': 'Gering',
+    'danger.2': 'Mäßig',
+    'danger.3': 'Erheblich',
+    'danger.4': 'Groß',
+    'danger.5': 'Sehr groß',
+    'problem.new_snow': 'Neuschnee',
+    'problem.wind_slab': 'Triebschnee',
+    'problem.persistent_weak_layers': 'Altschnee',
+    'problem.wet_snow': 'Nassschnee',
+    'problem.gliding_snow': 'Gleitschnee',
+    'problem.cornices': 'Wechten',
+    'problem.no_distinct_avalanche_problem': 'Kein ausgeprägtes Problem',
+    'problem.favourable_situation': 'Günstige Situation',
+    'tendency.increasing': 'steigend',
+    'tendency.steady': 'gleichbleibend',
+    'tendency.decreasing': 'fallend',
+    'forecast.today': 'Heute',
+    'forecast.snowLine': 'Schneefallgrenze',
+    'forecast.sunshine': 'Sonnenschein',
+    'forecast.hourly': 'Stündliche Vorhersage',
+    'forecast.next24': 'nächste 24h',
+    'forecast.temp': 'Temp',
+    'forecast.feels': 'gefühlt',
+    'forecast.precip': 'Schnee/Regen',
+    'forecast.wind': 'Wind',
+    'forecast.gusts': 'Böen',
+    'forecast.cloud': 'Wolken',
+    'forecast.vis': 'Sicht',
+    'season.title': 'Saison {season}',
+    'season.days': { one: '{n} Tag', other: '{n} Tage' },
+    'season.depth': 'Schneehöhe',
+    'season.summit': 'Berg',
+    'season.base': 'Tal',
+    'season.snowfall': 'Neuschnee (beobachtet)',
+    'season.open': 'Offen',
+    'season.lifts': 'Lifte',
+    'season.pistes': 'Pisten',
+    'season.avalanche': 'Lawinenstufe',
+    'season.max': 'max {v}',
+    'season.thisWeek': 'Diese Woche',
+    'season.lastWeek': 'Letzte Woche',
+    'season.liftsOpen': 'Lifte offen',
+    'season.pistesOpen': 'Pisten offen',
+    'season.summitDepth': 'Schnee am Berg',
+    'season.avy': 'Lawinen',
+    'season.firstOpened': 'Erste Liftöffnung',
+    'stale.asOf': 'Stand {when}',
+    'stale.failed': 'Quelle ausgefallen ({error}); letzte gültige Daten',
+    'stale.old': 'Daten wurden länger nicht aktualisiert',
+    'footer.data': 'Daten',
+    'footer.every': 'Aktualisierung alle 15 Min',
+    'footer.live': 'Live-Aktualisierung',
+    'footer.degraded': { one: '{n} Quelle gestört', other: '{n} Quellen gestört' },
+    'footer.ok': 'Quellen OK',
+    'compare.summary': 'Punkte 0–100 aus Schnee, offenen Liften/Pisten, Wind, Lawinengefahr und Liftzeiten',
+    'compare.resort': 'Skigebiet',
+    'compare.today': 'Heute',
+    'compare.tomorrow': 'Morgen',
+    'compare.weekend': 'Wochenende',
+    'compare.fresh': 'Neu',
+    'compare.weekendSnow': 'Schnee WE',
+    'compare.lifts': 'Lifte',
+    'compare.gusts': 'Böen',
+    'compare.avy': 'Lawine',
+    'compare.hours': 'Zeiten',
+    'compare.weights': 'Gewichte',
+    'rank.good': 'Gut: {list}.',
+    'rank.heldBack': 'Abzug für {list}.',
+    'rank.behind': { one: '{n} Punkt hinter {name}.', other: '{n} Punkte hinter {name}.' },
+    'rank.noData': 'Keine Daten für {list}.',
+    'rank.notEnough': 'Zu wenig Daten für eine Bewertung.',
+    'factor.freshSnow': 'Neuschnee',
+    'factor.forecastSnow': 'Schneeprognose',
+    'factor.liftsOpen': 'Liftstatus',
+    'factor.pistesOpen': 'Pistenstatus',
+    'factor.wind': 'Wind',
+    'factor.avalanche': 'Lawinengefahr',
+    'factor.liftHours': 'Liftzeiten',
+    'reason.freshSnow': '{v} Neuschnee',
+    'reason.noFreshSnow': 'kein Neuschnee',
+    'reason.forecastSnow': '{v} Schnee erwartet',
+    'reason.noForecastSnow': 'kein Schnee erwartet',
+    'reason.liftsOpen': '{pct}% der Lifte offen',
+    'reason.pistesOpen': '{pct}% der Pisten offen',
+    'reason.windRisk': 'Böen {v} am Berg, Liftbetrieb gefährdet',
+    'reason.wind': 'Böen {v} am Berg',
+    'reason.calm': 'windstill am Berg',
+    'reason.avalanche': 'Lawinengefahr {level}/5',
+    'reason.liftHours': '{h}h Liftbetrieb',
+    'status.title': 'Quellenstatus',
+    'status.summary': '{ok}/{total} Quellen OK',
+    'status.degraded': '{n} gestört',
+    'status.failing': '{n} ausgefallen',
+    'status.checked': 'geprüft {when}',
+    'status.source': 'Quelle',
+    'status.status': 'Status',
+    'status.latency': 'Latenz',
+    'status.lastSuccess': 'Letzter Erfolg',
+    'status.items': 'Einträge',
+    'status.failures': { one: '{n} Fehler in Folge', other: '{n} Fehler in Folge' },
+    'status.usually': 'normal {items}',
+    'status.ok': 'ok',
+    'status.failed': 'ausgefallen',
+    'status.degradedState': 'gestört',
+    'wx.0': 'Klar', 'wx.1': 'Überwiegend klar', 'wx.2': 'Teilweise bewölkt', 'wx.3': 'Bedeckt',
+    'wx.45': 'Nebel', 'wx.48': 'Reifnebel',
+    'wx.51': 'Leichter Niesel', 'wx.53': 'Niesel', 'wx.55': 'Starker Niesel',
+    'wx.56': 'Gefrierender Niesel', 'wx.57': 'Starker gefrierender Niesel',
+    'wx.61': 'Leichter Regen', 'wx.63': 'Regen', 'wx.65': 'Starker Regen',
+    'wx.66': 'Gefrierender Regen', 'wx.67': 'Starker gefrierender Regen',
+    'wx.71': 'Leichter Schneefall', 'wx.73': 'Schneefall', 'wx.75': 'Starker Schneefall', 'wx.77': 'Schneegriesel',
+    'wx.80': 'Leichte Schauer', 'wx.81': 'Schauer', 'wx.82': 'Starke Schauer',
+    'wx.85': 'Schneeschauer', 'wx.86': 'Starke Schneeschauer',
+    'wx.95': 'Gewitter', 'wx.96': 'Gewitter + Hagel', 'wx.99': 'Gewitter + Hagel',
+    'wx.unknown': 'Unbekannt'
+  },
+
+  fr: {
+    'app.title': 'Snow Monitor',
+    'nav.compare': 'Où skier',
+    'app.ago': 'il y a {d}',
+    'app.justNow': 'à l’instant',
+    'app.offline': 'hors ligne',
+    'app.favourite': 'Favori',
+    'app.pin': 'Épingler la remontée',
+    'app.pinned': 'Remontées épinglées',
+    'filter.all': 'Tous',
+    'filter.open': 'Ouverts',
+    'filter.evaluating': 'En évaluation',
+    'filter.closed': 'Fermés',
+    'nav.back': 'retour',
+    'nav.language': 'Langue',
+    'nav.units': 'Unités',
+    'station.top': 'Sommet',
+    'station.mid': 'Milieu',
+    'station.bottom': 'Bas',
+    'station.feels': 'ressenti {v}',
+    'station.gusts': 'rafales {v}',
+    'legend.temp': 'Temp',
+    'legend.snow': 'Neige',
+    'legend.wind': 'Vent',
+    'lifts.title': 'Remontées',
+    'pistes.title': 'Pistes',
+    'rec.title': 'Sources comparées',
+    'rec.disagree': 'Les sources divergent',
+    'rec.lifts': 'Remontées ouvertes',
+    'rec.pistes': 'Pistes ouvertes',
+    'rec.kmOpen': 'Longueur ouverte',
+    'rec.summitDepth': 'Neige au sommet',
+    'rec.baseDepth': 'Neige en bas',
+    'rec.model': 'modèle',
+    'rec.why.live': 'État en direct par remontée/piste de {source}',
+    'rec.why.measured': 'Mesuré par la station ({source}) ; le modèle est une estimation',
+    'rec.why.only': 'Seul {source} le fournit',
+    'rec.why.fresher': 'De {source} : la source préférée n’est pas à jour',
+    'pistes.kmOpen': '{v} ouverts',
+    'map.title': 'Plan',
+    'map.hint': 'Touchez un symbole pour les détails',
+    'marker.lift.open': 'Remontée ouverte',
+    'marker.lift.closed': 'Remontée fermée',
+    'marker.lift.evaluating': 'Remontée en évaluation',
+    'marker.piste.open': 'Piste ouverte',
+    'marker.piste.closed': 'Piste fermée',
+    'marker.piste.evaluating': 'Piste en évaluation',
+    'difficulty.green': 'Vertes',
+    'difficulty.blue': 'Bleues',
+    'difficulty.red': 'Rouges',
+    'difficulty.black': 'Noires',
+    'difficulty.other': 'Autres',
+    'count.open': '{open}/{total} ouvertes',
+    'hours.open': 'Remontées ouvertes',
+    'wind.hold': 'Probablement arrêtée à cause du vent : rafales {gust}, limite {limit}',
+    'wind.watch': 'Rafales {gust}, proches de la limite de {limit}',
+    'wind.ahead': 'Rafales jusqu\'à {gust} dès {time} (limite {limit})',
+    'wind.holdCount': { one: '{n} remontée probablement arrêtée par le vent', other: '{n} remontées probablement arrêtées par le vent' },
+    'sched.openNow': 'ouvert, ferme dans {d}',
+    'sched.opensAt': 'ouvre à {time}',
+    'sched.closedAt': 'fermé depuis {time}',
+    'sched.closedToday': 'fermé aujourd\'hui',
+    'sched.until': 'prévu jusqu\'à {time}',
+    'sched.guessed': 'Horaires de « {name} », associés par un nom proche',
+    'weather.title': 'Météo',
+    'snowReport.title': 'Bulletin neige',
+    'snowReport.summit': 'Sommet',
+    'snowReport.base': 'Bas',
+    'snowReport.condition': 'Conditions',
+    'snow.fresh3': 'Fraîche (3j)',
+    'snow.next3': '3 prochains j',
+    'snow.next7': '7 prochains j',
+    'avy.risk': 'Risque d\'avalanche',
+    'avy.above': 'au-dessus de',
+    'avy.below': 'en dessous de',
+    'avy.treeline': 'la limite des forêts',
+    'avy.allAspects': 'toutes expositions',
+    'avy.allElevations': 'toutes altitudes',
+    'avy.morning': 'matin',
+    'avy.afternoon': 'après-midi',
+    'avy.tendency': 'Tendance',
+    'avy.valid': 'Valable {from} – {to}',
+    'avy.expired': '⚠️ Expiré — était valable {from} – {to}',
+    'danger.1': 'Faible',
+    'danger.2': 'Limité',
+    'danger.3': 'Marqué',
+    'danger.4': 'Fort',
+    'danger.5': 'Très fort',
+    'problem.new_snow': 'Neige fraîche',
+    'problem.wind_slab': 'Plaques à vent',
+    'problem.persistent_weak_layers': 'Sous-couches fragiles persistantes',
+    'problem.wet_snow': 'Neige mouillée',
+    'problem.gliding_snow': 'Avalanches de glissement',
+    'problem.cornices': 'Corniches',
+    'problem.no_distinct_avalanche_problem': 'Pas de problème marqué',
+    'problem.favourable_situation': 'Situation favorable',
+    'tendency.increasing': 'en hausse',
+    'tendency.steady': 'stable',
+    'tendency.decreasing': 'en baisse',
+    'forecast.today': 'Auj.',
+    'forecast.snowLine': 'Limite pluie/neige',
+    'forecast.sunshine': 'Ensoleillement',
+    'forecast.hourly': 'Prévisions horaires',
+    'forecast.next24': 'prochaines 24h',
+    'forecast.temp': 'Temp',
+    'forecast.feels': 'ressenti',
+    'forecast.precip': 'Neige/pluie',
+    'forecast.wind': 'Vent',
+    'forecast.gusts': 'rafales',
+    'forecast.cloud': 'Nuages',
+    'forecast.vis': 'visib.',
+    'season.title': 'Saison {season}',
+    'season.days': { one: '{n} jour', other: '{n} jours' },
+    'season.depth': 'Hauteur de neige',
+    'season.summit': 'Sommet',
+    'season.base': 'Bas',
+    'season.snowfall': 'Chutes de neige (observées)',
+    'season.open': 'Ouvert',
+    'season.lifts': 'Remontées',
+    'season.pistes': 'Pistes',
+    'season.avalanche': 'Niveau d\'avalanche',
+    'season.max': 'max {v}',
+    'season.thisWeek': 'Cette semaine',
+    'season.lastWeek': 'Semaine dernière',
+    'season.liftsOpen': 'Remontées ouvertes',
+    'season.pistesOpen': 'Pistes ouvertes',
+    'season.summitDepth': 'Neige au sommet',
+    'season.avy': 'Avalanches',
+    'season.firstOpened': 'Première ouverture',
+    'stale.asOf': 'données de {when}',
+    'stale.failed': 'Source indisponible ({error}) ; dernières données valides affichées',
+    'stale.old': 'Données non actualisées récemment',
+    'footer.data': 'Données',
+    'footer.every': 'Mis à jour toutes les 15 min',
+    'footer.live': 'Mises à jour en direct',
+    'footer.degraded': { one: '{n} source en difficulté', other: '{n} sources en difficulté' },
+    'footer.ok': 'Sources OK',
+    'compare.summary': 'Score 0–100 selon la neige, les remontées/pistes ouvertes, le vent, le risque d\'avalanche et les horaires',
+    'compare.resort': 'Station',
+    'compare.today': 'Aujourd\'hui',
+    'compare.tomorrow': 'Demain',
+    'compare.weekend': 'Week-end',
+    'compare.fresh': 'Fraîche',
+    'compare.weekendSnow': 'Neige WE',
+    'compare.lifts': 'Remontées',
+    'compare.gusts': 'Rafales',
+    'compare.avy': 'Aval.',
+    'compare.hours': 'Horaires',
+    'compare.weights': 'Pondération',
+    'rank.good': 'Atouts : {list}.',
+    'rank.heldBack': 'Pénalisée par {list}.',
+    'rank.behind': { one: '{n} point derrière {name}.', other: '{n} points derrière {name}.' },
+    'rank.noData': 'Pas de données pour {list}.',
+    'rank.notEnough': 'Pas assez de données pour un score.',
+    'factor.freshSnow': 'neige fraîche',
+    'factor.forecastSnow': 'neige prévue',
+    'factor.liftsOpen': 'état des remontées',
+    'factor.pistesOpen': 'état des pistes',
+    'factor.wind': 'vent',
+    'factor.avalanche': 'risque d\'avalanche',
+    'factor.liftHours': 'horaires des remontées',
+    'reason.freshSnow': '{v} de neige fraîche',
+    'reason.noFreshSnow': 'pas de neige fraîche',
+    'reason.forecastSnow': '{v} de neige prévue',
+    'reason.noForecastSnow': 'pas de neige prévue',
+    'reason.liftsOpen': '{pct} % des remontées ouvertes',
+    'reason.pistesOpen': '{pct} % des pistes ouvertes',
+    'reason.windRisk': 'rafales de {v} au sommet, remontées menacées',
+    'reason.wind': 'rafales de {v} au sommet',
+    'reason.calm': 'vent calme au sommet',
+    'reason.avalanche': 'risque d\'avalanche {level}/5',
+    'reason.liftHours': '{h} h d\'ouverture',
+    'status.title': 'État des sources',
+    'status.summary': '{ok}/{total} sources OK',
+    'status.degraded': '{n} en difficulté',
+    'status.failing': '{n} indisponibles',
+    'status.checked': 'vérifié {when}',
+    'status.source': 'Source',
+    'status.status': 'État',
+    'status.latency': 'Latence',
+    'status.lastSuccess': 'Dernier succès',
+    'status.items': 'Éléments',
+    'status.failures': { one: '{n} échec consécutif', other: '{n} échecs consécutifs' },
+    'status.usually': 'habituellement {items}',
+    'status.ok': 'ok',
+    'status.failed': 'indisponible',
+    'status.degradedState': 'en difficulté',
+    'wx.0': 'Dégagé', 'wx.1': 'Plutôt dégagé', 'wx.2': 'Partiellement nuageux', 'wx.3': 'Couvert',
+    'wx.45': 'Brouillard', 'wx.48': 'Brouillard givrant',
+    'wx.51': 'Bruine légère', 'wx.53': 'Bruine', 'wx.55': 'Forte bruine',
+    'wx.56': 'Bruine verglaçante', 'wx.57': 'Forte bruine verglaçante',
+    'wx.61': 'Pluie faible', 'wx.63': 'Pluie', 'wx.65': 'Forte pluie',
+    'wx.66': 'Pluie verglaçante', 'wx.67': 'Forte pluie verglaçante',
+    'wx.71': 'Neige faible', 'wx.73': 'Neige', 'wx.75': 'Forte neige', 'wx.77': 'Neige en grains',
+    'wx.80': 'Averses faibles', 'wx.81': 'Averses', 'wx.82': 'Fortes averses',
+    'wx.85': 'Averses de neige', 'wx.86': 'Fortes averses de neige',
+    'wx.95': 'Orage', 'wx.96': 'Orage + grêle', 'wx.99': 'Orage + grêle',
+    'wx.unknown': 'Inconnu'
+  }
+};
+
+const WEATHER_EMOJI = {
+  0: '☀️', 1: '🌤️', 2: '⛅', 3: '☁️', 45: '🌫️', 48: '🌫️',
+  51: '🌧️', 53: '🌧️', 55: '🌧️', 56: '🧊', 57: '🧊',
+  61: '🌧️', 63: '🌧️', 65: '🌧️', 66: '🧊', 67: '🧊',
+  71: '🌨️', 73: '🌨️', 75: '❄️', 77: '❄️', 80: '🌦️', 81: '🌦️',
+  82: '🌦️', 85: '🌨️', 86: '❄️', 95: '⛈️', 96: '⛈️', 99: '⛈️'
+};
+
+// Each quantity: display unit, conversion from the stored metric value, default decimals
+const UNITS = {
+  metric: {
+    temp: { unit: '°', convert: c => c, digits: 0 },
+    depth: { unit: 'cm', convert: cm => cm, digits: 0 },
+    snowfall: { unit: 'cm', convert: cm => cm, digits: 1 },
+    rain: { unit: 'mm', convert: mm => mm, digits: 1 },
+    wind: { unit: 'km/h', convert: kmh => kmh, digits: 0 },
+    elevation: { unit: 'm', convert: m => m, digits: 0 },
+    distance: { unit: 'km', convert: km => km, digits: 0 }
+  },
+  imperial: {
+    temp: { unit: '°', convert: c => c * 9 / 5 + 32, digits: 0 },
+    depth: { unit: 'in', convert: cm => cm / 2.54, digits: 0 },
+    snowfall: { unit: 'in', convert: cm => cm / 2.54, digits: 1 },
+    rain: { unit: 'in', convert: mm => mm / 25.4, digits: 2 },
+    wind: { unit: 'mph', convert: kmh => kmh / 1.609344, digits: 0 },
+    elevation: { unit: 'ft', convert: m => m * 3.28084, digits: 0 },
+    distance: { unit: 'mi', convert: km => km / 1.609344, digits: 0 }
+  }
+};
+const UNIT_SYSTEMS = Object.keys(UNITS);
+const SCALE = { metric: { symbol: '°C', freezing: '0°C' }, imperial: { symbol: '°F', freezing: '32°F' } };
+
+// Date/time styles for locale.time(); `date` styles take a YYYY-MM-DD day
+const TIME_STYLES = {
+  datetime: { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZoneName: 'short' },
+  short: { day: '2-digit', month: '2-digit', year: '2-digit', hour: '2-digit', minute: '2-digit' },
+  dayTime: { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' },
+  weekdayTime: { weekday: 'short', hour: '2-digit', minute: '2-digit' },
+  time: { hour: '2-digit', minute: '2-digit' }
+};
+const DATE_STYLES = {
+  weekday: { weekday: 'short' },
+  weekdayDay: { weekday: 'short', day: 'numeric' }
+};
+
+// { lang, units, t(key, vars), u: { fmt, value, unit, symbol, freezing }, number(x, digits), weather(code), time(iso, tz, style), date(day, style) }
+function createLocale({ lang = 'en', units = 'metric' } = {}) {
+  if (!MESSAGES[lang]) throw new Error(`unknown language "${lang}" (expected ${LANGUAGES.join(', ')})`);
+  if (!UNITS[units]) throw new Error(`unknown unit system "${units}" (expected ${UNIT_SYSTEMS.join(', ')})`);
+  const messages = { ...MESSAGES.en, ...MESSAGES[lang] };
+  const intl = INTL_LOCALE[lang];
+  const plural = new Intl.PluralRules(intl);
+
+  // "{name}" placeholders; plural messages are { one, other } picked by vars.n
+  const t = (key, vars = {}) => {
+    let msg = messages[key];
+    if (msg === undefined) return key;
+    if (typeof msg === 'object') msg = msg[plural.select(vars.n ?? 0)] || msg.other;
+    return msg.replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined ? vars[name] : m));
+  };
+
+  const system = UNITS[units];
+  const number = (x, digits) => x.toLocaleString(intl, { minimumFractionDigits: digits, maximumFractionDigits: digits, useGrouping: false });
+  const value = (kind, v) => (v === null || v === undefined || Number.isNaN(v) ? null : system[kind].convert(v));
+  const fmt = (kind, v, digits = system[kind].digits) => {
+    const x = value(kind, v);
+    return x === null ? '–' : `${number(x, digits)}${system[kind].unit}`;
+  };
+  const u = { fmt, value, unit: kind => system[kind].unit, ...SCALE[units] };
+
+  const weather = code => [t(WEATHER_EMOJI[code] ? `wx.${code}` : 'wx.unknown'), WEATHER_EMOJI[code] || '❓'];
+  const time = (iso, timeZone, style = 'datetime') => new Date(iso).toLocaleString(intl, { timeZone, ...TIME_STYLES[style] });
+  const date = (day, style = 'weekday') => new Date(`${day}T12:00:00Z`).toLocaleDateString(intl, { timeZone: 'UTC', ...DATE_STYLES[style] });
+  const duration = mins => (mins >= 60 ? `${Math.floor(mins / 60)}h${String(mins % 60).padStart(2, '0')}` : `${mins} min`);
+
+  return { lang, units, t, u, number, weather, time, date, duration };
+}
+
+module.exports = { LANGUAGES, UNIT_SYSTEMS, MESSAGES, createLocale };
@@ -0,0 +1,247 @@
+// Snow Monitor - Notification delivery
+// Sends change events (lib/changes.js) to the channels configured in notify.json:
+//   webhook  POST { title, events } as JSON to any URL
+//   ntfy     ntfy-style HTTP push (POST text to <server>/<topic>)
+//   smtp     plain-text email over SMTP (implicit TLS, STARTTLS or plain for local stand-ins)
+// Already-sent events, and events held back by quiet hours or a failed
+// delivery, are kept in a small state file so nothing goes out twice and a
+// lost event is tried again. A day-keyed event (first lift, fresh snow) is sent
+// once per key; any other event is one change at one time, so a lift that
+// closes and reopens later the same day is reported each time.
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const https = require('https');
+const http = require('http');
+const { rulesFor, ONCE_PER_KEY } = require('./changes');
+const { timeZoneOf, localTime } = require('./time');
+
+const DIGEST_AFTER = 3; // more events than this for one resort go out as one message
+const SENT_DAYS = 7; // how long sent events are remembered
+
+// "${VAR}" / "$VAR" in config values are read from the environment
+function expandEnv(value) {
+  if (typeof value === 'string') return value.replace(/\$\{(\w+)\}|\$(\w+)/g, (_, a, b) => process.env[a || b] || '');
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v)]));
+  return value;
+}
+
+function loadConfig(file) {
+  if (!fs.existsSync(file)) return { channels: {}, rules: {} };
+  const cfg = expandEnv(JSON.parse(fs.readFileSync(file, 'utf8')));
+  return { rules: {}, ...cfg, channels: cfg.channels || {} };
+}
+
+function loadState(file) {
+  try {
+    return { sent: {}, pending: [], ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (e) {
+    return { sent: {}, pending: [] };
+  }
+}
+
+// Quiet hours are in the resort's local time
+function inQuietHours(quiet, timestamp, tz) {
+  if (!quiet || !quiet.from || !quiet.to) return false;
+  const now = localTime(timestamp, tz);
+  // Window may wrap past midnight (22:00–07:00)
+  return quiet.from <= quiet.to ? now >= quiet.from && now < quiet.to : now >= quiet.from || now < quiet.to;
+}
+
+function post(url, body, headers = {}) {
+  const mod = url.startsWith('https') ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = mod.request(url, { method: 'POST', headers: { 'User-Agent': 'SnowMonitor/1.0', 'Content-Length': Buffer.byteLength(body), ...headers } }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode >= 300) reject(new Error(`HTTP ${res.statusCode}`));
+        else resolve(data);
+      });
+    });
+    req.setTimeout(15000, () => req.destroy(new Error('timeout')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// --- SMTP ---
+
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+// "Snow Monitor <alerts@example.com>" or a bare address -> the address ('' for "Name <>")
+const address = a => (String(a || '').match(/<([^>]*)>/) || [null, String(a || '')])[1].trim();
+
+function smtpSend(cfg, subject, text) {
+  const port = parseInt(cfg.port) || (cfg.secure ? 465 : 25);
+  const recipients = [].concat(cfg.to).flatMap(t => t.split(',')).map(t => t.trim()).filter(Boolean);
+
+  return new Promise((resolve, reject) => {
+    let socket = cfg.secure
+      ? tls.connect({ host: cfg.host, port, servername: cfg.host })
+      : net.connect({ host: cfg.host, port });
+    let buffer = '', waiting = null;
+
+    // A reply is complete once its last line is "NNN text" (continuation lines use "NNN-")
+    const onData = (chunk) => {
+      buffer += chunk.toString('utf8');
+      const m = buffer.match(/(?:^|\r?\n)(\d{3}) [^\n]*\r?\n$/);
+      if (m && waiting) {
+        const w = waiting;
+        waiting = null;
+        const reply = { code: parseInt(m[1]), text: buffer.trim() };
+        buffer = '';
+        w(reply);
+      }
+    };
+    const attach = (s) => {
+      s.on('data', onData);
+      s.on('error', fail);
+      s.setTimeout(20000, () => fail(new Error('SMTP timeout')));
+    };
+    const read = () => new Promise(r => { waiting = r; });
+    const cmd = async (line, expect) => {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await read();
+      if (Math.floor(reply.code / 100) !== expect) throw new Error(`SMTP ${reply.text}`);
+      return reply;
+    };
+    let done = false;
+    function fail(e) {
+      if (done) return;
+      done = true;
+      socket.destroy();
+      reject(e);
+    }
+    attach(socket);
+
+    (async () => {
+      await cmd(null, 2);
+      const hostname = cfg.helo || 'snow-monitor';
+      await cmd(`EHLO ${hostname}`, 2);
+      if (cfg.starttls && !cfg.secure) {
+        await cmd('STARTTLS', 2);
+        socket.removeAllListeners('data');
+        socket = tls.connect({ socket, servername: cfg.host });
+        attach(socket);
+        await cmd(`EHLO ${hostname}`, 2);
+      }
+      if (cfg.user) {
+        await cmd(`AUTH PLAIN ${Buffer.from(`\0${cfg.user}\0${cfg.pass || ''}`).toString('base64')}`, 2);
+      }
+      await cmd(`MAIL FROM:<${address(cfg.from)}>`, 2);
+      for (const rcpt of recipients) await cmd(`RCPT TO:<${address(rcpt)}>`, 2);
+      await cmd('DATA', 3);
+      const body = [
+        `From: ${cfg.from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        ...text.split(/\r?\n/).map(l => (l.startsWith('.') ? `.${l}` : l))
+      ].join('\r\n');
+      await cmd(`${body}\r\n.`, 2);
+      await cmd('QUIT', 2).catch(() => {});
+      done = true;
+      socket.end();
+      resolve();
+    })().catch(fail);
+  });
+}
+
+// --- Channels ---
+
+const PRIORITY = { high: 'high', normal: 'default', low: 'low' };
+
+const CHANNELS = {
+  webhook: {
+    ready: c => !!c.url,
+    send: (c, msg) => post(c.url, JSON.stringify(msg), { 'Content-Type': 'application/json', ...(c.headers || {}) })
+  },
+  ntfy: {
+    ready: c => !!c.topic,
+    send: (c, msg) => post(`${(c.server || 'https://ntfy.sh').replace(/\/$/, '')}/${c.topic}`, msg.text, {
+      'Content-Type': 'text/plain; charset=utf-8',
+      Title: encodeHeader(msg.title),
+      Priority: PRIORITY[msg.severity] || 'default',
+      Tags: 'snowflake',
+      ...(c.token ? { Authorization: `Bearer ${c.token}` } : {})
+    })
+  },
+  smtp: {
+    ready: c => !!(c.host && address(c.from) && c.to),
+    send: (c, msg) => smtpSend(c, msg.title, msg.text)
+  }
+};
+
+function message(events) {
+  const severity = events.some(e => e.severity === 'high') ? 'high' : events.some(e => e.severity === 'normal') ? 'normal' : 'low';
+  if (events.length === 1) return { title: events[0].title, text: events[0].message, severity, events };
+  const resorts = [...new Set(events.map(e => e.title.split(':')[0]))];
+  return {
+    title: `${resorts.join(', ')}: ${events.length} updates`,
+    text: events.map(e => `• ${e.title.replace(/^[^:]+: /, '')} — ${e.message}`).join('\n'),
+    severity,
+    events
+  };
+}
+
+// Deliver new events; returns the events that went out
+async function dispatch(events, resorts, config, statePath, timestamp) {
+  const state = loadState(statePath);
+  const now = Date.parse(timestamp);
+  const byId = Object.fromEntries(resorts.map(r => [r.id, r]));
+  const id = e => (ONCE_PER_KEY.has(e.type) ? e.key : `${e.key}@${e.time}`);
+  const isDuplicate = e => !!state.sent[id(e)];
+
+  const candidates = [...state.pending, ...events].filter((e, i, all) => all.findIndex(x => id(x) === id(e)) === i);
+  const pending = [], due = [];
+  for (const e of candidates) {
+    if (isDuplicate(e) || !byId[e.resort]) continue;
+    if (inQuietHours(rulesFor(byId[e.resort], config.rules).quietHours, timestamp, timeZoneOf(byId[e.resort]))) pending.push(e);
+    else due.push(e);
+  }
+
+  // Group per resort and channel, one digest when there are many
+  const delivered = new Set(), attempted = new Set();
+  const channelNames = Object.keys(config.channels);
+  for (const resortId of [...new Set(due.map(e => e.resort))]) {
+    const rules = rulesFor(byId[resortId], config.rules);
+    const resortEvents = due.filter(e => e.resort === resortId);
+    const batches = resortEvents.length > DIGEST_AFTER ? [resortEvents] : resortEvents.map(e => [e]);
+    for (const name of rules.channels || channelNames) {
+      const channel = config.channels[name];
+      const impl = channel && CHANNELS[channel.type];
+      if (!impl || !impl.ready(channel)) continue;
+      for (const batch of batches) {
+        batch.forEach(e => attempted.add(id(e)));
+        try {
+          await impl.send(channel, message(batch));
+          batch.forEach(e => delivered.add(id(e)));
+        } catch (e) {
+          console.error(`  Notify ${name} failed: ${e.message}`);
+        }
+      }
+    }
+  }
+
+  for (const sent of delivered) state.sent[sent] = timestamp;
+  for (const [sent, at] of Object.entries(state.sent)) {
+    if (now - Date.parse(at) > SENT_DAYS * 86400000) delete state.sent[sent];
+  }
+  // Events that failed on every channel they were tried on go out next run
+  state.pending = [...pending, ...due.filter(e => attempted.has(id(e)) && !delivered.has(id(e)))];
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  return due.filter(e => delivered.has(id(e)));
+}
+
+module.exports = { dispatch, loadConfig, inQuietHours, smtpSend, CHANNELS, expandEnv };
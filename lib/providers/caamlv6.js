@@ -0,0 +1,24 @@
+// CAAMLv6 avalanche bulletins (EUREGIO, EAWS member services or any CAAMLv6 URL)
+const { ParseError } = require('./errors');
+const avalanche = require('../avalanche');
+const { timeZoneOf, localDate } = require('../time');
+
+function parse(body, cfg) {
+  const bulletin = avalanche.parseCAAMLv6(typeof body === 'string' ? JSON.parse(body) : body, cfg.regions);
+  if (!bulletin) throw new ParseError(`no bulletin for ${(cfg.regions || []).join(', ') || 'any region'}`);
+  const source = avalanche.SOURCES[cfg.source] || {};
+  return { ...bulletin, source: cfg.name || source.name, url: cfg.link || source.link || cfg.url };
+}
+
+module.exports = {
+  kind: 'avalanche',
+  name: 'caamlv6',
+  parse,
+  // `cache` shares one download between resorts that use the same bulletin
+  async fetch(cfg, { resort, fetch, cache = new Map() }) {
+    const date = localDate(Date.now(), timeZoneOf(resort));
+    const url = avalanche.bulletinUrl(cfg, date);
+    if (!cache.has(url)) cache.set(url, fetch(url).then(JSON.parse));
+    return parse(await cache.get(url), cfg);
+  }
+};
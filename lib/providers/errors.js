@@ -0,0 +1,11 @@
+// Adapters throw ParseError when the page loaded but held nothing usable.
+// It lives apart from the registry so adapters can load without it.
+
+class ParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ParseError';
+  }
+}
+
+module.exports = { ParseError };
@@ -0,0 +1,86 @@
+// Snow Monitor - Data-source adapters
+// Every source of data is an adapter registered under a kind:
+//   weather     station forecasts        -> { [station]: Open-Meteo style response | null }
+//   liftStatus  live lift/piste status   -> { lifts: [{ name, status, x, y, sector?, liftType? }], pistes: [{ name, status, x, y, difficulty?, lengthKm?, sector? }] }
+//   schedule    lift operating hours     -> { lifts: { NAME: [{ from, to, days, open, close }] } } (see lib/schedule.js)
+//   snowReport  resort snow report       -> { liftsOpen, liftsTotal, runsOpen, runsTotal, kmOpen, baseDepth, summitDepth, condition }
+//   avalanche   avalanche bulletin       -> see lib/avalanche.js parseCAAMLv6
+//
+// An adapter is { kind, name, fetch(cfg, ctx) } where ctx = { resort, fetch, cache, warn }.
+// ctx.fetch is the shared HTTP client (lib/http.js) with this source's cache
+// lifetime applied: `cacheMinutes` in the resort's source config, else the kind's default.
+// ctx.warn(message) reports a part that failed when the rest is still worth using.
+// Scrapers also expose a pure parse(body, cfg) so they can be tested on saved pages.
+// Adapters throw ParseError (./errors) when the page loaded but held nothing usable.
+
+const { ParseError } = require('./errors');
+
+// What counts as "found nothing" for each kind, how long a cached response stays
+// fresh, and how often `serve` refreshes it (site.json serve.refreshMinutes overrides)
+const KINDS = {
+  weather: { cacheMinutes: 10, refreshMinutes: 60, empty: d => !d || Object.values(d).every(s => !s) },
+  liftStatus: { cacheMinutes: 2, refreshMinutes: 2, empty: d => !d || (d.lifts.length === 0 && d.pistes.length === 0) },
+  schedule: { cacheMinutes: 720, refreshMinutes: 720, empty: d => !d || Object.keys(d.lifts).length === 0 },
+  snowReport: { cacheMinutes: 30, refreshMinutes: 30, empty: d => !d || Object.values(d).every(v => v === null) },
+  avalanche: { cacheMinutes: 120, refreshMinutes: 720, empty: d => !d || !d.level }
+};
+
+const registry = {};
+for (const kind of Object.keys(KINDS)) registry[kind] = {};
+
+function register(adapter) {
+  if (!KINDS[adapter.kind]) throw new Error(`Unknown data kind "${adapter.kind}"`);
+  registry[adapter.kind][adapter.name] = adapter;
+  return adapter;
+}
+
+function getAdapter(kind, name) {
+  return (registry[kind] || {})[name] || null;
+}
+
+function listAdapters() {
+  return Object.fromEntries(Object.entries(registry).map(([kind, adapters]) => [kind, Object.keys(adapters)]));
+}
+
+// Per-resort adapter config from resorts.json `sources`, falling back to the
+// older top-level keys (onTheSnowUrl, skiramaUrl, liftScheduleUrl)
+function resolveSources(resort) {
+  const sources = { weather: { provider: 'open-meteo' } };
+  if (resort.onTheSnowUrl) sources.snowReport = { provider: 'onthesnow', url: resort.onTheSnowUrl };
+  if (resort.skiramaUrl) sources.liftStatus = { provider: 'monterosa-skirama', url: resort.skiramaUrl };
+  if (resort.liftScheduleUrl) sources.schedule = { provider: 'monterosa-schedule', url: resort.liftScheduleUrl };
+  if (resort.avalanche) sources.avalanche = { ...resort.avalanche, provider: 'caamlv6' };
+  return { ...sources, ...(resort.sources || {}) };
+}
+
+// Run the resort's adapter for one kind. Never throws: the outcome is
+//   { ok: true, provider, data, latencyMs, warnings? } or { ok: false, provider, error: { type, message }, latencyMs }
+// with type 'config' (no/unknown adapter), 'fetch' (network/HTTP) or 'parse' (nothing found).
+async function runSource(kind, resort, ctx) {
+  const cfg = resolveSources(resort)[kind];
+  if (!cfg) return { ok: false, provider: null, error: { type: 'config', message: `no ${kind} source configured` } };
+  const adapter = getAdapter(kind, cfg.provider);
+  if (!adapter) return { ok: false, provider: cfg.provider, error: { type: 'config', message: `unknown ${kind} provider "${cfg.provider}"` } };
+  const ttl = (cfg.cacheMinutes ?? KINDS[kind].cacheMinutes) * 60000;
+  const fetch = (url, opts = {}) => ctx.fetch(url, { ttl, ...opts });
+  const warnings = [];
+  const warn = message => { warnings.push(message); };
+  const started = Date.now();
+  try {
+    const data = await adapter.fetch(cfg, { ...ctx, resort, fetch, warn });
+    if (KINDS[kind].empty(data)) throw new ParseError(`${adapter.name} returned no ${kind} data`);
+    const outcome = { ok: true, provider: adapter.name, data, latencyMs: Date.now() - started };
+    if (warnings.length) outcome.warnings = warnings;
+    return outcome;
+  } catch (e) {
+    return { ok: false, provider: adapter.name, error: { type: e instanceof ParseError ? 'parse' : 'fetch', message: e.message }, latencyMs: Date.now() - started };
+  }
+}
+
+module.exports = { ParseError, KINDS, register, getAdapter, listAdapters, resolveSources, runSource };
+
+// Built-in adapters
+for (const file of ['open-meteo', 'onthesnow', 'monterosa-skirama', 'monterosa-schedule', 'caamlv6']) {
+  const adapters = require(`./${file}`);
+  for (const adapter of [].concat(adapters)) register(adapter);
+}
@@ -0,0 +1,119 @@
+// monterosaski.eu opening-hours page
+// Structure: <p>..LiftName (N)..</p> followed by <ul> with one <li> per period, e.g.
+//   <li>From 06.12.2025 to 12.04.2026: 8.30 – 16.30</li>
+//   <li>Saturdays and Sundays from 29.11.2025 to 05.12.2025: 9.00 – 16.00</li>
+//   <li>Closed on Mondays</li>
+// Each <li> becomes a { from, to, days, open, close } period (see lib/schedule.js).
+const { ParseError } = require('./errors');
+
+const MONTHS = {
+  jan: 1, january: 1, gennaio: 1, feb: 2, february: 2, febbraio: 2, mar: 3, march: 3, marzo: 3,
+  apr: 4, april: 4, aprile: 4, may: 5, maggio: 5, jun: 6, june: 6, giugno: 6, jul: 7, july: 7, luglio: 7,
+  aug: 8, august: 8, agosto: 8, sep: 9, sept: 9, september: 9, settembre: 9, oct: 10, october: 10, ottobre: 10,
+  nov: 11, november: 11, novembre: 11, dec: 12, december: 12, dicembre: 12
+};
+const WEEKDAYS = {
+  sunday: 0, sun: 0, domenica: 0, domeniche: 0, monday: 1, mon: 1, lunedì: 1, lunedi: 1,
+  tuesday: 2, tue: 2, martedì: 2, martedi: 2, wednesday: 3, wed: 3, mercoledì: 3, mercoledi: 3,
+  thursday: 4, thu: 4, giovedì: 4, giovedi: 4, friday: 5, fri: 5, venerdì: 5, venerdi: 5,
+  saturday: 6, sat: 6, sabato: 6, sabati: 6
+};
+
+const alternation = words => words.sort((a, b) => b.length - a.length).join('|');
+const timeRe = /(\d{1,2})[.:](\d{2})\s*(?:[–\-]|to|alle|a)\s*(\d{1,2})[.:](\d{2})/gi;
+const dateRe = new RegExp(`(\\d{1,2})[./](\\d{1,2})(?:[./](\\d{4}|\\d{2}))?|(\\d{1,2})(?:st|nd|rd|th)?\\s+(${alternation(Object.keys(MONTHS))})(?![a-z])\\.?(?:\\s+(\\d{4}))?`, 'gi');
+const weekdayRe = new RegExp(`(?<![a-zà-ù])(${alternation(Object.keys(WEEKDAYS))})s?(?![a-zà-ù])`, 'gi');
+const weekdayRangeRe = new RegExp(`(${alternation(Object.keys(WEEKDAYS))})s?\\s*(?:to|through|until|[–\\-]|al|a)\\s*(${alternation(Object.keys(WEEKDAYS))})s?(?![a-zà-ù])`, 'i');
+
+const pad = n => String(n).padStart(2, '0');
+const clock = (h, m) => `${parseInt(h)}:${m}`;
+
+// "YYYY-MM-DD" or "MM-DD" (no year given) per date in the text, in order
+function findDates(text) {
+  const dates = [];
+  let m;
+  dateRe.lastIndex = 0;
+  while ((m = dateRe.exec(text)) !== null) {
+    const day = parseInt(m[1] || m[4]);
+    const month = m[2] ? parseInt(m[2]) : MONTHS[m[5].toLowerCase()];
+    let year = m[3] || m[6];
+    if (day < 1 || day > 31 || month < 1 || month > 12) continue;
+    if (year && year.length === 2) year = `20${year}`;
+    dates.push({ date: `${year ? `${year}-` : ''}${pad(month)}-${pad(day)}`, index: m.index });
+  }
+  return dates;
+}
+
+// Weekdays a period is limited to, or null for every day
+function findDays(text) {
+  const lower = text.toLowerCase();
+  if (/\b(daily|every day|tutti i giorni)\b/.test(lower)) return null;
+  if (/\b(weekdays|feriali)\b/.test(lower)) return [1, 2, 3, 4, 5];
+  const range = weekdayRangeRe.exec(lower);
+  if (range) {
+    const days = [];
+    for (let d = WEEKDAYS[range[1]]; ; d = (d + 1) % 7) {
+      days.push(d);
+      if (d === WEEKDAYS[range[2]]) break;
+    }
+    return days.sort();
+  }
+  const named = [...lower.matchAll(weekdayRe)].map(m => WEEKDAYS[m[1]]);
+  if (/\b(weekends?|week-ends?|fine settimana)\b/.test(lower)) named.push(6, 0);
+  return named.length ? [...new Set(named)].sort() : null;
+}
+
+// One <li>: { from, to, days, open, close }, or null when it holds no hours
+function parsePeriod(text) {
+  const times = [...text.matchAll(timeRe)].filter(m => parseInt(m[1]) < 24 && parseInt(m[3]) < 24 && parseInt(m[2]) < 60 && parseInt(m[4]) < 60);
+  const closed = /\b(closed|chius[oaie]|chiusura)\b/i.test(text);
+  if (!times.length && !closed) return null;
+  // Dates come before the hours; a date range without years looks like a time range too
+  const last = times[times.length - 1];
+  const rest = last ? text.slice(0, last.index) + text.slice(last.index + last[0].length) : text;
+  const period = { from: null, to: null, days: findDays(rest), open: null, close: null };
+  if (last) {
+    period.open = clock(last[1], last[2]);
+    period.close = clock(last[3], last[4]);
+  }
+  const dates = findDates(rest);
+  if (dates.length >= 2) {
+    period.from = dates[0].date;
+    period.to = dates[1].date;
+  } else if (dates.length === 1) {
+    const before = rest.slice(0, dates[0].index).toLowerCase();
+    if (/(?<![a-z])(until|till|fino al?|to|al)\s*$/.test(before)) period.to = dates[0].date;
+    else if (/(?<![a-z])(from|since|dal|da)\s*$/.test(before)) period.from = dates[0].date;
+    else period.from = period.to = dates[0].date;
+  }
+  return period;
+}
+
+function parse(html) {
+  const blockRe = /<p[^>]*>(.*?)<\/p>\s*<ul[^>]*>(.*?)<\/ul>/gis;
+  const liftTypeRe = /^(?:Gondola|Chairlift|Funicular|Funifor|Cableway|Tapis(?:\s+Roulant?)?)\s+/i;
+  const text = s => s.replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+  const lifts = {};
+  let m;
+  while ((m = blockRe.exec(html)) !== null) {
+    const pText = text(m[1]);
+    if (!liftTypeRe.test(pText)) continue;
+    const items = m[2].split(/<li[^>]*>/i).slice(1).map(text).filter(Boolean);
+    const periods = items.map(parsePeriod).filter(Boolean);
+    if (!periods.length) continue;
+    const name = pText.replace(liftTypeRe, '').replace(/\s*\([\d,\-\s]+\).*/, '').trim().toUpperCase();
+    lifts[name] = periods;
+  }
+  if (Object.keys(lifts).length === 0) throw new ParseError('no lift opening hours found on schedule page');
+  return { lifts };
+}
+
+module.exports = {
+  kind: 'schedule',
+  name: 'monterosa-schedule',
+  parse,
+  parsePeriod,
+  async fetch(cfg, { fetch }) {
+    return parse(await fetch(cfg.url));
+  }
+};
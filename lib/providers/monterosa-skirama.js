@@ -0,0 +1,100 @@
+// Monterosa Ski live "Skirama" map: one marker per lift/slope carrying its status
+// and position, e.g.
+//   <a data-x='512' data-y='230' data-status='open' data-type='slope' data-difficulty='red' title='Sarezza'>
+// Each marker becomes { name, status, x, y } plus, where the markup has them,
+// difficulty (green | blue | red | black), sector, lengthKm and liftType; every
+// other attribute is kept as-is in `attrs`. Attribute order doesn't matter.
+const { ParseError } = require('./errors');
+
+const MARKER_RE = /<[a-z][^>]*\bdata-type\s*=\s*(['"])(?:lift|slope)\1[^>]*>/gi;
+const ATTR_RE = /([\w:-]+)\s*=\s*(?:'([^']*)'|"([^"]*)")/g;
+
+const DIFFICULTY_WORDS = {
+  green: ['green', 'verde', 'vert', 'grün', 'gruen', 'beginner', 'nursery'],
+  blue: ['blue', 'blu', 'azzurra', 'azzurro', 'bleu', 'blau', 'easy', 'facile'],
+  red: ['red', 'rossa', 'rosso', 'rouge', 'rot', 'intermediate', 'medium', 'media'],
+  black: ['black', 'nera', 'nero', 'noire', 'schwarz', 'difficult', 'expert', 'difficile']
+};
+const DIFFICULTY_KEYS = ['data-difficulty', 'data-level', 'data-color', 'data-colour', 'class'];
+const SECTOR_KEYS = ['data-sector', 'data-valley', 'data-area', 'data-zone', 'data-region'];
+const LENGTH_KEYS = ['data-length-km', 'data-km', 'data-length'];
+const LIFT_TYPE_KEYS = ['data-lift-type', 'data-subtype', 'data-kind'];
+const MAPPED = new Set(['data-x', 'data-y', 'data-status', 'data-type', 'title', ...SECTOR_KEYS, ...LENGTH_KEYS, ...LIFT_TYPE_KEYS]);
+
+const decode = s => s.replace(/&#(\d+);/g, (_, n) => String.fromCharCode(n)).replace(/&#x([\da-f]+);/gi, (_, n) => String.fromCharCode(parseInt(n, 16)))
+  .replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+function attributes(tag) {
+  const attrs = {};
+  for (const m of tag.matchAll(ATTR_RE)) attrs[m[1].toLowerCase()] = decode(m[2] ?? m[3]);
+  return attrs;
+}
+
+// "#d32f2f" → the colour it reads as on a piste map
+function hexDifficulty(hex) {
+  const m = /^#?([\da-f]{2})([\da-f]{2})([\da-f]{2})$/i.exec(hex.trim());
+  if (!m) return null;
+  const [r, g, b] = m.slice(1).map(h => parseInt(h, 16));
+  if (Math.max(r, g, b) < 80) return 'black';
+  if (r >= g && r >= b) return 'red';
+  return b >= g ? 'blue' : 'green';
+}
+
+function difficultyOf(attrs) {
+  for (const key of DIFFICULTY_KEYS) {
+    const value = attrs[key];
+    if (!value) continue;
+    const words = value.toLowerCase().split(/[\s_-]+/);
+    const found = Object.keys(DIFFICULTY_WORDS).find(d => DIFFICULTY_WORDS[d].some(w => words.includes(w)));
+    if (found) return found;
+    const hex = key !== 'class' && hexDifficulty(value);
+    if (hex) return hex;
+  }
+  return null;
+}
+
+const firstOf = (attrs, keys) => keys.map(k => attrs[k]).find(v => v !== undefined && v.trim() !== '');
+
+// Lengths in km; a bare number over 50 is taken to be metres
+function lengthOf(attrs) {
+  const key = LENGTH_KEYS.find(k => attrs[k] !== undefined);
+  if (!key) return null;
+  const n = parseFloat(attrs[key].replace(',', '.'));
+  if (!Number.isFinite(n) || n <= 0) return null;
+  const metres = /\bm\b/i.test(attrs[key]) || (key === 'data-length' && !/km/i.test(attrs[key]) && n > 50);
+  return Math.round((metres ? n / 1000 : n) * 100) / 100;
+}
+
+const coordinate = v => (v !== undefined && Number.isFinite(parseFloat(v)) ? parseFloat(v) : null);
+
+function parse(html) {
+  const lifts = [], pistes = [];
+  for (const [tag] of html.matchAll(MARKER_RE)) {
+    const attrs = attributes(tag);
+    if (!attrs.title || !attrs['data-status']) continue;
+    const entry = { name: attrs.title, status: attrs['data-status'], x: coordinate(attrs['data-x']), y: coordinate(attrs['data-y']) }; // status: open | closed | evaluating
+    const difficulty = attrs['data-type'] === 'slope' ? difficultyOf(attrs) : null;
+    const sector = firstOf(attrs, SECTOR_KEYS);
+    const lengthKm = lengthOf(attrs);
+    const liftType = firstOf(attrs, LIFT_TYPE_KEYS);
+    if (difficulty) entry.difficulty = difficulty;
+    if (sector) entry.sector = sector.trim();
+    if (lengthKm) entry.lengthKm = lengthKm;
+    if (liftType) entry.liftType = liftType.trim().toLowerCase();
+    const rest = Object.fromEntries(Object.entries(attrs).filter(([k]) => !MAPPED.has(k)));
+    if (Object.keys(rest).length) entry.attrs = rest;
+    if (attrs['data-type'] === 'lift') lifts.push(entry);
+    else pistes.push(entry);
+  }
+  if (lifts.length === 0 && pistes.length === 0) throw new ParseError('no lift or slope markers found on Skirama page');
+  return { lifts, pistes };
+}
+
+module.exports = {
+  kind: 'liftStatus',
+  name: 'monterosa-skirama',
+  parse,
+  async fetch(cfg, { fetch }) {
+    return parse(await fetch(cfg.url));
+  }
+};
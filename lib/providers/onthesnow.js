@@ -0,0 +1,40 @@
+// OnTheSnow ski report page: lift/run counts, snow depths and surface condition
+const { ParseError } = require('./errors');
+
+function parse(html) {
+  const result = { liftsOpen: null, liftsTotal: null, runsOpen: null, runsTotal: null, kmOpen: null, baseDepth: null, summitDepth: null, condition: null };
+  // Parse key stats from the text
+  const text = html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
+
+  let m;
+  m = text.match(/Lifts\s*Open\s*(\d+)\s*\/\s*(\d+)/i);
+  if (m) { result.liftsOpen = parseInt(m[1]); result.liftsTotal = parseInt(m[2]); }
+
+  m = text.match(/Runs\s*Open\s*(\d+)\s*\/\s*(\d+)/i);
+  if (m) { result.runsOpen = parseInt(m[1]); result.runsTotal = parseInt(m[2]); }
+
+  m = text.match(/(\d+)\s*km\s*open/i);
+  if (m) result.kmOpen = parseInt(m[1]);
+
+  // Snow depths
+  m = text.match(/Base\s*(\d+)\s*cm/i);
+  if (m) result.baseDepth = parseInt(m[1]);
+  m = text.match(/Summit\s*(\d+)\s*cm/i);
+  if (m) result.summitDepth = parseInt(m[1]);
+
+  // Condition — look near Base/Summit context
+  m = text.match(/(?:Base|Summit)\s*\d+\s*cm\s*(Machine Groomed|Powder|Packed Powder|Spring Conditions|Hard Pack|Icy|Variable|Frozen Granular)/i);
+  if (m) result.condition = m[1];
+
+  if (Object.values(result).every(v => v === null)) throw new ParseError('no lift, run or snow depth figures found on OnTheSnow page');
+  return result;
+}
+
+module.exports = {
+  kind: 'snowReport',
+  name: 'onthesnow',
+  parse,
+  async fetch(cfg, { fetch }) {
+    return parse(await fetch(cfg.url));
+  }
+};
@@ -0,0 +1,46 @@
+// Open-Meteo forecast, one request per station elevation
+const { ParseError } = require('./errors');
+const { timeZoneOf } = require('../time');
+
+const CURRENT = 'temperature_2m,apparent_temperature,snowfall,snow_depth,weather_code,wind_speed_10m,wind_gusts_10m';
+const HOURLY = 'temperature_2m,apparent_temperature,precipitation,rain,snowfall,freezing_level_height,weather_code,cloud_cover,visibility,wind_speed_10m,wind_gusts_10m';
+const DAILY = 'weather_code,temperature_2m_max,temperature_2m_min,snowfall_sum,rain_sum,sunshine_duration,wind_gusts_10m_max';
+
+// Times come back in the resort's time zone, so daily blocks follow its local days.
+// Hourly data only from a few hours back: the past days are only needed for daily snowfall totals
+function url(resort, elevation) {
+  return `https://api.open-meteo.com/v1/forecast?latitude=${resort.lat}&longitude=${resort.lon}&elevation=${elevation}&current=${CURRENT}&hourly=${HOURLY}&daily=${DAILY}&timezone=${encodeURIComponent(timeZoneOf(resort))}&past_days=3&forecast_days=7&past_hours=3`;
+}
+
+function parse(body) {
+  const data = JSON.parse(body);
+  if (!data.current && !data.daily) throw new ParseError('Open-Meteo response has no current or daily block');
+  return data;
+}
+
+module.exports = {
+  kind: 'weather',
+  name: 'open-meteo',
+  url,
+  parse,
+  // One station failing leaves it null and is reported through warn(); all of
+  // them failing is the source failing
+  async fetch(cfg, { resort, fetch, warn }) {
+    const failed = [];
+    const stations = await Promise.all(Object.entries(resort.elevations).map(async ([station, elev]) => {
+      try {
+        return [station, parse(await fetch(url(resort, elev)))];
+      } catch (e) {
+        failed.push({ station, error: e });
+        return [station, null];
+      }
+    }));
+    const messages = failed.map(f => `${f.station}: ${f.error.message}`);
+    if (failed.length && failed.length === stations.length) {
+      const Err = failed.every(f => f.error instanceof ParseError) ? ParseError : Error;
+      throw new Err(`every station failed (${messages.join('; ')})`);
+    }
+    for (const message of messages) warn(message);
+    return Object.fromEntries(stations);
+  }
+};
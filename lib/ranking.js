@@ -0,0 +1,160 @@
+// Snow Monitor - "Where to ski" ranking
+// Scores every resort 0–100 for today, tomorrow and the weekend from data we
+// already fetch. Each factor is normalised to 0..1 and combined with weights
+// (ranking.json overrides DEFAULT_WEIGHTS). Factors without data count as
+// neutral (0.5) so a resort with little data can't top the table by default.
+
+const fs = require('fs');
+const { DEFAULT_TIME_ZONE, timeZoneOf, localDate } = require('./time');
+const { dayHours, minutes } = require('./schedule');
+const { reconcile } = require('./reconcile');
+
+const DEFAULT_WEIGHTS = {
+  freshSnow: 3,     // snowfall in the 3 days before the day
+  forecastSnow: 1,  // snowfall on the day itself
+  liftsOpen: 2,     // share of lifts open
+  pistesOpen: 2,    // share of pistes open
+  wind: 2,          // max gusts at the top station
+  avalanche: 1,     // avalanche danger level
+  liftHours: 1      // length of the lift day
+};
+
+// Normalisation ranges
+const FRESH_FULL_CM = 30;
+const FORECAST_FULL_CM = 20;
+const GUST_OK = 30, GUST_BAD = 80;
+const FULL_DAY_HOURS = 8;
+
+const clamp01 = x => Math.max(0, Math.min(1, x));
+
+function loadWeights(file) {
+  if (!file || !fs.existsSync(file)) return { ...DEFAULT_WEIGHTS };
+  const cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { ...DEFAULT_WEIGHTS, ...(cfg.weights || cfg) };
+}
+
+const addDays = (date, n) => new Date(Date.parse(`${date}T12:00:00Z`) + n * 86400000).toISOString().slice(0, 10);
+
+// Dates covered by each period; the weekend is the coming Sat+Sun (or what is left of it)
+function periods(today) {
+  const dow = new Date(`${today}T12:00:00Z`).getUTCDay(); // 0 = Sunday
+  const weekend = dow === 0 ? [today] : dow === 6 ? [today, addDays(today, 1)] : [addDays(today, 6 - dow), addDays(today, 7 - dow)];
+  return { today: [today], tomorrow: [addDays(today, 1)], weekend };
+}
+
+function dailyValue(station, field, date) {
+  const d = station && station.daily;
+  if (!d || !d.time || !d[field]) return null;
+  const i = d.time.indexOf(date);
+  return i >= 0 && d[field][i] !== null && d[field][i] !== undefined ? d[field][i] : null;
+}
+
+function sumDays(station, field, dates) {
+  const vals = dates.map(d => dailyValue(station, field, d)).filter(v => v !== null);
+  return vals.length ? vals.reduce((a, b) => a + b, 0) : null;
+}
+
+// Raw factor values for one resort and a list of dates
+function factors(entry, dates, timestamp) {
+  const { weather, avalanche, schedule } = entry;
+  const top = weather && (weather.top || weather.mid);
+  const first = dates[0];
+  const f = {};
+
+  const freshDates = [addDays(first, -3), addDays(first, -2), addDays(first, -1)];
+  f.freshSnow = sumDays(top, 'snowfall_sum', freshDates);
+  f.forecastSnow = sumDays(top, 'snowfall_sum', dates);
+
+  // Lift and piste counts as reconciled across sources (OnTheSnow when the live map has none)
+  const { lifts, pistes } = reconcile(entry, timestamp).fields;
+  if (lifts && lifts.value.total) f.liftsOpen = lifts.value.open / lifts.value.total;
+  if (pistes && pistes.value.total) f.pistesOpen = pistes.value.open / pistes.value.total;
+
+  const gusts = dates.map(d => dailyValue(top, 'wind_gusts_10m_max', d)).filter(v => v !== null);
+  if (gusts.length) f.wind = Math.max(...gusts);
+  else if (top && top.current && dates.includes((top.current.time || '').slice(0, 10))) f.wind = top.current.wind_gusts_10m;
+
+  if (avalanche && avalanche.level) f.avalanche = avalanche.level;
+
+  const hours = dayHours(schedule, first);
+  if (hours && hours.generalOpen && hours.generalClose) {
+    const open = minutes(hours.generalOpen), close = minutes(hours.generalClose);
+    if (open !== null && close !== null && close > open) f.liftHours = (close - open) / 60;
+  }
+  for (const k of Object.keys(f)) if (f[k] === null || f[k] === undefined || Number.isNaN(f[k])) delete f[k];
+  return f;
+}
+
+// 0..1 score per factor
+const NORMALISE = {
+  freshSnow: cm => clamp01(cm / FRESH_FULL_CM),
+  forecastSnow: cm => clamp01(cm / FORECAST_FULL_CM),
+  liftsOpen: share => share,
+  pistesOpen: share => share,
+  wind: gust => 1 - clamp01((gust - GUST_OK) / (GUST_BAD - GUST_OK)),
+  avalanche: level => (5 - level) / 4,
+  liftHours: h => clamp01(h / FULL_DAY_HOURS)
+};
+
+// Reason text for a factor, in the page's language and units
+const DESCRIBE = {
+  freshSnow: (cm, { t, u }) => (cm >= 1 ? t('reason.freshSnow', { v: u.fmt('snowfall', cm, 0) }) : t('reason.noFreshSnow')),
+  forecastSnow: (cm, { t, u }) => (cm >= 1 ? t('reason.forecastSnow', { v: u.fmt('snowfall', cm, 0) }) : t('reason.noForecastSnow')),
+  liftsOpen: (s, { t }) => t('reason.liftsOpen', { pct: Math.round(s * 100) }),
+  pistesOpen: (s, { t }) => t('reason.pistesOpen', { pct: Math.round(s * 100) }),
+  wind: (g, { t, u }) => (g >= GUST_BAD ? t('reason.windRisk', { v: u.fmt('wind', g) }) : g > GUST_OK ? t('reason.wind', { v: u.fmt('wind', g) }) : t('reason.calm')),
+  avalanche: (l, { t }) => t('reason.avalanche', { level: l }),
+  liftHours: (h, { t, number }) => t('reason.liftHours', { h: number(h, 1) })
+};
+
+function scoreResort(entry, dates, weights, timestamp) {
+  const raw = factors(entry, dates, timestamp);
+  let total = 0, weightSum = 0;
+  const parts = [];
+  const missing = [];
+  for (const [k, w] of Object.entries(weights)) {
+    if (!w || !NORMALISE[k]) continue;
+    weightSum += w;
+    if (raw[k] === undefined) { missing.push(k); total += w * 0.5; continue; }
+    const norm = NORMALISE[k](raw[k]);
+    total += w * norm;
+    parts.push({ factor: k, value: raw[k], score: norm, weight: w, impact: w * (norm - 0.5) });
+  }
+  const score = parts.length && weightSum ? Math.round(100 * total / weightSum) : null;
+
+  // The strongest reasons either way
+  const byImpact = [...parts].sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact)).slice(0, 3);
+  const pros = byImpact.filter(p => p.impact > 0);
+  const cons = byImpact.filter(p => p.impact < 0);
+  return { score, factors: raw, parts, missing, pros, cons };
+}
+
+// { period: { dates, ranking: [{ id, name, score, pros, cons, ... }] } } best first.
+// "Today" is each resort's own local date; `dates` are those of `timeZone` (for headings).
+function rankResorts(allData, timestamp, weights = DEFAULT_WEIGHTS, timeZone = DEFAULT_TIME_ZONE) {
+  const out = {};
+  const resortPeriods = allData.map(entry => periods(localDate(timestamp, timeZoneOf(entry.resort))));
+  for (const [period, dates] of Object.entries(periods(localDate(timestamp, timeZone)))) {
+    const ranking = allData.map((entry, i) => ({ id: entry.resort.id, name: entry.resort.name, area: entry.resort.area, ...scoreResort(entry, resortPeriods[i][period], weights, timestamp) }))
+      .sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+    ranking.forEach((r, i) => { r.rank = r.score === null ? null : i + 1; });
+    out[period] = { dates, ranking };
+  }
+  return out;
+}
+
+// locale: lib/i18n.js createLocale()
+function explain(r, ranking, locale) {
+  const { t } = locale;
+  if (r.score === null) return t('rank.notEnough');
+  const ahead = ranking[r.rank - 2];
+  const describe = parts => parts.map(p => DESCRIBE[p.factor](p.value, locale)).join(', ');
+  const text = [];
+  if (r.pros.length) text.push(t('rank.good', { list: describe(r.pros) }));
+  if (r.cons.length) text.push(t('rank.heldBack', { list: describe(r.cons) }));
+  if (ahead && ahead.score !== null) text.push(t('rank.behind', { n: ahead.score - r.score, name: ahead.name }));
+  if (r.missing.length) text.push(t('rank.noData', { list: r.missing.map(k => t(`factor.${k}`)).join(', ') }));
+  return text.join(' ');
+}
+
+module.exports = { DEFAULT_WEIGHTS, loadWeights, periods, factors, scoreResort, rankResorts, explain };
@@ -0,0 +1,93 @@
+// Snow Monitor - Cross-source reconciliation
+// Several sources report the same things: open lifts and pistes come from the
+// live lift map (liftStatus) and from the snow report's summary counts, snow
+// depth from the snow report (measured by the resort) and from the weather
+// model. reconcile() settles each field on one value and says where it came
+// from and why:
+//   { fields: { lifts, pistes, kmOpen, summitDepth, baseDepth }, flags: [field], providers: { kind: name } }
+//   field: { value, source: kind, reason, values: { kind: value }, flag }
+// lifts/pistes values are { open, total }, kmOpen in km, depths in cm.
+// Reasons: live (per-item live status beats a summary count), measured (resort
+// figure beats the model), only (no other source had it), fresher (the
+// preferred source is showing stale data). A field is flagged when its sources
+// disagree by more than THRESHOLDS allow.
+
+const health = require('./health');
+const providers = require('./providers');
+
+const THRESHOLDS = {
+  share: 0.2,        // lifts/pistes: open shares further apart than this (the two sites count different sets)
+  kmOpen: { abs: 5, rel: 0.3 },
+  depth: { abs: 30, rel: 0.5 } // cm, and relative to the reported depth
+};
+
+const count = list => ({ open: list.filter(x => x.status === 'open').length, total: list.length });
+const cm = station => (station && station.current && typeof station.current.snow_depth === 'number' ? Math.round(station.current.snow_depth * 100) : null);
+const number = v => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+
+// candidates: [{ kind, value, reason }] in order of preference
+function pick(entry, candidates, timestamp, disagree) {
+  const present = candidates.filter(c => c.value !== null);
+  if (!present.length) return null;
+  const fresh = present.filter(c => !health.isStale(entry, c.kind, timestamp));
+  let chosen = present[0], reason = present.length > 1 ? present[0].reason : 'only';
+  if (fresh.length && fresh[0] !== present[0]) {
+    chosen = fresh[0];
+    reason = 'fresher';
+  }
+  const values = Object.fromEntries(present.map(c => [c.kind, c.value]));
+  const flag = present.length > 1 && disagree(present[0].value, present[1].value);
+  return { value: chosen.value, source: chosen.kind, reason, values, flag };
+}
+
+const shareApart = (a, b) => a.total > 0 && b.total > 0 && Math.abs(a.open / a.total - b.open / b.total) > THRESHOLDS.share;
+const apart = ({ abs, rel }) => (a, b) => Math.abs(a - b) > Math.max(abs, rel * Math.max(a, b));
+const depthApart = (reported, model) => Math.abs(reported - model) > Math.max(THRESHOLDS.depth.abs, THRESHOLDS.depth.rel * reported);
+
+function providerNames(entry) {
+  const configured = providers.resolveSources(entry.resort);
+  const name = kind => (entry.sources && entry.sources[kind] && entry.sources[kind].provider) || (configured[kind] && configured[kind].provider) || kind;
+  return { liftStatus: name('liftStatus'), snowReport: name('snowReport'), weather: name('weather') };
+}
+
+function reconcile(entry, timestamp) {
+  const { liftStatus, snowReport, weather } = entry;
+  const live = liftStatus && (liftStatus.lifts.length || liftStatus.pistes.length) ? liftStatus : null;
+  const report = snowReport || {};
+  const summary = (open, total) => (number(open) !== null && number(total) ? { open, total } : null);
+  // Open km from the live map only when every piste carries its length
+  const liveKm = live && live.pistes.length && live.pistes.every(p => p.lengthKm)
+    ? Math.round(live.pistes.filter(p => p.status === 'open').reduce((sum, p) => sum + p.lengthKm, 0) * 10) / 10
+    : null;
+
+  const fields = {
+    lifts: pick(entry, [
+      { kind: 'liftStatus', value: live && live.lifts.length ? count(live.lifts) : null, reason: 'live' },
+      { kind: 'snowReport', value: summary(report.liftsOpen, report.liftsTotal) }
+    ], timestamp, shareApart),
+    pistes: pick(entry, [
+      { kind: 'liftStatus', value: live && live.pistes.length ? count(live.pistes) : null, reason: 'live' },
+      { kind: 'snowReport', value: summary(report.runsOpen, report.runsTotal) }
+    ], timestamp, shareApart),
+    kmOpen: pick(entry, [
+      { kind: 'liftStatus', value: liveKm, reason: 'live' },
+      { kind: 'snowReport', value: number(report.kmOpen) }
+    ], timestamp, apart(THRESHOLDS.kmOpen)),
+    summitDepth: pick(entry, [
+      { kind: 'snowReport', value: number(report.summitDepth), reason: 'measured' },
+      { kind: 'weather', value: cm(weather && weather.top) }
+    ], timestamp, depthApart),
+    baseDepth: pick(entry, [
+      { kind: 'snowReport', value: number(report.baseDepth), reason: 'measured' },
+      { kind: 'weather', value: cm(weather && weather.bottom) }
+    ], timestamp, depthApart)
+  };
+  for (const key of Object.keys(fields)) if (!fields[key]) delete fields[key];
+  return {
+    fields,
+    flags: Object.keys(fields).filter(key => fields[key].flag),
+    providers: providerNames(entry)
+  };
+}
+
+module.exports = { reconcile, THRESHOLDS };
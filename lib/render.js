@@ -0,0 +1,460 @@
+// Snow Monitor - Resort cards
+// Renders one resort's card from its data.json entry. Used for the static page
+// (fetch-data.js) and, bundled into app.js, by the client app in the browser,
+// so it must stay free of Node built-ins (see lib/bundle.js).
+
+const i18n = require('./i18n');
+const time = require('./time');
+const forecast = require('./forecast');
+const avalancheLib = require('./avalanche');
+const health = require('./health');
+const providers = require('./providers');
+const scheduleLib = require('./schedule');
+const windhold = require('./windhold');
+const { reconcile } = require('./reconcile');
+
+// Scraped names and labels go through these before they reach the page
+const escapeHtml = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const attr = s => escapeHtml(s).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+function avalancheSection(avalanche, timestamp, tz, view, badge = '') {
+  if (!avalanche || !avalanche.level) return '';
+  const { t, u } = view;
+  const fmtTime = iso => view.time(iso, tz, 'weekdayTime');
+  const expired = avalancheLib.isExpired(avalanche, Date.parse(timestamp));
+  const elevation = b => (b === 'treeline' ? t('avy.treeline') : u.fmt('elevation', Number(b)));
+  const boundary = avalanche.boundary ? elevation(avalanche.boundary) : null;
+  const bandLabel = ({ lower, upper }) => (lower && upper ? `${elevation(lower)}–${elevation(upper)}`
+    : lower ? `${t('avy.above')} ${elevation(lower)}` : upper ? `${t('avy.below')} ${elevation(upper)}` : t('avy.allElevations'));
+  const level = n => t(`danger.${n}`);
+
+  let bands = '';
+  if (boundary && avalanche.above !== avalanche.below) {
+    const b = (arrow, where, n) => {
+      const d = avalancheLib.describeLevel(n);
+      return `<span class="avy-band"><span style="color:${d.color}">${arrow}</span> ${where} ${boundary}: <strong>${level(n)}</strong> (${n})</span>`;
+    };
+    bands = `<div class="avy-bands">${b('▲', t('avy.above'), avalanche.above)}${b('▼', t('avy.below'), avalanche.below)}</div>`;
+  }
+
+  const problems = (avalanche.problems || []).map(p => {
+    const label = avalancheLib.PROBLEMS[p.type] ? t(`problem.${p.type}`) : escapeHtml(p.label);
+    const when = p.period === 'earlier' ? ` · ${t('avy.morning')}` : p.period === 'later' ? ` · ${t('avy.afternoon')}` : '';
+    const where = p.elevation ? bandLabel(p.elevation) : escapeHtml(p.elevationLabel);
+    return `<div class="avy-problem"><span>${p.emoji} ${label}</span><span class="avy-where">${escapeHtml(p.aspects.join(' ')) || t('avy.allAspects')} · ${where}${when}</span></div>`;
+  }).join('');
+
+  const tendency = (avalanche.tendency || [])[0];
+  const tendencyType = tendency ? t(`tendency.${tendency.type}`) : '';
+  const tendencyText = tendency ? `<span class="avy-tendency" title="${t('avy.tendency')} ${tendencyType}">${tendency.arrow} ${tendencyType}</span>` : '';
+
+  const regions = escapeHtml((avalanche.regions || []).map(r => r.name || r.id).join(', '));
+  const range = { from: avalanche.validFrom && fmtTime(avalanche.validFrom), to: avalanche.validTo && fmtTime(avalanche.validTo) };
+  const validity = avalanche.validFrom && avalanche.validTo ? t(expired ? 'avy.expired' : 'avy.valid', range) : '';
+
+  return `
+        <div class="avy-bar${expired ? ' expired' : ''}" style="border-left:3px solid ${expired ? '#5a6a7a' : avalanche.color}">
+          <div class="avy-head">
+            <span class="avy-emoji">${avalanche.emoji}</span>
+            <span class="avy-level">${t('avy.risk')}: <strong>${level(avalanche.level)}</strong> (${avalanche.level}/5)</span>
+            ${tendencyText}${badge}
+            <a href="${attr(avalanche.url)}" class="avy-link" target="_blank">↗</a>
+          </div>
+          ${bands}
+          ${problems ? `<div class="avy-problems">${problems}</div>` : ''}
+          <div class="avy-valid">${validity}${regions ? ` · ${regions}` : ''} · ${escapeHtml(avalanche.source)}</div>
+        </div>`;
+}
+
+// 7-day strip per resort and an hourly table per station
+function forecastSection(resort, weather, timestamp, view) {
+  if (!weather) return '';
+  const { t, u } = view;
+  const anyStation = weather.top || weather.mid || weather.bottom;
+  const today = anyStation && anyStation.current ? anyStation.current.time.slice(0, 10) : time.localDate(timestamp, time.timeZoneOf(resort));
+  const fmt = (v, digits = 0) => (v === null || v === undefined ? '–' : Number(v).toFixed(digits));
+
+  const days = forecast.dailyStrip(weather, today);
+  const strip = days.length === 0 ? '' : `
+        <div class="week-strip">${days.map(d => {
+          const [desc, emoji] = view.weather(d.code);
+          const precip = d.snowfall > 0 ? `<span class="ws-snow">${u.fmt('snowfall', d.snowfall)}</span>`
+            : d.rainBottom > 0 ? `<span class="ws-rain">${u.fmt('rain', d.rainBottom)}</span>` : '<span class="ws-dry">–</span>';
+          return `<div class="ws-day" title="${desc}">
+            <span class="ws-name">${d.date === today ? t('forecast.today') : view.date(d.date)}</span>
+            <span class="ws-emoji">${emoji}</span>
+            ${precip}
+            <span class="ws-temp">${u.fmt('temp', d.tempMax)}/${u.fmt('temp', d.tempMin)}</span>
+            <span class="ws-line" title="${t('forecast.snowLine')}">${d.snowLine ? `❄ ${u.fmt('elevation', d.snowLine.elevation)}` : '–'}</span>
+            <span class="ws-sun" title="${t('forecast.sunshine')}">${d.sunshineHours !== null ? `☀ ${view.number(d.sunshineHours, 1)}h` : '–'}</span>
+          </div>`;
+        }).join('')}
+        </div>`;
+
+  let tables = '';
+  for (const station of ['top', 'mid', 'bottom']) {
+    const rows = forecast.hourlyRows(weather[station]);
+    if (rows.length === 0) continue;
+    const label = stationLabel(station, view);
+    const body = rows.map(r => {
+      const [desc, emoji] = view.weather(r.code);
+      const precip = r.snowfall > 0 ? `<span class="ws-snow">${u.fmt('snowfall', r.snowfall)}</span>`
+        : r.rain > 0 ? `<span class="ws-rain">${u.fmt('rain', r.rain)}</span>` : '–';
+      const vis = r.visibility === null ? '–' : u.fmt('distance', r.visibility / 1000, u.value('distance', r.visibility / 1000) < 1 ? 1 : 0);
+      return `<tr>
+              <td>${r.time.slice(11, 16)}</td>
+              <td title="${desc}">${emoji}</td>
+              <td>${u.fmt('temp', r.temp)}<span class="hr-sub">${u.fmt('temp', r.feels)}</span></td>
+              <td>${precip}</td>
+              <td>${r.freezingLevel !== null ? u.fmt('elevation', Math.round(r.freezingLevel / 50) * 50) : '–'}</td>
+              <td>${fmt(u.value('wind', r.wind))}<span class="hr-sub">${fmt(u.value('wind', r.gusts))}</span></td>
+              <td>${fmt(r.cloudCover)}%<span class="hr-sub">${vis}</span></td>
+            </tr>`;
+    }).join('');
+    tables += `
+          <div class="trend-title">${label} · ${u.fmt('elevation', resort.elevations[station])}</div>
+          <table class="hourly">
+            <tr><th></th><th></th><th>${t('forecast.temp')}<span class="hr-sub">${t('forecast.feels')}</span></th><th>${t('forecast.precip')}</th><th>${u.freezing}</th><th>${t('forecast.wind')}<span class="hr-sub">${t('forecast.gusts')}</span></th><th>${t('forecast.cloud')}<span class="hr-sub">${t('forecast.vis')}</span></th></tr>
+            ${body}
+          </table>`;
+  }
+
+  const hourly = tables ? `
+        <details class="detail-section" data-key="hourly">
+          <summary>🕐 ${t('forecast.hourly')} <span class="detail-count">${t('forecast.next24')}</span></summary>
+          <div class="detail-list">${tables}</div>
+        </details>` : '';
+
+  return strip + hourly;
+}
+
+// "as of" badge for a section showing last-known-good or old data
+function staleBadge(entry, kind, timestamp, view) {
+  if (!health.isStale(entry, kind, timestamp)) return '';
+  const { t } = view;
+  const tz = time.timeZoneOf(entry.resort);
+  const at = entry.asOf[kind];
+  const sameDay = time.localDate(at, tz) === time.localDate(timestamp, tz);
+  const when = view.time(at, tz, sameDay ? 'time' : 'dayTime');
+  const outcome = entry.sources && entry.sources[kind];
+  const why = outcome && !outcome.ok ? t('stale.failed', { error: outcome.error.message }) : t('stale.old');
+  return `<span class="stale" title="${attr(why)}">⏱ ${t('stale.asOf', { when })}</span>`;
+}
+
+// Wind-hold indicator for a lift: 💨 when gusts are at or near its limit now,
+// plus a strip of the next hours when any of them is
+function windBadge(risk, view) {
+  if (!risk) return '';
+  const { t, u } = view;
+  const limit = u.fmt('wind', risk.meta.threshold);
+  const risky = l => l === 'watch' || l === 'hold';
+  const ahead = risk.hours.filter(h => risky(h.level));
+  if (!risky(risk.now.level) && !ahead.length) return '';
+  const title = risky(risk.now.level)
+    ? t(`wind.${risk.now.level}`, { gust: u.fmt('wind', risk.now.gust), limit })
+    : t('wind.ahead', { gust: u.fmt('wind', Math.max(...ahead.map(h => h.gust))), time: ahead[0].time.slice(11, 16), limit });
+  const strip = ahead.length
+    ? `<span class="wh-strip">${risk.hours.map(h => `<i class="${h.level || 'none'}" title="${h.time.slice(11, 16)} ${h.gust !== null ? u.fmt('wind', h.gust) : '–'}"></i>`).join('')}</span>`
+    : '';
+  return `<span class="wind-hold ${risk.now.level}" title="${title}">${risky(risk.now.level) ? '💨' : ''}${strip}</span>`;
+}
+
+// "open now, closes in 1h20" / "opens at 8:30" for a lift or the whole area
+// (lib/schedule.js status); `running` is false for a lift reported closed
+function scheduleNote(st, view, running = true) {
+  const { t, duration } = view;
+  switch (st.state) {
+    case 'open': return running ? t('sched.openNow', { d: duration(st.minutes) }) : t('sched.until', { time: st.close });
+    case 'before': return t('sched.opensAt', { time: st.open });
+    case 'after': return t('sched.closedAt', { time: st.close });
+    default: return t('sched.closedToday');
+  }
+}
+
+const scheduleAliases = resort => (providers.resolveSources(resort).schedule || {}).aliases || {};
+
+// Page language, units and the other published variants (see site.json)
+// live: the page is served by `fetch-data.js serve` and updated as data comes in
+function createView({ lang = 'en', units = 'metric', timeZone = null, variants = [], live = false } = {}) {
+  return { ...i18n.createLocale({ lang, units }), timeZone, variants, live };
+}
+
+// Time zone for page-wide times: site.json's, else the first resort's
+const pageTimeZone = (allData, view) => view.timeZone || (allData[0] ? time.timeZoneOf(allData[0].resort) : time.DEFAULT_TIME_ZONE);
+
+const stationLabel = (station, { t }) => `${station === 'top' ? '⛰️' : station === 'mid' ? '🏔️' : '🏠'} ${t(`station.${station}`)}`;
+
+const DIFFICULTIES = ['green', 'blue', 'red', 'black'];
+const statusBadge = s =>
+  s === 'open' ? '<span class="badge open">●</span>' :
+  s === 'evaluating' ? '<span class="badge eval">●</span>' :
+  '<span class="badge closed">●</span>';
+
+// Sector of a lift or piste: the Skirama marker's own, else resorts.json `sectors`
+function sectorOf(resort, item) {
+  if (item.sector) return item.sector;
+  const name = scheduleLib.normalize(item.name);
+  const found = Object.entries(resort.sectors || {}).find(([, names]) => names.some(n => scheduleLib.normalize(n) === name));
+  return found ? found[0] : null;
+}
+
+const sectorAttr = (resort, item) => {
+  const sector = sectorOf(resort, item);
+  return sector ? ` data-sector="${attr(sector)}"` : '';
+};
+
+// Sector/valley filter for the map and the lift and piste lists (the client
+// app makes it work), when the lifts and pistes span more than one sector
+function sectorFilter(resort, liftStatus, { t }) {
+  if (!liftStatus) return '';
+  const names = [...new Set([...liftStatus.lifts, ...liftStatus.pistes].map(item => sectorOf(resort, item)).filter(Boolean))].sort();
+  if (names.length < 2) return '';
+  const buttons = ['all', ...names].map(sector => {
+    const label = sector === 'all' ? t('filter.all') : escapeHtml(sector);
+    return `<button type="button" class="filter${sector === 'all' ? ' on' : ''}" data-sector-filter="${attr(sector)}" aria-pressed="${sector === 'all'}">${label}</button>`;
+  });
+  return `<div class="sectors">${buttons.join('')}</div>`;
+}
+
+// Area map from the Skirama marker positions: lifts as squares, pistes as dots
+// ringed in their difficulty's colour, both filled by status. Each marker's
+// <title> holds its details (a tooltip here; the client app shows it on tap).
+function mapSection(resort, liftStatus, sched, view) {
+  const { t } = view;
+  const placed = item => typeof item.x === 'number' && typeof item.y === 'number';
+  const markers = [
+    ...liftStatus.lifts.filter(placed).map(l => ({ ...l, kind: 'lift' })),
+    ...liftStatus.pistes.filter(placed).map(p => ({ ...p, kind: 'piste' }))
+  ];
+  if (markers.length < 2) return '';
+  const xs = markers.map(m => m.x), ys = markers.map(m => m.y);
+  const minX = Math.min(...xs), minY = Math.min(...ys);
+  const size = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1);
+  const pad = size * 0.04, r = size * 0.012;
+  const width = Math.max(...xs) - minX + 2 * pad, height = Math.max(...ys) - minY + 2 * pad;
+  const num = v => Math.round(v * 100) / 100;
+
+  const shapes = markers.map(m => {
+    const x = num(m.x - minX + pad), y = num(m.y - minY + pad);
+    const st = m.kind === 'lift' && sched && sched.lifts[m.name];
+    const details = [
+      m.name,
+      t(`marker.${m.kind}.${m.status}`),
+      DIFFICULTIES.includes(m.difficulty) ? t(`difficulty.${m.difficulty}`) : null,
+      sectorOf(resort, m),
+      st && st.open ? `${st.open}–${st.close}` : null
+    ].filter(Boolean).join(' · ');
+    const shape = m.kind === 'lift'
+      ? `<rect x="${num(x - r)}" y="${num(y - r)}" width="${num(2 * r)}" height="${num(2 * r)}"/>`
+      : `<circle cx="${x}" cy="${y}" r="${num(r)}" stroke-width="${num(r * 0.6)}"/>`;
+    return `<g class="mk ${m.kind} ${attr(m.status)}${DIFFICULTIES.includes(m.difficulty) ? ` d-${m.difficulty}` : ''}" data-name="${attr(m.name)}"${sectorAttr(resort, m)} tabindex="0"><title>${escapeHtml(details)}</title>${shape}</g>`;
+  }).join('');
+
+  return `
+      <details class="detail-section" data-key="map">
+        <summary>🗺️ ${t('map.title')}</summary>
+        <div class="detail-list map">
+          <svg class="area-map" viewBox="0 0 ${num(width)} ${num(height)}" preserveAspectRatio="xMidYMid meet" role="img" aria-label="${t('map.title')}">${shapes}</svg>
+          <div class="map-info">${t('map.hint')}</div>
+        </div>
+      </details>`;
+}
+
+// Piste rows, grouped by difficulty when the markers say it; open km per
+// group when every piste in it has a length
+function pisteList(resort, pistes, view) {
+  const { t, u } = view;
+  const row = p => `<div class="detail-row" data-status="${attr(p.status)}" data-name="${attr(p.name)}"${sectorAttr(resort, p)}>${statusBadge(p.status)}<span class="detail-name">${escapeHtml(p.name)}</span></div>`;
+  const difficultyOf = p => (DIFFICULTIES.includes(p.difficulty) ? p.difficulty : null);
+  if (!pistes.some(difficultyOf)) return pistes.map(row).join('');
+  return [...DIFFICULTIES, null].map(difficulty => {
+    const group = pistes.filter(p => difficultyOf(p) === difficulty);
+    if (!group.length) return '';
+    const open = group.filter(p => p.status === 'open');
+    const km = group.every(p => p.lengthKm)
+      ? ` · ${t('pistes.kmOpen', { v: u.fmt('distance', open.reduce((sum, p) => sum + p.lengthKm, 0), 1) })}`
+      : '';
+    return `<div class="piste-group"><i class="dot d-${difficulty || 'none'}"></i>${t(`difficulty.${difficulty || 'other'}`)} <span class="detail-count">${t('count.open', { open: open.length, total: group.length })}${km}</span></div>${group.map(row).join('')}`;
+  }).join('');
+}
+
+// Open/total summary per field, from the reconciled values; a ⚠️ where sources disagree
+function opsGrid(rec, view) {
+  const { t, u } = view;
+  const { lifts, pistes, kmOpen } = rec.fields;
+  if (!lifts && !pistes) return '';
+  const warn = key => (rec.fields[key] && rec.fields[key].flag ? ` <span class="rec-flag" title="${t('rec.disagree')}">⚠️</span>` : '');
+  const stat = (key, f, label, fill = '') => (f ? `
+        <div class="lift-stat">
+          <div class="lift-num">${f.value.open}<span class="lift-total">/${f.value.total}</span>${warn(key)}</div>
+          <div class="lift-label">${label}</div>
+          <div class="lift-bar"><div class="lift-fill${fill}" style="width:${f.value.total ? Math.round(f.value.open / f.value.total * 100) : 0}%"></div></div>
+        </div>` : '');
+  return `
+      <div class="lift-grid">${stat('lifts', lifts, t('lifts.title'))}${stat('pistes', pistes, t('pistes.title'), ' piste-fill')}${kmOpen ? `
+        <div class="lift-stat">
+          <div class="lift-num">${view.number(u.value('distance', kmOpen.value), 0)}<span class="lift-total">${u.unit('distance')}</span>${warn('kmOpen')}</div>
+          <div class="lift-label">${t('rec.kmOpen')}</div>
+        </div>` : ''}
+      </div>`;
+}
+
+// Every source's value per field, the one used in bold, and why
+function reconcileSection(rec, view) {
+  const { t, u } = view;
+  const keys = Object.keys(rec.fields);
+  if (!keys.length) return '';
+  const fmt = (key, v) => (key === 'lifts' || key === 'pistes' ? `${v.open}/${v.total}`
+    : key === 'kmOpen' ? u.fmt('distance', v, 1) : u.fmt('depth', v));
+  const rows = keys.map(key => {
+    const f = rec.fields[key];
+    const values = Object.entries(f.values).map(([kind, v]) => {
+      const cell = `${fmt(key, v)} <small>${escapeHtml(rec.providers[kind])}</small>`;
+      return kind === f.source ? `<strong>${cell}</strong>` : `<span>${cell}</span>`;
+    }).join('');
+    return `<div class="rec-row${f.flag ? ' flagged' : ''}"><span class="rec-field">${t(`rec.${key}`)}</span><span class="rec-values">${values}</span>`
+      + `<span class="rec-why">${t(`rec.why.${f.reason}`, { source: escapeHtml(rec.providers[f.source]) })}${f.flag ? ` · ⚠️ ${t('rec.disagree')}` : ''}</span></div>`;
+  }).join('');
+  return `
+      <details class="detail-section" data-key="sources">
+        <summary>🔀 ${t('rec.title')} <span class="detail-count">${rec.flags.length ? `⚠️ ${rec.flags.length}` : ''}</span></summary>
+        <div class="detail-list">${rows}</div>
+      </details>`;
+}
+
+// The card for one resort entry; `season` is the season-trend section, which
+// needs the history files and is rendered by the caller
+function resortCard(entry, timestamp, view, season = '') {
+  const { t, u } = view;
+  const { resort, weather, liftStatus, snowReport, avalanche, schedule } = entry;
+  const tz = time.timeZoneOf(resort);
+  const stale = kind => staleBadge(entry, kind, timestamp, view);
+  const sched = scheduleLib.today(schedule, liftStatus ? liftStatus.lifts.map(l => l.name) : [], scheduleAliases(resort), timestamp, tz);
+  const rec = reconcile(entry, timestamp);
+  // Station rows - compact
+  let stationRows = '';
+  for (const station of ['top', 'mid', 'bottom']) {
+    const d = weather && weather[station];
+    if (!d || !d.current) continue;
+    const c = d.current;
+    const [desc, emoji] = view.weather(c.weather_code);
+    const snowCm = c.snow_depth ? c.snow_depth * 100 : 0;
+    stationRows += `
+      <div class="station">
+        <div class="st-label">${stationLabel(station, view)}<span class="elev">${u.fmt('elevation', resort.elevations[station])}</span></div>
+        <div class="st-temp">${u.fmt('temp', c.temperature_2m, view.units === 'metric' && !Number.isInteger(c.temperature_2m) ? 1 : 0)}${c.apparent_temperature !== undefined ? `<span class="feels">${t('station.feels', { v: u.fmt('temp', c.apparent_temperature) })}</span>` : ''}</div>
+        <div class="st-weather" title="${desc}">${emoji}</div>
+        <div class="st-snow">${u.fmt('depth', snowCm)}</div>
+        <div class="st-wind">${Math.round(u.value('wind', c.wind_speed_10m))}<span class="unit">${u.unit('wind')}</span>${c.wind_gusts_10m !== undefined ? `<span class="gust">${t('station.gusts', { v: Math.round(u.value('wind', c.wind_gusts_10m)) })}</span>` : ''}</div>
+      </div>`;
+  }
+
+  // Lift/piste status — removed; info shown in foldable detail sections below
+
+  // Expandable lift and piste details
+  let detailSections = '';
+  if (liftStatus && (liftStatus.lifts.length > 0 || liftStatus.pistes.length > 0)) {
+    const risks = liftStatus.lifts.map(l => windhold.liftRisk(resort, weather, l.name));
+    const liftRows = liftStatus.lifts.map((l, i) => {
+      const st = sched && sched.lifts[l.name];
+      const guessed = st && st.how === 'guess' ? ` title="${attr(t('sched.guessed', { name: st.name }))}"` : '';
+      const timeStr = st
+        ? `<span class="detail-time"${guessed}>${st.open ? `${st.open}–${st.close}${guessed ? '*' : ''}` : ''}<span class="sched-note ${st.state}">${scheduleNote(st, view, l.status === 'open')}</span></span>`
+        : '';
+      return `<div class="detail-row" data-status="${attr(l.status)}" data-name="${attr(l.name)}"${sectorAttr(resort, l)}>${statusBadge(l.status)}<span class="detail-name">${escapeHtml(l.name)}</span>${windBadge(risks[i], view)}${timeStr}</div>`;
+    }).join('');
+
+    const pisteRows = pisteList(resort, liftStatus.pistes, view);
+
+    const openLifts = liftStatus.lifts.filter(l => l.status === 'open').length;
+    const openPistes = liftStatus.pistes.filter(p => p.status === 'open').length;
+    const onHold = risks.filter(r => r && r.now.level === 'hold').length;
+    const holdCount = onHold ? `<span class="wh-count" title="${t('wind.holdCount', { n: onHold })}">💨 ${onHold}</span> ` : '';
+
+    detailSections = `${mapSection(resort, liftStatus, sched, view)}
+      <details class="detail-section" data-key="lifts">
+        <summary>🚡 ${t('lifts.title')} <span class="detail-count">${stale('liftStatus')}${holdCount}${t('count.open', { open: openLifts, total: liftStatus.lifts.length })}</span></summary>
+        <div class="detail-list">${liftRows}</div>
+      </details>
+      <details class="detail-section" data-key="pistes">
+        <summary>⛷️ ${t('pistes.title')} <span class="detail-count">${stale('liftStatus')}${t('count.open', { open: openPistes, total: liftStatus.pistes.length })}</span></summary>
+        <div class="detail-list">${pisteRows}</div>
+      </details>`;
+  }
+
+  // Snow depths: the resort's reported figures, else the model's (see lib/reconcile.js)
+  let snowInfo = '';
+  const { summitDepth, baseDepth } = rec.fields;
+  if (summitDepth || baseDepth || (snowReport && snowReport.condition)) {
+    const fromReport = [summitDepth, baseDepth].some(f => f && f.source === 'snowReport');
+    const depth = (f, label) => (f ? `<div class="snow-stat"><span class="snow-val">${u.fmt('depth', f.value)}</span><span class="snow-lbl">${label}${f.source === 'weather' ? ` · ${t('rec.model')}` : ''}${f.flag ? ` <span class="rec-flag" title="${t('rec.disagree')}">⚠️</span>` : ''}</span></div>` : '');
+    snowInfo = `
+      ${fromReport && stale('snowReport') ? `<div class="section-stale">${t('snowReport.title')} ${stale('snowReport')}</div>` : ''}
+      <div class="snow-report">
+        ${depth(summitDepth, t('snowReport.summit'))}
+        ${depth(baseDepth, t('snowReport.base'))}
+        ${snowReport && snowReport.condition ? `<div class="snow-stat"><span class="snow-val cond">${escapeHtml(snowReport.condition)}</span><span class="snow-lbl">${t('snowReport.condition')}</span></div>` : ''}
+      </div>`;
+  }
+
+  // Fresh snow (last 3 days) & forecast (next 3 & 7 days) — use top elevation,
+  // split at midnight in the resort's time zone (daily times are local to it)
+  let snowForecastInfo = '';
+  const totals = forecast.snowTotals(weather, time.localDate(timestamp, tz));
+  if (totals) {
+    snowForecastInfo = '<div class="snow-forecast">' +
+        '<div class="sf-item"><span class="sf-val">' + u.fmt('snowfall', totals.fresh3) + '</span><span class="sf-lbl">' + t('snow.fresh3') + '</span></div>' +
+        '<div class="sf-item"><span class="sf-val">' + u.fmt('snowfall', totals.next3) + '</span><span class="sf-lbl">' + t('snow.next3') + '</span></div>' +
+        '<div class="sf-item"><span class="sf-val">' + u.fmt('snowfall', totals.next7) + '</span><span class="sf-lbl">' + t('snow.next7') + '</span></div>' +
+      '</div>';
+  }
+
+  // Avalanche risk
+  const avalancheInfo = avalancheSection(avalanche, timestamp, tz, view, stale('avalanche'));
+
+  // Resort operating hours
+  let hoursBar = '';
+  if (sched) {
+    const range = sched.generalOpen ? ` <strong>${sched.generalOpen}</strong> – <strong>${sched.generalClose}</strong>` : '';
+    hoursBar = `
+      <div class="hours-bar">
+        <span class="hours-icon">🕐</span>
+        <span class="hours-text">${range ? `${t('hours.open')}${range}` : ''}<span class="hours-note ${sched.general.state}">${scheduleNote(sched.general, view)}</span></span>
+        ${stale('schedule')}
+      </div>`;
+  }
+
+  return `
+    <div class="card" data-resort="${resort.id}">
+      <div class="card-header">
+        <h2>${resort.name}</h2>
+        <span class="area">${resort.area}</span>
+      </div>
+      ${sectorFilter(resort, liftStatus, view)}
+      ${avalancheInfo}
+      ${hoursBar}
+      ${snowForecastInfo}
+      ${opsGrid(rec, view)}
+      ${forecastSection(resort, weather, timestamp, view)}
+      ${detailSections}
+      ${snowInfo}
+      ${reconcileSection(rec, view)}
+      ${season}
+      ${stale('weather') ? `<div class="section-stale">${t('weather.title')} ${stale('weather')}</div>` : ''}
+      <div class="stations">${stationRows}</div>
+      <div class="stations-legend">
+        <span></span><span>${t('legend.temp')} ${u.symbol}</span><span></span><span>${t('legend.snow')}</span><span>${t('legend.wind')}</span>
+      </div>
+    </div>`;
+}
+
+// Footer link to the source-health page
+function sourcesLink(sources, { t }) {
+  if (!sources) return '';
+  const { degraded, failed } = health.summarize(sources);
+  return degraded + failed > 0
+    ? ` · <a href="status.html" class="sources-bad">⚠️ ${t('footer.degraded', { n: degraded + failed })}</a>`
+    : ` · <a href="status.html">${t('footer.ok')}</a>`;
+}
+
+module.exports = { escapeHtml, DIFFICULTIES, sectorOf, sectorFilter, mapSection, createView, pageTimeZone, stationLabel, scheduleAliases, staleBadge, avalancheSection, forecastSection, windBadge, scheduleNote, resortCard, sourcesLink };
@@ -0,0 +1,144 @@
+// Snow Monitor - Lift schedules
+// A schedule lists the periods each lift runs:
+//   { lifts: { NAME: [{ from, to, days, open, close }] } }
+// from/to   first and last day, inclusive: "YYYY-MM-DD", or "MM-DD" for every
+//           season; null = open-ended
+// days      weekdays the period applies to (0 = Sunday), null = every day
+// open      "H:MM" opening and closing time; both null for a closed period
+// When several periods cover a day the one with the fewest days wins, so
+// "weekends only in December" overrides the main season it sits in.
+//
+// Skirama and the schedule page don't always agree on lift names. Names are
+// compared ignoring case and punctuation; anything else needs an alias in
+// resorts.json (sources.schedule.aliases: { "SKIRAMA NAME": "SCHEDULE NAME" }).
+// A lift left over gets a guessed match only when exactly one schedule name
+// shares most of its words, and is reported either way.
+
+const { localDate, localTime } = require('./time');
+
+const normalize = name => name.toUpperCase().replace(/['’.]/g, '').replace(/[^A-Z0-9À-Ý]+/g, ' ').trim();
+
+const minutes = hhmm => {
+  const m = /^(\d+):(\d+)$/.exec(hhmm || '');
+  return m ? parseInt(m[1]) * 60 + parseInt(m[2]) : null;
+};
+const hhmm = mins => `${Math.floor(mins / 60)}:${String(mins % 60).padStart(2, '0')}`;
+
+function inRange(date, from, to) {
+  const md = date.slice(5);
+  const key = bound => (bound.length === 5 ? md : date);
+  if (from && to && from.length === 5 && to.length === 5 && from > to) return md >= from || md <= to; // across New Year
+  return (!from || key(from) >= from) && (!to || key(to) <= to);
+}
+
+// Number of days a period can cover (for picking the most specific one)
+function span(p) {
+  const dayOf = bound => Date.parse(bound.length === 5 ? `2001-${bound}` : bound) / 86400000;
+  let days = 366;
+  if (p.from && p.to) {
+    days = dayOf(p.to) - dayOf(p.from) + 1;
+    if (days <= 0) days += 365; // "MM-DD" range across New Year
+  }
+  return days * (p.days ? p.days.length / 7 : 1);
+}
+
+// { open, close } of a lift on a date, or null when it doesn't run
+function liftHours(periods, date) {
+  const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+  const matching = periods.filter(p => inRange(date, p.from, p.to) && (!p.days || p.days.includes(weekday)));
+  if (!matching.length) return null;
+  const p = matching.reduce((best, q) => (span(q) < span(best) ? q : best));
+  return p.open && p.close ? { open: p.open, close: p.close } : null;
+}
+
+// Hours of every lift on one date: { hours: { NAME: { open, close } }, generalOpen, generalClose }
+function dayHours(schedule, date) {
+  if (!schedule) return null;
+  if (!schedule.lifts) return schedule; // data.json from before periods were parsed
+  const hours = {};
+  for (const [name, periods] of Object.entries(schedule.lifts)) {
+    const h = liftHours(periods, date);
+    if (h) hours[name] = h;
+  }
+  const opens = Object.values(hours).map(h => minutes(h.open));
+  const closes = Object.values(hours).map(h => minutes(h.close));
+  return {
+    hours,
+    generalOpen: opens.length ? hhmm(Math.min(...opens)) : null,
+    generalClose: closes.length ? hhmm(Math.max(...closes)) : null
+  };
+}
+
+const scheduleNames = schedule => Object.keys((schedule && (schedule.lifts || schedule.hours)) || {});
+
+// Numbers (and roman numerals) tell apart lifts like "WOLD 1" and "WOLD 2"
+const isNumberWord = w => /^(\d+|I{1,3}|IV|V|VI{1,3})$/.test(w);
+
+function guess(name, candidates) {
+  const words = new Set(normalize(name).split(' '));
+  const numbers = [...words].filter(isNumberWord).sort().join();
+  const scored = candidates.map(key => {
+    const keyWords = new Set(normalize(key).split(' '));
+    if ([...keyWords].filter(isNumberWord).sort().join() !== numbers) return { key, score: 0 };
+    const shared = [...words].filter(w => keyWords.has(w) && !isNumberWord(w)).length;
+    return { key, score: shared / Math.max(words.size, keyWords.size) };
+  }).filter(s => s.score > 0.5).sort((a, b) => b.score - a.score);
+  if (!scored.length || (scored[1] && scored[1].score === scored[0].score)) return null;
+  return scored[0].key;
+}
+
+// Pair Skirama lift names with schedule names:
+//   { match: { LIFT: { name, how: alias | exact | guess } }, unmatched: [LIFT], unused: [SCHEDULE NAME] }
+function matchLifts(liftNames, schedule, aliases = {}) {
+  const names = scheduleNames(schedule);
+  const byNorm = new Map(names.map(n => [normalize(n), n]));
+  const aliasByNorm = new Map(Object.entries(aliases).map(([k, v]) => [normalize(k), v]));
+  const match = {};
+  for (const lift of liftNames) {
+    const alias = aliasByNorm.get(normalize(lift));
+    if (alias !== undefined) {
+      if (byNorm.has(normalize(alias))) match[lift] = { name: byNorm.get(normalize(alias)), how: 'alias' };
+    } else if (byNorm.has(normalize(lift))) {
+      match[lift] = { name: byNorm.get(normalize(lift)), how: 'exact' };
+    }
+  }
+  // Guesses only among schedule names nobody has claimed
+  const claimed = () => new Set(Object.values(match).map(m => m.name));
+  for (const lift of liftNames) {
+    if (match[lift] || aliasByNorm.has(normalize(lift))) continue;
+    const taken = claimed();
+    const key = guess(lift, names.filter(n => !taken.has(n)));
+    if (key) match[lift] = { name: key, how: 'guess' };
+  }
+  const used = claimed();
+  return {
+    match,
+    unmatched: liftNames.filter(l => !match[l]),
+    unused: names.filter(n => !used.has(n))
+  };
+}
+
+// Where "now" (HH:MM) sits in a day's { open, close }:
+//   { state: before | open | after | closed, open, close, minutes } (minutes until it opens or closes)
+function status(hours, now) {
+  if (!hours || !hours.open || !hours.close) return { state: 'closed' };
+  const t = minutes(now), open = minutes(hours.open), close = minutes(hours.close);
+  if (t < open) return { state: 'before', ...hours, minutes: open - t };
+  if (t < close) return { state: 'open', ...hours, minutes: close - t };
+  return { state: 'after', ...hours };
+}
+
+// Hours at `timestamp` in `tz`: the day's hours, the area's status (general) and
+// each matched lift's status with the schedule name it was matched to
+function today(schedule, liftNames, aliases, timestamp, tz) {
+  const day = dayHours(schedule, localDate(timestamp, tz));
+  if (!day) return null;
+  const now = localTime(timestamp, tz);
+  const { match, unmatched } = matchLifts(liftNames, schedule, aliases);
+  const lifts = {};
+  for (const [lift, m] of Object.entries(match)) lifts[lift] = { ...status(day.hours[m.name], now), name: m.name, how: m.how };
+  const general = day.generalOpen ? status({ open: day.generalOpen, close: day.generalClose }, now) : { state: 'closed' };
+  return { ...day, general, lifts, unmatched };
+}
+
+module.exports = { normalize, liftHours, dayHours, matchLifts, status, today, minutes };
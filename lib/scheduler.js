@@ -0,0 +1,65 @@
+// Snow Monitor - Refresh scheduler (serve mode)
+// Every data kind is refreshed on its own interval, all of them once at start.
+// Runs never overlap: kinds that fall due while a run is busy wait for it and
+// then go together in the next one. run(kinds) does the work; when it throws
+// the error is kept for /healthz and the kinds are tried again RETRY_MINUTES
+// later (or at their usual interval, if that's sooner).
+
+const RETRY_MINUTES = 5;
+
+// intervals: { kind: minutes }
+function createScheduler(intervals, run, { now = Date.now } = {}) {
+  const kinds = Object.keys(intervals);
+  const due = Object.fromEntries(kinds.map(kind => [kind, now()]));
+  const last = Object.fromEntries(kinds.map(kind => [kind, null]));
+  let timer = null, running = null, stopped = true, batch = [];
+
+  function plan() {
+    if (stopped || running) return;
+    const wait = Math.max(0, Math.min(...kinds.map(kind => due[kind])) - now());
+    timer = setTimeout(tick, wait);
+  }
+
+  async function tick() {
+    timer = null;
+    const started = now();
+    batch = kinds.filter(kind => due[kind] <= started);
+    if (!batch.length) return plan();
+    let error = null;
+    running = run(batch).catch(e => { error = e; });
+    await running;
+    running = null;
+    const finished = now();
+    for (const kind of batch) {
+      const every = intervals[kind] * 60000;
+      due[kind] = started + (error ? Math.min(every, RETRY_MINUTES * 60000) : every);
+      last[kind] = { at: new Date(finished).toISOString(), ms: finished - started, error: error ? error.message : null };
+    }
+    batch = [];
+    plan();
+  }
+
+  return {
+    start() {
+      stopped = false;
+      plan();
+    },
+    // Resolves once a run that is under way has finished
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      await running;
+    },
+    status() {
+      return Object.fromEntries(kinds.map(kind => [kind, {
+        everyMinutes: intervals[kind],
+        running: batch.includes(kind),
+        lastRun: last[kind],
+        nextRun: stopped ? null : new Date(due[kind]).toISOString()
+      }]));
+    }
+  };
+}
+
+module.exports = { createScheduler, RETRY_MINUTES };
@@ -0,0 +1,131 @@
+// Snow Monitor - HTTP server (serve mode)
+// Serves what the output directory publishes the way a static host would (the
+// pages, data.json, api/v1/, the client app; see PUBLIC), plus:
+//   /events   Server-Sent Events: an "update" event ({ timestamp, kinds }) after every refresh
+//   /healthz  JSON from healthz(): 200 while `ok` is true, 503 otherwise
+// Everything is sent with Cache-Control: no-cache so browsers always revalidate.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.webmanifest': 'application/manifest+json',
+  '.atom': 'application/atom+xml; charset=utf-8',
+  '.ics': 'text/calendar; charset=utf-8'
+};
+
+// The files a run writes for the public; anything else in the directory
+// (history/, caches, state) is a 404
+const PUBLIC = [
+  /^\/(?:[\w-]+\/)?(?:index|status|compare)\.html$/, // pages, at the top and in each variant folder
+  /^\/(?:data\.json|app\.js|sw\.js|icon\.svg|manifest\.webmanifest)$/,
+  /^\/api\/v\d+\/(?:[\w-]+\/)*[\w.-]+\.(?:json|atom|ics)$/
+];
+const published = name => PUBLIC.some(re => re.test(name));
+
+const KEEPALIVE_MS = 30000; // comment line so proxies don't drop idle event streams
+
+function createServer({ dir, healthz }) {
+  const root = path.resolve(dir);
+  const clients = new Set();
+
+  function sendFile(req, res, pathname) {
+    const name = decodeURIComponent(pathname);
+    const file = path.join(root, name);
+    if (file !== root && !file.startsWith(root + path.sep)) return send(res, 403, 'Forbidden');
+    const page = name.endsWith('/') ? `${name}index.html` : name;
+    if (published(page)) {
+      const target = path.join(root, page);
+      return fs.stat(target, (err, stat) => (err || !stat.isFile() ? send(res, 404, 'Not found') : stream(req, res, target, stat)));
+    }
+    // Pages link relative to themselves, so a variant folder needs its trailing slash
+    if (published(`${name}/index.html`)) {
+      return fs.stat(path.join(file, 'index.html'), err => {
+        if (err) return send(res, 404, 'Not found');
+        res.writeHead(301, { Location: `${pathname}/` });
+        res.end();
+      });
+    }
+    send(res, 404, 'Not found');
+  }
+
+  function stream(req, res, file, stat) {
+    res.writeHead(200, {
+      'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream',
+      'Content-Length': stat.size,
+      'Last-Modified': stat.mtime.toUTCString(),
+      'Cache-Control': 'no-cache'
+    });
+    if (req.method === 'HEAD') return res.end();
+    fs.createReadStream(file).on('error', () => res.destroy()).pipe(res);
+  }
+
+  function send(res, status, body, type = 'text/plain; charset=utf-8') {
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+    res.end(body);
+  }
+
+  function events(req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.write('retry: 10000\n\n');
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+    res.on('error', () => clients.delete(res));
+  }
+
+  // A stream that went away without a 'close' yet is dropped instead of written to
+  function push(message) {
+    for (const res of clients) {
+      if (res.destroyed || res.writableEnded) clients.delete(res);
+      else res.write(message);
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return send(res, 405, 'Method not allowed');
+    }
+    let pathname;
+    try {
+      pathname = new URL(req.url, 'http://localhost').pathname;
+      if (decodeURIComponent(pathname).includes('\0')) throw new Error('NUL in path');
+    } catch (e) {
+      return send(res, 400, 'Bad request');
+    }
+    if (pathname === '/healthz') {
+      const body = healthz();
+      return send(res, body.ok ? 200 : 503, JSON.stringify(body, null, 2), TYPES['.json']);
+    }
+    if (pathname === '/events') return events(req, res);
+    sendFile(req, res, pathname);
+  });
+
+  const keepalive = setInterval(() => {
+    push(': keepalive\n\n');
+  }, KEEPALIVE_MS);
+  keepalive.unref();
+
+  return {
+    server,
+    get clients() {
+      return clients.size;
+    },
+    broadcast(event, data) {
+      push(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(keepalive);
+      for (const res of clients) res.end();
+      clients.clear();
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = { createServer };
@@ -0,0 +1,37 @@
+// Snow Monitor - Time zones
+// Every resort has an IANA `timezone` (resorts.json); it is sent to Open-Meteo,
+// decides where a day starts and ends (history, "today", notifications) and is
+// used for the times shown on the page. Resorts without one keep the old default.
+
+const DEFAULT_TIME_ZONE = 'Europe/Rome';
+
+function isTimeZone(tz) {
+  if (typeof tz !== 'string' || !tz) return false;
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const timeZoneOf = resort => (resort && resort.timezone) || DEFAULT_TIME_ZONE;
+
+// "YYYY-MM-DD" / "HH:MM" / "YYYY-MM-DDTHH:MM" of an instant in a time zone
+const localDate = (iso, tz = DEFAULT_TIME_ZONE) => new Date(iso).toLocaleDateString('en-CA', { timeZone: tz });
+const localTime = (iso, tz = DEFAULT_TIME_ZONE) => new Date(iso).toLocaleTimeString('en-GB', { timeZone: tz, hour: '2-digit', minute: '2-digit' });
+const localDateTime = (iso, tz = DEFAULT_TIME_ZONE) => `${localDate(iso, tz)}T${localTime(iso, tz)}`;
+
+// The instant (Date) of a local "YYYY-MM-DD" + "H:MM" in a time zone. The
+// offset is measured at the naive UTC reading and again at the result, which
+// settles on the right side of a DST change.
+function fromLocal(date, hhmm, tz = DEFAULT_TIME_ZONE) {
+  const [y, mo, d] = date.split('-').map(Number);
+  const [h, mi] = hhmm.split(':').map(Number);
+  const naive = Date.UTC(y, mo - 1, d, h, mi);
+  const offset = ms => Date.parse(`${localDateTime(new Date(ms).toISOString(), tz)}:00Z`) - ms;
+  const guess = naive - offset(naive);
+  return new Date(naive - offset(guess));
+}
+
+module.exports = { DEFAULT_TIME_ZONE, isTimeZone, timeZoneOf, localDate, localTime, localDateTime, fromLocal };
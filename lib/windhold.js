@@ -0,0 +1,92 @@
+// Snow Monitor - Wind-hold risk per lift
+// Lifts stop when gusts pass what they are built for. Optional per-lift metadata
+// in resorts.json says which lift is which:
+//   "lifts": { "BETTAFORCA": { "type": "chair", "station": "top" },
+//              "FUNIFOR INDREN": { "type": "funifor", "elevation": 3275, "gustThreshold": 110 } }
+// `station` (top/mid/bottom) or `elevation` picks the weather station whose gusts
+// apply; `gustThreshold` (km/h) overrides the lift type's default. Lifts without
+// metadata use DEFAULT_THRESHOLD at the mid station.
+
+const forecast = require('./forecast');
+
+// Typical gust limits in km/h
+const LIFT_TYPES = { chair: 60, gondola: 75, draglift: 70, tapis: 80, cablecar: 90, funifor: 100 };
+const DEFAULT_THRESHOLD = 65;
+const DEFAULT_STATION = 'mid';
+const WATCH_RATIO = 0.8; // gusts above this share of the limit: hold possible
+const STATIONS = ['top', 'mid', 'bottom'];
+
+const normalize = name => name.toUpperCase().replace(/\s+/g, ' ').trim();
+
+// Station whose elevation is closest to `elevation`
+function nearestStation(elevations, elevation) {
+  return STATIONS.filter(s => elevations[s] !== undefined)
+    .reduce((best, s) => (Math.abs(elevations[s] - elevation) < Math.abs(elevations[best] - elevation) ? s : best), DEFAULT_STATION);
+}
+
+// { type, station, threshold, configured } for one lift
+function liftMeta(resort, liftName) {
+  const all = resort.lifts || {};
+  const key = Object.keys(all).find(k => normalize(k) === normalize(liftName));
+  const cfg = key ? all[key] : {};
+  const station = cfg.station || (cfg.elevation !== undefined ? nearestStation(resort.elevations, cfg.elevation) : DEFAULT_STATION);
+  const threshold = cfg.gustThreshold || LIFT_TYPES[cfg.type] || DEFAULT_THRESHOLD;
+  return { type: cfg.type || null, station, threshold, configured: !!key };
+}
+
+function level(gust, threshold) {
+  if (gust === null || gust === undefined) return null;
+  if (gust >= threshold) return 'hold';
+  return gust >= threshold * WATCH_RATIO ? 'watch' : 'ok';
+}
+
+// Current and hourly risk for one lift:
+//   { meta, now: { gust, level }, hours: [{ time, gust, level }] }
+function liftRisk(resort, weather, liftName, count = 12) {
+  const meta = liftMeta(resort, liftName);
+  const station = weather && (weather[meta.station] || weather.mid || weather.top);
+  if (!station) return null;
+  const gust = station.current ? station.current.wind_gusts_10m : null;
+  const hours = forecast.hourlyRows(station, count).map(r => ({ time: r.time, gust: r.gusts, level: level(r.gusts, meta.threshold) }));
+  return { meta, now: { gust: gust ?? null, level: level(gust, meta.threshold) }, hours };
+}
+
+// --- Checking predictions against what Skirama reported ---
+
+// Intra-day history records carry the lift statuses and each station's current
+// gust (gustTop/gustMid/gustBottom). Only runs where some other lift was open
+// count, so night and off-season closures are not mistaken for wind holds.
+function evaluate(resort, records) {
+  const samples = {};
+  for (const r of records) {
+    const statuses = Object.entries(r.lifts || {});
+    if (!statuses.some(([, s]) => s === 'o')) continue;
+    for (const [name, s] of statuses) {
+      if (s !== 'o' && s !== 'c') continue;
+      const meta = liftMeta(resort, name);
+      const gust = r.v[`gust${meta.station[0].toUpperCase()}${meta.station.slice(1)}`];
+      if (gust === undefined) continue;
+      if (!samples[name]) samples[name] = { meta, points: [] };
+      samples[name].points.push({ gust, closed: s === 'c' });
+    }
+  }
+
+  return Object.entries(samples).map(([name, { meta, points }]) => {
+    const errors = t => points.filter(p => (p.gust >= t) !== p.closed).length;
+    const hits = points.filter(p => p.closed && p.gust >= meta.threshold).length;
+    const misses = points.filter(p => p.closed && p.gust < meta.threshold).length;
+    const falseAlarms = points.filter(p => !p.closed && p.gust >= meta.threshold).length;
+    // Threshold that would have explained the most runs (closest to the current one on ties)
+    let suggested = null;
+    if (points.some(p => p.closed) && points.some(p => !p.closed)) {
+      const candidates = [...new Set(points.map(p => Math.round(p.gust)))];
+      suggested = candidates.reduce((best, t) => {
+        const d = errors(t) - errors(best);
+        return d < 0 || (d === 0 && Math.abs(t - meta.threshold) < Math.abs(best - meta.threshold)) ? t : best;
+      }, meta.threshold);
+    }
+    return { lift: name, ...meta, runs: points.length, closed: points.filter(p => p.closed).length, hits, misses, falseAlarms, suggested };
+  }).sort((a, b) => a.lift.localeCompare(b.lift));
+}
+
+module.exports = { LIFT_TYPES, DEFAULT_THRESHOLD, WATCH_RATIO, liftMeta, liftRisk, level, evaluate };
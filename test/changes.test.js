@@ -0,0 +1,72 @@
+// Snow Monitor - Change detection tests
+// Two runs of one resort in, events out: status changes for watched lifts, the
+// first lift of the day, fresh snow over the threshold, failing sources, and
+// which rules apply.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectChanges, rulesFor, DEFAULT_RULES } = require('../lib/changes');
+
+const RESORT = { id: 'champoluc', name: 'Champoluc', timezone: 'Europe/Rome', elevations: { top: 2705 } };
+const PREV_TIME = '2025-12-20T07:45:00.000Z';
+const TIMESTAMP = '2025-12-20T08:00:00.000Z';
+
+const status = (lifts, pistes = {}) => ({
+  lifts: Object.entries(lifts).map(([name, s]) => ({ name, status: s })),
+  pistes: Object.entries(pistes).map(([name, s]) => ({ name, status: s }))
+});
+const run = (prev, next, { resort = RESORT, prevTime = PREV_TIME, defaults, overrides } = {}) =>
+  detectChanges(prev && { timestamp: prevTime, resorts: [{ resort, ...prev }] }, [{ resort, ...next }], TIMESTAMP, defaults, overrides);
+const keys = events => events.map(e => e.key);
+
+test('watched lifts and pistes report each status change', () => {
+  const prev = { liftStatus: status({ A: 'closed', B: 'open', C: 'closed' }, { Red: 'closed', Blue: 'closed' }) };
+  const next = { liftStatus: status({ A: 'open', B: 'evaluating', C: 'closed', New: 'open' }, { Red: 'open', Blue: 'open' }) };
+  const rules = { events: ['lift-status', 'piste-status'] };
+  // Every lift by default, no piste unless named; a lift new to the map is no change
+  assert.deepStrictEqual(keys(run(prev, next, { overrides: rules })), ['champoluc:lift:A:closed>open', 'champoluc:lift:B:open>evaluating']);
+  const named = run(prev, next, { overrides: { ...rules, lifts: ['b'], pistes: ['RED'] } });
+  assert.deepStrictEqual(keys(named), ['champoluc:lift:B:open>evaluating', 'champoluc:piste:Red:closed>open']);
+  assert.strictEqual(named[0].message, 'Lift B is now under evaluation (was open).');
+  assert.deepStrictEqual(run(null, next, { overrides: rules }), []);
+});
+
+test('the first lift of the day fires when nothing was open before today', () => {
+  const rules = { overrides: { events: ['first-lift'] } };
+  const closed = { liftStatus: status({ A: 'closed', B: 'closed' }) };
+  const open = { liftStatus: status({ A: 'open', B: 'open' }) };
+  const [first] = run(closed, open, rules);
+  assert.deepStrictEqual([first.key, first.message], ['champoluc:first-lift:2025-12-20', 'First lift open today: A (+1 more).']);
+  assert.deepStrictEqual(run(open, open, rules), []);
+  // Open at the last run of yesterday does not count
+  assert.deepStrictEqual(keys(run(open, open, { ...rules, prevTime: '2025-12-19T16:00:00.000Z' })), ['champoluc:first-lift:2025-12-20']);
+});
+
+test('fresh snow is yesterday\'s snowfall at the top, over the resort\'s threshold', () => {
+  const weather = cm => ({ weather: { top: { daily: { time: ['2025-12-19', '2025-12-20'], snowfall_sum: [cm, 40] } } } });
+  const rules = { events: ['fresh-snow'] };
+  const [event] = run(null, weather(12.4), { overrides: rules });
+  assert.deepStrictEqual([event.key, event.title, event.message], ['champoluc:fresh-snow:2025-12-20', 'Champoluc: 12cm fresh snow ❄️', '12.4cm of snow fell yesterday at 2705m.']);
+  assert.deepStrictEqual(run(null, weather(8), { overrides: rules }), []);
+  const deep = { ...RESORT, notify: { freshSnowCm: 20 } };
+  assert.deepStrictEqual(run(null, weather(12.4), { resort: deep, defaults: rules }), []);
+});
+
+test('a source is reported when it stops working, not on every failed run', () => {
+  const ok = { ok: true, provider: 'onthesnow' };
+  const failed = { ok: false, provider: 'onthesnow', error: { type: 'parse', message: 'no snow depths found' } };
+  const rules = { overrides: { events: ['source-failed'] } };
+  const [event] = run({ sources: { snowReport: ok } }, { sources: { snowReport: failed } }, rules);
+  assert.deepStrictEqual([event.key, event.message], ['champoluc:source:snowReport', 'onthesnow returned nothing: no snow depths found']);
+  assert.deepStrictEqual(run({ sources: { snowReport: failed } }, { sources: { snowReport: failed } }, rules), []);
+  const unset = { ok: false, provider: null, error: { type: 'config', message: 'no schedule source configured' } };
+  assert.deepStrictEqual(run(null, { sources: { schedule: unset } }, rules), []);
+});
+
+test('overrides beat the resort\'s rules, which beat the defaults', () => {
+  const resort = { ...RESORT, notify: { freshSnowCm: 20, lifts: ['A'] } };
+  assert.deepStrictEqual(rulesFor(resort), { ...DEFAULT_RULES, freshSnowCm: 20, lifts: ['A'] });
+  assert.strictEqual(rulesFor(resort, { freshSnowCm: 5, pistes: ['*'] }).freshSnowCm, 20);
+  assert.deepStrictEqual(rulesFor(resort, { pistes: ['*'] }).pistes, ['*']);
+  assert.strictEqual(rulesFor(resort, {}, { freshSnowCm: 1 }).freshSnowCm, 1);
+});
@@ -0,0 +1,83 @@
+// Snow Monitor - Source health tests
+// Falling back to the last good section, when a section counts as stale, and
+// the per-source record of failures and usual item counts.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const health = require('../lib/health');
+
+const RESORT = { id: 'champoluc' };
+const PREV_TIME = '2025-12-20T08:00:00.000Z';
+const TIMESTAMP = '2025-12-20T08:15:00.000Z';
+
+const ok = provider => ({ ok: true, provider, latencyMs: 120 });
+const failed = (provider, type = 'fetch') => ({ ok: false, provider, latencyMs: 50, error: { type, message: 'HTTP 503' } });
+const lifts = n => ({ lifts: Array.from({ length: n }, (_, i) => ({ name: `L${i}`, status: 'open' })), pistes: [] });
+
+test('a failed or skipped section keeps its last good value and when it was fetched', () => {
+  const prev = {
+    resort: RESORT,
+    weather: { top: {} },
+    liftStatus: lifts(3),
+    avalanche: { level: 2 },
+    asOf: { weather: PREV_TIME, liftStatus: PREV_TIME }
+  };
+  const next = { resort: RESORT, weather: { top: { fresh: true } }, liftStatus: null, sources: { weather: ok('open-meteo'), liftStatus: failed('monterosa-skirama') } };
+  const merged = health.applyFallback(prev, next, ['weather', 'liftStatus'], TIMESTAMP, PREV_TIME);
+  assert.deepStrictEqual(merged.weather, { top: { fresh: true } });
+  assert.deepStrictEqual(merged.liftStatus, lifts(3));
+  // Avalanche was not fetched this run; its age falls back to the previous run's time
+  assert.deepStrictEqual(merged.avalanche, { level: 2 });
+  assert.deepStrictEqual(merged.asOf, { weather: TIMESTAMP, liftStatus: PREV_TIME, avalanche: PREV_TIME });
+  // freshOnly drops the fallback again
+  assert.strictEqual(health.freshOnly(merged).liftStatus, null);
+  assert.deepStrictEqual(health.freshOnly(merged).weather, { top: { fresh: true } });
+});
+
+test('the first run has nothing to fall back on', () => {
+  const next = { resort: RESORT, weather: { top: {} }, snowReport: null };
+  assert.deepStrictEqual(health.applyFallback(null, next, ['weather', 'snowReport'], TIMESTAMP).asOf, { weather: TIMESTAMP });
+});
+
+test('a section is stale past its kind\'s age, or as soon as its source failed', () => {
+  const entry = (kind, minutesOld, outcome = ok('x')) => ({
+    [kind]: {},
+    asOf: { [kind]: new Date(Date.parse(TIMESTAMP) - minutesOld * 60000).toISOString() },
+    sources: { [kind]: outcome }
+  });
+  assert.strictEqual(health.isStale(entry('liftStatus', 30), 'liftStatus', TIMESTAMP), false);
+  assert.strictEqual(health.isStale(entry('liftStatus', 31), 'liftStatus', TIMESTAMP), true);
+  assert.strictEqual(health.isStale(entry('snowReport', 23 * 60), 'snowReport', TIMESTAMP), false);
+  assert.strictEqual(health.isStale(entry('liftStatus', 0, failed('x')), 'liftStatus', TIMESTAMP), true);
+  assert.strictEqual(health.isStale({ liftStatus: null, sources: { liftStatus: failed('x') } }, 'liftStatus', TIMESTAMP), false);
+});
+
+test('failures are counted and the last success remembered', () => {
+  const fetched = (outcome, data = lifts(10)) => [{ resort: RESORT, liftStatus: data, sources: { liftStatus: outcome } }];
+  let sources = health.updateHealth({}, fetched(ok('monterosa-skirama')), PREV_TIME);
+  sources = health.updateHealth(sources, fetched(failed('monterosa-skirama'), null), TIMESTAMP);
+  sources = health.updateHealth(sources, fetched(failed('monterosa-skirama'), null), '2025-12-20T08:30:00.000Z');
+  const h = sources.champoluc.liftStatus;
+  assert.deepStrictEqual(
+    [h.status, h.consecutiveFailures, h.lastSuccess, h.lastAttempt, h.items, h.usualItems, h.error.message],
+    ['failed', 2, PREV_TIME, '2025-12-20T08:30:00.000Z', null, { lifts: 10, pistes: 0 }, 'HTTP 503']
+  );
+  assert.strictEqual(health.updateHealth(sources, fetched(ok('monterosa-skirama')), TIMESTAMP).champoluc.liftStatus.consecutiveFailures, 0);
+});
+
+test('far fewer items than usual marks a source degraded without moving the baseline', () => {
+  const fetched = n => [{ resort: RESORT, liftStatus: lifts(n), sources: { liftStatus: ok('monterosa-skirama') } }];
+  let sources = health.updateHealth({}, fetched(20), PREV_TIME);
+  sources = health.updateHealth(sources, fetched(15), TIMESTAMP);
+  assert.deepStrictEqual(sources.champoluc.liftStatus.usualItems, { lifts: 19, pistes: 0 });
+  sources = health.updateHealth(sources, fetched(6), TIMESTAMP);
+  const h = sources.champoluc.liftStatus;
+  assert.deepStrictEqual([h.status, h.usualItems, h.error], ['degraded', { lifts: 19, pistes: 0 }, { type: 'items', message: '6 lifts (usually 19)' }]);
+  assert.deepStrictEqual(health.summarize(sources), { total: 1, ok: 0, degraded: 1, failed: 0 });
+});
+
+test('an unconfigured source is dropped from the record', () => {
+  const unset = { ok: false, provider: null, error: { type: 'config', message: 'no schedule source configured' } };
+  const sources = health.updateHealth({ champoluc: { schedule: { status: 'ok' } } }, [{ resort: RESORT, schedule: null, sources: { schedule: unset } }], TIMESTAMP);
+  assert.deepStrictEqual(sources, { champoluc: {} });
+});
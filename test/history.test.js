@@ -0,0 +1,105 @@
+// Snow Monitor - History store tests
+// Snapshots recorded into a temporary history directory: compaction of unchanged
+// runs, the roll-up of finished days, rotation of old files, and the season's
+// daily series read back.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const history = require('../lib/history');
+
+const RESORT = { id: 'champoluc', name: 'Champoluc', timezone: 'Europe/Rome', elevations: { top: 2705 } };
+
+// A fetched entry with the top station's current depth (m) and daily snowfall (cm)
+function entry(depthM, days, snowfall) {
+  return { resort: RESORT, weather: { top: { current: { snow_depth: depthM }, daily: { time: days, snowfall_sum: snowfall } } } };
+}
+
+const lifts = statuses => ({ resort: RESORT, liftStatus: { lifts: Object.entries(statuses).map(([name, status]) => ({ name, status })), pistes: [] } });
+const lines = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-history-'));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('snowfall is what fell, not what was forecast', () => withDir(dir => {
+  const days = ['2025-12-18', '2025-12-19', '2025-12-20', '2025-12-21'];
+  // On the 19th the forecast for the day says 40cm; the next morning's past-day value says 12cm
+  history.recordSnapshot(dir, entry(1.0, days, [0, 40, 5, 0]), '2025-12-19T08:00:00.000Z');
+  history.recordSnapshot(dir, entry(1.1, days, [0, 12, 30, 0]), '2025-12-20T08:00:00.000Z');
+  const { daily } = history.loadHistory(dir, 'champoluc', '2025-12-20T08:00:00.000Z', 'Europe/Rome');
+  assert.deepStrictEqual(daily.map(d => [d.d, d.snowfall]), [['2025-12-19', 12], ['2025-12-20', 10]]);
+  assert.ok(daily.every(d => !('fresh' in d)));
+}));
+
+test('days recorded with a forecast in fresh fall back to the depth change', () => {
+  const daily = history.observedSnowfall([
+    { d: '2025-12-10', fresh: 30, depthTop: 100 },
+    { d: '2025-12-11', fresh: 25, depthTop: 92 },
+    { d: '2025-12-12', fresh: 0, depthTop: 110 },
+    { d: '2025-12-14', depthTop: 130 }
+  ]);
+  assert.deepStrictEqual(daily.map(d => d.snowfall), [undefined, 0, 18, undefined]);
+  assert.ok(daily.every(d => !('fresh' in d)));
+});
+
+test('weekComparison adds up the observed snowfall of each week', () => {
+  const daily = [
+    { d: '2025-12-08', snowfall: 4 },
+    { d: '2025-12-15', snowfall: 10 },
+    { d: '2025-12-16' },
+    { d: '2025-12-19', snowfall: 6 }
+  ];
+  const { thisWeek, lastWeek } = history.weekComparison(daily, '2025-12-20');
+  assert.deepStrictEqual([thisWeek.days, thisWeek.snowfall, lastWeek.days, lastWeek.snowfall], [3, 16, 1, 4]);
+  assert.strictEqual(history.weekComparison([{ d: '2025-12-19' }], '2025-12-20').thisWeek.snowfall, null);
+});
+
+test('a run is only written when something changed, lift statuses as changes', () => withDir(dir => {
+  const at = t => `2025-12-20T${t}:00.000Z`;
+  assert.strictEqual(history.recordSnapshot(dir, lifts({ A: 'closed', B: 'closed' }), at('07:00')), true);
+  assert.strictEqual(history.recordSnapshot(dir, lifts({ A: 'closed', B: 'closed' }), at('07:15')), false);
+  assert.strictEqual(history.recordSnapshot(dir, lifts({ A: 'open', B: 'closed' }), at('07:30')), true);
+  const file = lines(path.join(dir, 'champoluc', 'intraday-2025-12-20.jsonl'));
+  assert.deepStrictEqual(file.map(l => [l.t, l.l]), [[at('07:00'), { A: 'c', B: 'c' }], [at('07:30'), { A: 'o' }]]);
+  assert.deepStrictEqual(file[1].v, { liftsOpen: 1, liftsTotal: 2, pistesOpen: 0, pistesTotal: 0 });
+}));
+
+test('a finished day is rolled up once into its season file', () => withDir(dir => {
+  history.recordSnapshot(dir, lifts({ A: 'closed' }), '2025-12-20T07:00:00.000Z');
+  history.recordSnapshot(dir, lifts({ A: 'open' }), '2025-12-20T08:30:00.000Z');
+  history.recordSnapshot(dir, lifts({ A: 'closed' }), '2025-12-20T16:00:00.000Z');
+  // 00:30 in Rome is already the 21st
+  history.recordSnapshot(dir, lifts({ A: 'closed' }), '2025-12-20T23:30:00.000Z');
+  history.recordSnapshot(dir, lifts({ A: 'open' }), '2025-12-21T08:00:00.000Z');
+  const season = lines(path.join(dir, 'champoluc', 'daily-2025-26.jsonl'));
+  assert.deepStrictEqual(season, [{ d: '2025-12-20', liftsTotal: 1, pistesTotal: 0, liftsOpen: 1, pistesOpen: 0, opened: { A: '09:30' } }]);
+  const { daily } = history.loadHistory(dir, 'champoluc', '2025-12-21T08:00:00.000Z', 'Europe/Rome');
+  assert.deepStrictEqual(daily.map(d => [d.d, d.opened]), [['2025-12-20', { A: '09:30' }], ['2025-12-21', { A: '09:00' }]]);
+  assert.deepStrictEqual(history.liftOpenings(daily), { A: { date: '2025-12-20', time: '09:30' } });
+}));
+
+test('intra-day files are deleted after two weeks and only three seasons are kept', () => withDir(dir => {
+  const resortDir = path.join(dir, 'champoluc');
+  fs.mkdirSync(resortDir);
+  for (const season of ['2021-22', '2022-23', '2023-24', '2024-25']) fs.writeFileSync(path.join(resortDir, `daily-${season}.jsonl`), '');
+  history.recordSnapshot(dir, lifts({ A: 'open' }), '2025-12-01T09:00:00.000Z');
+  history.recordSnapshot(dir, lifts({ A: 'open' }), '2025-12-10T09:00:00.000Z');
+  history.recordSnapshot(dir, lifts({ A: 'open' }), '2025-12-15T09:00:00.000Z');
+  assert.deepStrictEqual(fs.readdirSync(resortDir).sort(), [
+    'daily-2023-24.jsonl', 'daily-2024-25.jsonl', 'daily-2025-26.jsonl',
+    'intraday-2025-12-10.jsonl', 'intraday-2025-12-15.jsonl'
+  ]);
+  assert.deepStrictEqual(lines(path.join(resortDir, 'daily-2025-26.jsonl')).map(d => d.d), ['2025-12-01', '2025-12-10']);
+}));
+
+test('seasons roll over on 1 July', () => {
+  assert.deepStrictEqual(['2025-12-20', '2026-06-30', '2026-07-01', '2099-01-01'].map(history.seasonOf), ['2025-26', '2025-26', '2026-27', '2098-99']);
+});
@@ -0,0 +1,175 @@
+// Snow Monitor - HTTP client tests
+// Retries, Retry-After, the disk cache, redirects, the per-host limit and the
+// timeouts, against a local server whose routes each test sets up.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createClient, HttpError, pruneCache } = require('../lib/http');
+
+// routes: { pathname: (req, res, n) => ... } where n counts that route's requests from 1
+async function start(routes) {
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404);
+      return res.end();
+    }
+    route(req, res, hits[req.url]);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const stop = () => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+  return { base: `http://127.0.0.1:${server.address().port}`, hits, stop };
+}
+
+const reply = (res, status, body = '', headers = {}) => {
+  res.writeHead(status, headers);
+  res.end(body);
+};
+
+test('5xx and 429 are retried with backoff, other errors are not', async () => {
+  const { base, hits, stop } = await start({
+    '/flaky': (req, res, n) => (n < 3 ? reply(res, n === 1 ? 503 : 429) : reply(res, 200, 'third time')),
+    '/broken': (req, res) => reply(res, 500)
+  });
+  try {
+    const fetch = createClient({ retries: 2, backoff: 10 });
+    assert.strictEqual(await fetch(`${base}/flaky`), 'third time');
+    assert.strictEqual(hits['/flaky'], 3);
+    await assert.rejects(createClient({ retries: 1, backoff: 10 })(`${base}/broken`), e => e instanceof HttpError && e.status === 500);
+    assert.strictEqual(hits['/broken'], 2);
+    await assert.rejects(fetch(`${base}/missing`), e => e instanceof HttpError && e.status === 404);
+    assert.strictEqual(hits['/missing'], 1);
+  } finally {
+    await stop();
+  }
+});
+
+test('Retry-After sets the wait before the retry', async () => {
+  const { base, stop } = await start({
+    '/busy': (req, res, n) => (n === 1 ? reply(res, 503, '', { 'Retry-After': '1' }) : reply(res, 200, 'ok'))
+  });
+  try {
+    const started = Date.now();
+    assert.strictEqual(await createClient({ retries: 1, backoff: 1 })(`${base}/busy`), 'ok');
+    assert.ok(Date.now() - started >= 950, `${Date.now() - started}ms`);
+  } finally {
+    await stop();
+  }
+});
+
+test('the disk cache answers within ttl and revalidates with ETag after it', async () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-http-'));
+  const seen = [];
+  const { base, hits, stop } = await start({
+    '/page': (req, res) => {
+      seen.push(req.headers['if-none-match'] || null);
+      if (req.headers['if-none-match'] === '"v1"') return reply(res, 304);
+      reply(res, 200, 'first copy', { ETag: '"v1"' });
+    }
+  });
+  try {
+    const fetch = createClient({ cacheDir });
+    assert.strictEqual(await fetch(`${base}/page`, { ttl: 60000 }), 'first copy');
+    assert.strictEqual(await fetch(`${base}/page`, { ttl: 60000 }), 'first copy');
+    assert.strictEqual(hits['/page'], 1);
+    assert.strictEqual(await fetch(`${base}/page`), 'first copy');
+    assert.deepStrictEqual(seen, [null, '"v1"']);
+  } finally {
+    await stop();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('cache files not written for longer than cacheMaxAge are pruned', () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-http-'));
+  try {
+    const day = 24 * 3600 * 1000;
+    for (const [name, age] of [['fresh.json', 0], ['stale.json', 10 * day], ['notes.txt', 10 * day]]) {
+      const file = path.join(cacheDir, name);
+      fs.writeFileSync(file, '{}');
+      const at = new Date(Date.now() - age);
+      fs.utimesSync(file, at, at);
+    }
+    createClient({ cacheDir, cacheMaxAge: 7 * day });
+    assert.deepStrictEqual(fs.readdirSync(cacheDir).sort(), ['fresh.json', 'notes.txt']);
+    assert.strictEqual(pruneCache(path.join(cacheDir, 'missing'), day), 0);
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('redirects are followed up to maxRedirects', async () => {
+  const { base, hits, stop } = await start({
+    '/old': (req, res) => reply(res, 301, '', { Location: '/new' }),
+    '/new': (req, res) => reply(res, 200, 'moved here'),
+    '/loop': (req, res) => reply(res, 302, '', { Location: '/loop' })
+  });
+  try {
+    const fetch = createClient({ maxRedirects: 2, retries: 0 });
+    assert.strictEqual(await fetch(`${base}/old`), 'moved here');
+    await assert.rejects(fetch(`${base}/loop`), /too many redirects \(>2\)/);
+    assert.strictEqual(hits['/loop'], 3);
+  } finally {
+    await stop();
+  }
+});
+
+test('no more requests to one host at a time than its concurrency', async () => {
+  let active = 0, most = 0;
+  const { base, stop } = await start({
+    '/slow': (req, res) => {
+      most = Math.max(most, ++active);
+      setTimeout(() => {
+        active--;
+        reply(res, 200, 'done');
+      }, 40);
+    }
+  });
+  try {
+    const fetch = createClient({ hosts: { '127.0.0.1': { concurrency: 2 } } });
+    const bodies = await Promise.all(Array.from({ length: 6 }, () => fetch(`${base}/slow`)));
+    assert.deepStrictEqual(bodies, Array(6).fill('done'));
+    assert.strictEqual(most, 2);
+  } finally {
+    await stop();
+  }
+});
+
+test('a response that never finishes fails at the deadline', async () => {
+  const { base, stop } = await start({
+    '/ok': (req, res) => reply(res, 200, 'fine'),
+    // One byte every 50ms: never idle, never done
+    '/slow': (req, res) => {
+      res.writeHead(200);
+      const timer = setInterval(() => res.write('.'), 50);
+      res.on('close', () => clearInterval(timer));
+    }
+  });
+  try {
+    const fetch = createClient({ retries: 0 });
+    assert.strictEqual(await fetch(`${base}/ok`, { deadline: 1000 }), 'fine');
+    const started = Date.now();
+    await assert.rejects(fetch(`${base}/slow`, { timeout: 200, deadline: 400 }), /no complete response after 400ms/);
+    assert.ok(Date.now() - started < 2000);
+  } finally {
+    await stop();
+  }
+});
+
+test('a silent server fails at the idle timeout', async () => {
+  const { base, stop } = await start({ '/silent': () => {} });
+  try {
+    await assert.rejects(createClient({ retries: 0 })(`${base}/silent`, { timeout: 100 }), /timeout after 100ms/);
+  } finally {
+    await stop();
+  }
+});
@@ -0,0 +1,185 @@
+// Snow Monitor - Library API tests
+// getResortSnapshot() and render() end to end, offline: the injected fetch
+// answers every source's URL with its saved page from test/fixtures.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const snow = require('..');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const fixture = file => fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+const resort = JSON.parse(fixture('resort.json'));
+const TIMESTAMP = '2025-12-20T09:00:00.000Z';
+
+// URL -> fixture, by host and path
+const PAGES = [
+  [/^https:\/\/api\.open-meteo\.com\//, 'open-meteo.json'],
+  [/^https:\/\/www\.onthesnow\.co\.uk\//, 'onthesnow.html'],
+  [/^https:\/\/monterosaski\.eu\/in-tempo-reale\/skirama\//, 'monterosa-skirama.html'],
+  [/^https:\/\/monterosaski\.eu\/en\/schedules-/, 'monterosa-schedule.html'],
+  [/^https:\/\/static\.avalanche\.report\//, 'caamlv6.json']
+];
+
+function offlineFetch(requested) {
+  return async url => {
+    requested.push(url);
+    const page = PAGES.find(([re]) => re.test(url));
+    if (!page) throw new Error(`no fixture for ${url}`);
+    return fixture(page[1]);
+  };
+}
+
+test('requiring the package does not run the CLI', () => {
+  const out = execFileSync(process.execPath, ['-e', "require('./'); require('./fetch-data')"], { cwd: path.join(__dirname, '..'), encoding: 'utf8', timeout: 30000 });
+  assert.strictEqual(out, '');
+});
+
+test('an adapter can be required before the registry', () => {
+  const script = "const a = require('./lib/providers/onthesnow'); console.log(require('./lib/providers').getAdapter('snowReport', 'onthesnow') === a)";
+  const out = execFileSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..'), encoding: 'utf8', timeout: 30000 });
+  assert.strictEqual(out, 'true\n');
+});
+
+test('getResortSnapshot fetches every source through the injected fetch', async () => {
+  const requested = [];
+  const snapshot = await snow.getResortSnapshot(resort, { fetch: offlineFetch(requested), timestamp: TIMESTAMP });
+  assert.strictEqual(snapshot.timestamp, TIMESTAMP);
+  assert.strictEqual(requested.filter(u => u.includes('open-meteo')).length, 3);
+  const [entry] = snapshot.resorts;
+  assert.strictEqual(entry.resort.id, 'champoluc');
+  for (const kind of ['weather', 'liftStatus', 'schedule', 'snowReport', 'avalanche']) {
+    assert.ok(entry.sources[kind].ok, `${kind}: ${JSON.stringify(entry.sources[kind].error)}`);
+    assert.strictEqual(entry.asOf[kind], TIMESTAMP);
+  }
+  assert.strictEqual(entry.liftStatus.lifts.length, 5);
+  assert.strictEqual(entry.snowReport.summitDepth, 130);
+  assert.strictEqual(snapshot.sources.champoluc.liftStatus.status, 'ok');
+});
+
+test('getResortSnapshot reports a failing source without throwing', async () => {
+  const fetch = async url => {
+    if (url.includes('onthesnow')) throw new Error('HTTP 503');
+    return offlineFetch([])(url);
+  };
+  const snapshot = await snow.getResortSnapshot(resort, { fetch, kinds: ['liftStatus', 'snowReport'], timestamp: TIMESTAMP });
+  const [entry] = snapshot.resorts;
+  assert.strictEqual(entry.snowReport, null);
+  assert.deepStrictEqual(entry.sources.snowReport.error, { type: 'fetch', message: 'HTTP 503' });
+  assert.ok(entry.liftStatus);
+  assert.strictEqual(entry.weather, undefined);
+});
+
+test('one weather station failing is a warning, all of them a fetch error', async () => {
+  const failing = elevations => async url => {
+    if (elevations.some(e => url.includes(`elevation=${e}&`))) throw new Error('HTTP 502');
+    return offlineFetch([])(url);
+  };
+  const partial = await snow.getResortSnapshot(resort, { fetch: failing([2146]), kinds: ['weather'], timestamp: TIMESTAMP });
+  const [entry] = partial.resorts;
+  assert.deepStrictEqual([entry.sources.weather.ok, entry.sources.weather.warnings, entry.weather.mid], [true, ['mid: HTTP 502'], null]);
+  assert.ok(entry.weather.top);
+  assert.deepStrictEqual([partial.sources.champoluc.weather.status, partial.sources.champoluc.weather.error], ['degraded', { type: 'partial', message: 'mid: HTTP 502' }]);
+  const none = await snow.getResortSnapshot(resort, { fetch: failing([1568, 2146, 2705]), kinds: ['weather'], timestamp: TIMESTAMP });
+  const { error } = none.resorts[0].sources.weather;
+  assert.strictEqual(error.type, 'fetch');
+  assert.match(error.message, /^every station failed \(.*mid: HTTP 502/);
+});
+
+test('getResortSnapshot rejects an invalid resort', async () => {
+  await assert.rejects(snow.getResortSnapshot({ ...resort, lat: 'north' }, { fetch: offlineFetch([]) }), /^Error: resort\.lat: /);
+});
+
+test('render builds each page from a snapshot', async () => {
+  const snapshot = await snow.getResortSnapshot(resort, { fetch: offlineFetch([]), timestamp: TIMESTAMP });
+  const html = snow.render(snapshot, { lang: 'it' });
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<html lang="it">/);
+  assert.match(html, /Champoluc/);
+  assert.match(html, /BETTAFORCA/);
+  assert.match(html, /<div class="piste-group"><i class="dot d-red"><\/i>Rosse <span class="detail-count">1\/1 aperti · 2,4km aperti</);
+  assert.match(html, /<g class="mk piste open d-red" data-name="Sarezza"/);
+  assert.match(snow.render(snapshot, { page: 'compare' }), /Champoluc/);
+  assert.match(snow.render(snapshot, { page: 'status' }), /monterosa-skirama/);
+  assert.throws(() => snow.render(snapshot, { page: 'map' }), /page must be one of/);
+});
+
+test('the status page escapes source error messages', async () => {
+  const fetch = async url => {
+    if (url.includes('onthesnow')) throw new Error('unexpected <script>alert(1)</script> in reply');
+    return offlineFetch([])(url);
+  };
+  const snapshot = await snow.getResortSnapshot(resort, { fetch, kinds: ['snowReport'], timestamp: TIMESTAMP });
+  const html = snow.render(snapshot, { page: 'status' });
+  assert.doesNotMatch(html, /<script>alert/);
+  assert.match(html, /unexpected &lt;script&gt;alert\(1\)&lt;\/script&gt; in reply/);
+});
+
+test('render shows the sector filter for the resorts.json sectors', async () => {
+  const [champoluc] = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'resorts.json'), 'utf8'));
+  const snapshot = await snow.getResortSnapshot(champoluc, { fetch: offlineFetch([]), kinds: ['liftStatus'], timestamp: TIMESTAMP });
+  const html = snow.render(snapshot);
+  const filter = html.match(/<div class="sectors">.*?<\/div>/);
+  assert.ok(filter, 'no sector filter');
+  assert.deepStrictEqual([...filter[0].matchAll(/data-sector-filter="([^"]*)"/g)].map(m => m[1]), ['all', 'Alagna', 'Champoluc', 'Gressoney']);
+  assert.match(html, /data-name="Balma" data-sector="Alagna"/);
+});
+
+test('the season section escapes lift names', async () => {
+  const snapshot = await snow.getResortSnapshot(resort, { fetch: offlineFetch([]), kinds: ['weather'], timestamp: TIMESTAMP });
+  const hist = { season: '2025-26', daily: [{ d: '2025-12-20', opened: { 'Baby <img src=x onerror=alert(1)>': '09:00' } }] };
+  const html = require('../fetch-data').generateHTML(snapshot.resorts, TIMESTAMP, { champoluc: hist });
+  assert.doesNotMatch(html, /<img src=x/);
+  assert.match(html, /Baby &lt;img src=x onerror=alert\(1\)&gt;/);
+});
+
+test('render takes several snapshots as one page', async () => {
+  const first = await snow.getResortSnapshot(resort, { fetch: offlineFetch([]), timestamp: TIMESTAMP });
+  const other = { ...resort, id: 'gressoney', name: 'Gressoney' };
+  const second = await snow.getResortSnapshot(other, { fetch: offlineFetch([]), kinds: ['weather'], timestamp: '2025-12-20T09:05:00.000Z' });
+  const merged = snow.mergeSnapshots([first, second]);
+  assert.strictEqual(merged.timestamp, '2025-12-20T09:05:00.000Z');
+  assert.deepStrictEqual(merged.resorts.map(e => e.resort.id), ['champoluc', 'gressoney']);
+  assert.match(snow.render([first, second]), /Gressoney/);
+});
+
+test('weatherDesc names a WMO weather code in the requested language', () => {
+  assert.deepStrictEqual(snow.weatherDesc(71), snow.createView().weather(71));
+  assert.notStrictEqual(snow.weatherDesc(71, { lang: 'it' })[0], snow.weatherDesc(71)[0]);
+  assert.strictEqual(snow.weatherDesc(71)[1], '🌨️');
+});
+
+test('the CLI renders a data.json from before the provider registry', async () => {
+  const snapshot = await snow.getResortSnapshot(resort, { fetch: offlineFetch([]), timestamp: TIMESTAMP });
+  const { liftStatus, snowReport, schedule, sources, asOf, ...rest } = snapshot.resorts[0];
+  const legacy = { timestamp: TIMESTAMP, resorts: [{ ...rest, lifts: snowReport, skirama: liftStatus, schedule: { hours: {}, generalOpen: null, generalClose: null } }] };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-legacy-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify(legacy));
+    execFileSync(process.execPath, [path.join(__dirname, '..', 'fetch-data.js'), 'render', '--out', dir], { encoding: 'utf8', timeout: 60000 });
+    const html = fs.readFileSync(path.join(dir, 'index.html'), 'utf8');
+    assert.match(html, /data-name="BETTAFORCA"/);
+    assert.match(html, /Packed Powder/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the CLI puts the data.json it renders from next to the pages', async () => {
+  const snapshot = await snow.getResortSnapshot(resort, { fetch: offlineFetch([]), timestamp: TIMESTAMP });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-render-'));
+  try {
+    const source = path.join(dir, 'saved.json'), out = path.join(dir, 'site');
+    fs.writeFileSync(source, JSON.stringify(snapshot));
+    execFileSync(process.execPath, [path.join(__dirname, '..', 'fetch-data.js'), 'render', '--data', source, '--out', out], { encoding: 'utf8', timeout: 60000 });
+    assert.ok(fs.existsSync(path.join(out, 'index.html')));
+    const written = JSON.parse(fs.readFileSync(path.join(out, 'data.json'), 'utf8'));
+    assert.deepStrictEqual([written.timestamp, written.resorts.map(e => e.resort.id)], [TIMESTAMP, ['champoluc']]);
+    assert.ok(!fs.existsSync(path.join(out, 'data.json.tmp')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,209 @@
+// Snow Monitor - Notification channel tests
+// Each channel delivers to a local stand-in on a free port: an HTTP server for
+// webhook and ntfy, a minimal SMTP server for email. Plus dispatch() retrying
+// what no channel took, and change keys that keep events apart.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const { CHANNELS, dispatch, smtpSend } = require('../lib/notify');
+const { detectChanges } = require('../lib/changes');
+
+const EVENT = { key: 'champoluc:lift:BETTAFORCA:closed>open', type: 'lift-status', resort: 'champoluc', severity: 'normal', title: 'Champoluc: BETTAFORCA open', message: 'BETTAFORCA is now open.', time: '2025-12-20T09:00:00.000Z' };
+const MESSAGE = { title: EVENT.title, text: EVENT.message, severity: 'high', events: [EVENT] };
+
+// HTTP stand-in: records every request, answers with statuses.shift() (default 200)
+async function httpStandIn(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200);
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { requests, url: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// SMTP stand-in: records the client's lines and the message, accepts everything
+async function smtpStandIn() {
+  const lines = [];
+  let message = null;
+  const server = net.createServer(socket => {
+    let buffer = '', data = null;
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data) {
+          if (line === '.') {
+            message = data.join('\r\n');
+            data = null;
+            socket.write('250 queued\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        lines.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-localhost\r\n250 8BITMIME\r\n');
+        else if (line === 'DATA') {
+          data = [];
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { lines, message: () => message, port: server.address().port, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('webhook posts the message as JSON with the configured headers', async () => {
+  const stand = await httpStandIn();
+  try {
+    await CHANNELS.webhook.send({ url: `${stand.url}/hook`, headers: { 'X-Token': 'secret' } }, MESSAGE);
+    const [req] = stand.requests;
+    assert.deepStrictEqual([req.method, req.url], ['POST', '/hook']);
+    assert.strictEqual(req.headers['content-type'], 'application/json');
+    assert.strictEqual(req.headers['x-token'], 'secret');
+    assert.deepStrictEqual(JSON.parse(req.body), MESSAGE);
+  } finally {
+    await stand.close();
+  }
+});
+
+test('ntfy posts the text to the topic with title, priority and token', async () => {
+  const stand = await httpStandIn();
+  try {
+    await CHANNELS.ntfy.send({ server: `${stand.url}/`, topic: 'snow', token: 'tk_1' }, { ...MESSAGE, title: 'Champoluc: 15cm fresh snow ❄️' });
+    const [req] = stand.requests;
+    assert.deepStrictEqual([req.method, req.url, req.body], ['POST', '/snow', MESSAGE.text]);
+    assert.strictEqual(req.headers.title, `=?UTF-8?B?${Buffer.from('Champoluc: 15cm fresh snow ❄️').toString('base64')}?=`);
+    assert.strictEqual(req.headers.priority, 'high');
+    assert.strictEqual(req.headers.authorization, 'Bearer tk_1');
+  } finally {
+    await stand.close();
+  }
+});
+
+test('smtp runs the dialogue and sends a dot-stuffed message', async () => {
+  const stand = await smtpStandIn();
+  try {
+    const cfg = { host: '127.0.0.1', port: stand.port, from: 'Snow Monitor <alerts@example.com>', to: 'a@example.com, b@example.com' };
+    await smtpSend(cfg, 'Champoluc: lifts are running', 'First lift at 8:30.\n.and a line starting with a dot');
+    assert.deepStrictEqual(stand.lines, [
+      'EHLO snow-monitor',
+      'MAIL FROM:<alerts@example.com>',
+      'RCPT TO:<a@example.com>',
+      'RCPT TO:<b@example.com>',
+      'DATA',
+      'QUIT'
+    ]);
+    const message = stand.message();
+    assert.match(message, /^From: Snow Monitor <alerts@example.com>\r\nTo: a@example.com, b@example.com\r\nSubject: Champoluc: lifts are running\r\n/);
+    assert.match(message, /\r\n\r\nFirst lift at 8:30\.\r\n\.\.and a line starting with a dot$/);
+  } finally {
+    await stand.close();
+  }
+});
+
+test('smtp is not ready without a sender address', () => {
+  const base = { host: 'mail.example.com', to: 'a@example.com' };
+  assert.strictEqual(CHANNELS.smtp.ready({ ...base, from: 'Snow Monitor <alerts@example.com>' }), true);
+  assert.strictEqual(CHANNELS.smtp.ready({ ...base, from: 'Snow Monitor <>' }), false);
+  assert.strictEqual(CHANNELS.smtp.ready({ ...base, from: '' }), false);
+});
+
+test('dispatch keeps an event no channel took and sends it next run', async () => {
+  const stand = await httpStandIn([500]);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-notify-'));
+  const statePath = path.join(dir, 'notify-state.json');
+  const resorts = [{ id: 'champoluc', name: 'Champoluc', timezone: 'Europe/Rome' }];
+  const config = { rules: {}, channels: { hook: { type: 'webhook', url: stand.url } } };
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.deepStrictEqual(await dispatch([EVENT], resorts, config, statePath, '2025-12-20T09:00:00.000Z'), []);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(statePath, 'utf8')).pending.map(e => e.key), [EVENT.key]);
+    const sent = await dispatch([], resorts, config, statePath, '2025-12-20T09:05:00.000Z');
+    assert.deepStrictEqual(sent.map(e => e.key), [EVENT.key]);
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    assert.deepStrictEqual([state.pending, state.sent[`${EVENT.key}@${EVENT.time}`]], [[], '2025-12-20T09:05:00.000Z']);
+    assert.strictEqual(stand.requests.length, 2);
+  } finally {
+    console.error = error;
+    await stand.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('avalanche danger going up and coming down are different events', () => {
+  const resort = { id: 'champoluc', name: 'Champoluc', timezone: 'Europe/Rome', elevations: { top: 2705 } };
+  const avalanche = level => ({ level, label: `level ${level}`, validFrom: '2025-12-20T16:00:00Z' });
+  const entry = level => ({ resort, avalanche: avalanche(level) });
+  const run = (from, to) => detectChanges({ timestamp: '2025-12-20T08:00:00.000Z', resorts: [entry(from)] }, [entry(to)],
+    '2025-12-20T09:00:00.000Z', {}, { events: ['avalanche-up', 'avalanche-down'] })[0];
+  const up = run(2, 3), down = run(4, 3);
+  assert.deepStrictEqual([up.type, down.type], ['avalanche-up', 'avalanche-down']);
+  assert.notStrictEqual(up.key, down.key);
+});
+
+test('a day-keyed event goes out once for its day', async () => {
+  const stand = await httpStandIn();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-notify-'));
+  const statePath = path.join(dir, 'notify-state.json');
+  const resorts = [{ id: 'champoluc', name: 'Champoluc', timezone: 'Europe/Rome' }];
+  const config = { rules: {}, channels: { hook: { type: 'webhook', url: stand.url } } };
+  const powder = (day, time) => ({ key: `champoluc:fresh-snow:${day}`, type: 'fresh-snow', resort: 'champoluc', severity: 'normal', title: 'Champoluc: 15cm fresh snow ❄️', message: '15.0cm of snow fell yesterday at 2705m.', time });
+  try {
+    const runs = [
+      ['2025-12-20', '2025-12-20T07:00:00.000Z'],
+      ['2025-12-20', '2025-12-20T14:00:00.000Z'],
+      ['2025-12-20', '2025-12-20T20:00:00.000Z'],
+      ['2025-12-21', '2025-12-21T07:00:00.000Z']
+    ];
+    const sent = [];
+    for (const [day, time] of runs) sent.push((await dispatch([powder(day, time)], resorts, config, statePath, time)).length);
+    assert.deepStrictEqual(sent, [1, 0, 0, 1]);
+    assert.strictEqual(stand.requests.length, 2);
+  } finally {
+    await stand.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a lift that closes and reopens within hours is reported every time', async () => {
+  const stand = await httpStandIn();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-notify-'));
+  const statePath = path.join(dir, 'notify-state.json');
+  const resort = { id: 'champoluc', name: 'Champoluc', timezone: 'Europe/Rome', elevations: { top: 2705 } };
+  const config = { rules: {}, channels: { hook: { type: 'webhook', url: stand.url } } };
+  const entry = status => ({ resort, liftStatus: { lifts: [{ name: 'BETTAFORCA', status }], pistes: [] } });
+  const rules = { events: ['lift-status'] };
+  try {
+    const runs = [['closed', 'open', '2025-12-20T08:00:00.000Z'], ['open', 'closed', '2025-12-20T10:00:00.000Z'], ['closed', 'open', '2025-12-20T12:00:00.000Z']];
+    const sent = [];
+    for (const [from, to, time] of runs) {
+      const events = detectChanges({ timestamp: '2025-12-20T07:00:00.000Z', resorts: [entry(from)] }, [entry(to)], time, {}, rules);
+      sent.push(...(await dispatch(events, [resort], config, statePath, time)).map(e => e.key));
+      // The same run again delivers nothing new
+      assert.deepStrictEqual(await dispatch(events, [resort], config, statePath, time), []);
+    }
+    assert.deepStrictEqual(sent, ['champoluc:lift:BETTAFORCA:closed>open', 'champoluc:lift:BETTAFORCA:open>closed', 'champoluc:lift:BETTAFORCA:closed>open']);
+    assert.strictEqual(stand.requests.length, 3);
+  } finally {
+    await stand.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
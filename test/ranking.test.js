@@ -0,0 +1,63 @@
+// Snow Monitor - Ranking tests
+// Factor normalisation, how the weights combine them, and neutral scores for
+// missing data, on resorts built from a few daily weather values.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ranking = require('../lib/ranking');
+
+const TIMESTAMP = '2025-12-17T09:00:00.000Z'; // a Wednesday
+const DAYS = ['2025-12-14', '2025-12-15', '2025-12-16', '2025-12-17', '2025-12-18'];
+
+// daily: { field: [value per DAYS] } for the top station
+function resort(id, daily, extra = {}) {
+  return { resort: { id, name: id, timezone: 'Europe/Rome' }, weather: { top: { daily: { time: DAYS, ...daily } } }, ...extra };
+}
+
+test('the weekend is the coming Saturday and Sunday, or what is left of it', () => {
+  assert.deepStrictEqual(ranking.periods('2025-12-17'), { today: ['2025-12-17'], tomorrow: ['2025-12-18'], weekend: ['2025-12-20', '2025-12-21'] });
+  assert.deepStrictEqual(ranking.periods('2025-12-20').weekend, ['2025-12-20', '2025-12-21']);
+  assert.deepStrictEqual(ranking.periods('2025-12-21').weekend, ['2025-12-21']);
+});
+
+test('each factor is scaled to 0..1 over its range', () => {
+  const score = (daily, weights, extra) => ranking.scoreResort(resort('a', daily, extra), ['2025-12-17'], weights, TIMESTAMP).score;
+  // Fresh snow: the 3 days before, full marks at 30cm
+  assert.strictEqual(score({ snowfall_sum: [5, 5, 5, 0, 0] }, { freshSnow: 1 }), 50);
+  assert.strictEqual(score({ snowfall_sum: [20, 20, 20, 0, 0] }, { freshSnow: 1 }), 100);
+  // Gusts: fine up to 30km/h, nothing left at 80km/h
+  assert.deepStrictEqual([30, 55, 80, 120].map(g => score({ wind_gusts_10m_max: [0, 0, 0, g, 0] }, { wind: 1 })), [100, 50, 0, 0]);
+  // Avalanche danger 1 is best, 5 worst
+  assert.deepStrictEqual([1, 3, 5].map(level => score({}, { avalanche: 1 }, { avalanche: { level } })), [100, 50, 0]);
+});
+
+test('factors without data count as neutral and no data at all gives no score', () => {
+  const entry = resort('a', { snowfall_sum: [10, 10, 10, 0, 0] });
+  const r = ranking.scoreResort(entry, ['2025-12-17'], { freshSnow: 1, avalanche: 1, liftsOpen: 0 }, TIMESTAMP);
+  assert.strictEqual(r.score, 75);
+  assert.deepStrictEqual(r.missing, ['avalanche']);
+  assert.strictEqual(ranking.scoreResort(resort('b', {}), ['2025-12-17'], { freshSnow: 1 }, TIMESTAMP).score, null);
+});
+
+test('the weights decide between a powder day and a calm one', () => {
+  const powder = resort('powder', { snowfall_sum: [10, 10, 10, 0, 0], wind_gusts_10m_max: [0, 0, 0, 70, 0] });
+  const calm = resort('calm', { snowfall_sum: [0, 0, 0, 0, 0], wind_gusts_10m_max: [0, 0, 0, 20, 0] });
+  const order = weights => ranking.rankResorts([calm, powder], TIMESTAMP, weights).today.ranking.map(r => [r.id, r.rank]);
+  assert.deepStrictEqual(order({ ...ranking.DEFAULT_WEIGHTS }), [['powder', 1], ['calm', 2]]);
+  assert.deepStrictEqual(order({ ...ranking.DEFAULT_WEIGHTS, wind: 5 }), [['calm', 1], ['powder', 2]]);
+});
+
+test('ranking.json weights override the defaults', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-ranking-'));
+  try {
+    const file = path.join(dir, 'ranking.json');
+    fs.writeFileSync(file, JSON.stringify({ weights: { wind: 0, liftHours: 4 } }));
+    assert.deepStrictEqual(ranking.loadWeights(file), { ...ranking.DEFAULT_WEIGHTS, wind: 0, liftHours: 4 });
+    assert.deepStrictEqual(ranking.loadWeights(path.join(dir, 'missing.json')), ranking.DEFAULT_WEIGHTS);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
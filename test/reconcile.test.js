@@ -0,0 +1,77 @@
+// Snow Monitor - Reconciliation tests
+// Which source each field is taken from and why, when a stale preferred source
+// gives way to a fresher one, and the margins past which sources disagree.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { reconcile, THRESHOLDS } = require('../lib/reconcile');
+
+const TIMESTAMP = '2025-12-20T09:00:00.000Z';
+const RESORT = { id: 'champoluc', skiramaUrl: 'https://example.com/skirama', onTheSnowUrl: 'https://example.com/report' };
+
+const items = (open, closed, extra = {}) => [
+  ...Array.from({ length: open }, (_, i) => ({ name: `open ${i}`, status: 'open', ...extra })),
+  ...Array.from({ length: closed }, (_, i) => ({ name: `closed ${i}`, status: 'closed', ...extra }))
+];
+const ok = { ok: true };
+
+// Both sections fetched this run unless asOf says otherwise
+function entry(parts, asOf = {}) {
+  return {
+    resort: RESORT,
+    sources: { liftStatus: ok, snowReport: ok, weather: ok },
+    asOf: { liftStatus: TIMESTAMP, snowReport: TIMESTAMP, weather: TIMESTAMP, ...asOf },
+    ...parts
+  };
+}
+
+test('the live lift map beats the snow report\'s counts, measured depth beats the model', () => {
+  const { fields, providers } = reconcile(entry({
+    liftStatus: { lifts: items(6, 4), pistes: items(3, 1, { lengthKm: 2.5 }) },
+    snowReport: { liftsOpen: 7, liftsTotal: 10, runsOpen: 3, runsTotal: 4, kmOpen: 8, summitDepth: 120 },
+    weather: { top: { current: { snow_depth: 1.35 } } }
+  }), TIMESTAMP);
+  assert.deepStrictEqual(fields.lifts, { value: { open: 6, total: 10 }, source: 'liftStatus', reason: 'live', values: { liftStatus: { open: 6, total: 10 }, snowReport: { open: 7, total: 10 } }, flag: false });
+  assert.deepStrictEqual([fields.kmOpen.value, fields.kmOpen.source], [7.5, 'liftStatus']);
+  assert.deepStrictEqual([fields.summitDepth.value, fields.summitDepth.source, fields.summitDepth.reason], [120, 'snowReport', 'measured']);
+  assert.strictEqual(fields.baseDepth, undefined);
+  assert.deepStrictEqual(providers, { liftStatus: 'monterosa-skirama', snowReport: 'onthesnow', weather: 'open-meteo' });
+});
+
+test('a field with one source says so, and km need a length on every piste', () => {
+  const { fields } = reconcile(entry({
+    liftStatus: { lifts: [], pistes: [{ name: 'A', status: 'open', lengthKm: 2 }, { name: 'B', status: 'open' }] },
+    snowReport: { liftsOpen: 5, liftsTotal: 9 }
+  }), TIMESTAMP);
+  assert.deepStrictEqual([fields.lifts.source, fields.lifts.reason], ['snowReport', 'only']);
+  assert.deepStrictEqual([fields.pistes.source, fields.pistes.reason], ['liftStatus', 'only']);
+  assert.strictEqual(fields.kmOpen, undefined);
+});
+
+test('a stale preferred source gives way to a fresh one', () => {
+  const parts = { liftStatus: { lifts: items(2, 8), pistes: [] }, snowReport: { liftsOpen: 8, liftsTotal: 10 } };
+  // The lift map was last fetched 45 minutes ago: past its 30 minutes
+  const stale = reconcile(entry(parts, { liftStatus: '2025-12-20T08:15:00.000Z' }), TIMESTAMP).fields.lifts;
+  assert.deepStrictEqual([stale.value, stale.source, stale.reason], [{ open: 8, total: 10 }, 'snowReport', 'fresher']);
+  // ...and a failed fetch counts as stale whatever its age
+  const failed = entry(parts);
+  failed.sources.liftStatus = { ok: false };
+  assert.strictEqual(reconcile(failed, TIMESTAMP).fields.lifts.source, 'snowReport');
+  // Both stale: keep the preferred one
+  const both = reconcile(entry(parts, { liftStatus: '2025-12-20T08:15:00.000Z', snowReport: '2025-12-18T08:00:00.000Z' }), TIMESTAMP).fields.lifts;
+  assert.deepStrictEqual([both.source, both.reason], ['liftStatus', 'live']);
+});
+
+test('sources are flagged only past the margins', () => {
+  const flags = (live, report) => reconcile(entry({ liftStatus: live, ...report }), TIMESTAMP).flags;
+  // Open shares 0.65 and 0.8 are within the 0.2 margin; 0.5 and 0.8 are not
+  assert.strictEqual(THRESHOLDS.share, 0.2);
+  assert.deepStrictEqual(flags({ lifts: items(13, 7), pistes: [] }, { snowReport: { liftsOpen: 16, liftsTotal: 20 } }), []);
+  assert.deepStrictEqual(flags({ lifts: items(5, 5), pistes: [] }, { snowReport: { liftsOpen: 16, liftsTotal: 20 } }), ['lifts']);
+  // Depth: more than 30cm and more than half the reported depth apart
+  const depth = (reported, modelM) => flags(null, { snowReport: { summitDepth: reported }, weather: { top: { current: { snow_depth: modelM } } } });
+  assert.deepStrictEqual([depth(100, 1.45), depth(100, 1.55), depth(40, 0.65), depth(40, 0.75)], [[], ['summitDepth'], [], ['summitDepth']]);
+  // Open km: more than 5km and 30% of the larger figure apart
+  const km = (live, report) => flags({ lifts: [], pistes: [{ name: 'A', status: 'open', lengthKm: live }] }, { snowReport: { kmOpen: report } });
+  assert.deepStrictEqual([km(20, 26), km(20, 30), km(4, 9.5)], [[], ['kmOpen'], ['kmOpen']]);
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// Snow Monitor - Record scraper fixtures
+// Saves today's live pages of one resort (default: test/fixtures/resort.json)
+// over the fixtures in test/fixtures, for the regression tests to run on:
+//   node test/record.js [resorts.json id]
+// Then compare with npm test and, once the differences are understood,
+// accept them with UPDATE_FIXTURES=1 npm test.
+
+const fs = require('fs');
+const path = require('path');
+const providers = require('../lib/providers');
+const httpClient = require('../lib/http');
+const avalanche = require('../lib/avalanche');
+const time = require('../lib/time');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Fixture file -> the resort's URL for it
+const SOURCES = {
+  'monterosa-skirama.html': (sources) => sources.liftStatus && sources.liftStatus.url,
+  'monterosa-schedule.html': (sources) => sources.schedule && sources.schedule.url,
+  'onthesnow.html': (sources) => sources.snowReport && sources.snowReport.url,
+  'open-meteo.json': (sources, resort) => providers.getAdapter('weather', 'open-meteo').url(resort, resort.elevations.top),
+  'caamlv6.json': (sources, resort) => sources.avalanche && avalanche.bulletinUrl(sources.avalanche, time.localDate(Date.now(), time.timeZoneOf(resort)))
+};
+
+async function main(id) {
+  const resort = id
+    ? JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'resorts.json'), 'utf8')).find(r => r.id === id)
+    : JSON.parse(fs.readFileSync(path.join(FIXTURES, 'resort.json'), 'utf8'));
+  if (!resort) throw new Error(`unknown resort: ${id}`);
+  const sources = providers.resolveSources(resort);
+  const fetch = httpClient.createClient({ cacheDir: null });
+  let failed = 0, recorded = 0;
+  for (const [file, urlOf] of Object.entries(SOURCES)) {
+    const url = urlOf(sources, resort);
+    if (!url) {
+      console.log(`  ${file}: no source configured, kept`);
+      continue;
+    }
+    try {
+      fs.writeFileSync(path.join(FIXTURES, file), await fetch(url));
+      recorded++;
+      console.log(`  ${file} <- ${url}`);
+    } catch (e) {
+      failed++;
+      console.error(`  ${file} failed: ${e.message}`);
+    }
+  }
+  // The resort goes with the pages: keep the old one when none were recorded
+  if (id && recorded) fs.writeFileSync(path.join(FIXTURES, 'resort.json'), `${JSON.stringify(resort, null, 2)}\n`);
+  return failed ? 1 : 0;
+}
+
+main(process.argv[2]).then(code => { process.exitCode = code; }, e => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,69 @@
+// Snow Monitor - Lift schedule tests
+// Picking the period that applies on a date, the day's hours, pairing lift
+// names with schedule names, and where a time sits in the day.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const schedule = require('../lib/schedule');
+
+const SEASON = { from: '2025-12-06', to: '2026-04-12', days: null, open: '8:30', close: '16:30' };
+const PERIODS = [
+  SEASON,
+  // Weekends only before Christmas
+  { from: '12-06', to: '12-19', days: [1, 2, 3, 4, 5], open: null, close: null },
+  // Longer days in the Christmas holidays, across New Year
+  { from: '12-20', to: '01-06', days: null, open: '8:30', close: '17:00' }
+];
+
+test('the most specific period covering a date decides its hours', () => {
+  assert.deepStrictEqual(schedule.liftHours(PERIODS, '2025-12-13'), { open: '8:30', close: '16:30' }); // Saturday
+  assert.strictEqual(schedule.liftHours(PERIODS, '2025-12-15'), null); // Monday before Christmas
+  assert.deepStrictEqual(schedule.liftHours(PERIODS, '2026-01-02'), { open: '8:30', close: '17:00' });
+  assert.deepStrictEqual(schedule.liftHours(PERIODS, '2026-02-10'), { open: '8:30', close: '16:30' });
+  assert.strictEqual(schedule.liftHours(PERIODS, '2026-05-01'), null);
+});
+
+test('dayHours spans the earliest opening to the latest closing', () => {
+  const day = schedule.dayHours({ lifts: { A: PERIODS, B: [{ ...SEASON, open: '9:00', close: '17:15' }] } }, '2026-02-10');
+  assert.deepStrictEqual(day, { hours: { A: { open: '8:30', close: '16:30' }, B: { open: '9:00', close: '17:15' } }, generalOpen: '8:30', generalClose: '17:15' });
+  // data.json from before periods were parsed passes through
+  const legacy = { hours: { A: { open: '8:30', close: '16:30' } }, generalOpen: '8:30', generalClose: '16:30' };
+  assert.strictEqual(schedule.dayHours(legacy, '2026-02-10'), legacy);
+});
+
+test('lift names match by alias, ignoring case and punctuation, or by a unique guess', () => {
+  const lifts = Object.fromEntries(['Bettaforca 1', 'Gabiet Baby', 'Funivia Indren', 'Wold 1', 'Wold 2', 'Campo scuola'].map(n => [n, [SEASON]]));
+  const { match, unmatched, unused } = schedule.matchLifts(
+    ['BETTAFORCA 1', "GABIET 'BABY'", 'FUNIFOR INDREN', 'WOLD', 'SAREZZA', 'SCUOLA'],
+    { lifts },
+    { 'FUNIFOR INDREN': 'Funivia Indren', SAREZZA: 'Not in the schedule' }
+  );
+  assert.deepStrictEqual(match, {
+    'BETTAFORCA 1': { name: 'Bettaforca 1', how: 'exact' },
+    "GABIET 'BABY'": { name: 'Gabiet Baby', how: 'exact' },
+    'FUNIFOR INDREN': { name: 'Funivia Indren', how: 'alias' }
+  });
+  // WOLD could be either numbered lift and SCUOLA shares only half of "Campo scuola"
+  assert.deepStrictEqual(unmatched, ['WOLD', 'SAREZZA', 'SCUOLA']);
+  assert.deepStrictEqual(unused, ['Wold 1', 'Wold 2', 'Campo scuola']);
+  // Most words shared with one name, and the same numbers
+  const guessed = schedule.matchLifts(['CAMPO SCUOLA WOLD', 'WOLD ALTA 2 CHAIR', 'WOLD ALTA 3 CHAIR'], { lifts: { 'Campo scuola': [SEASON], 'Wold alta 2 chair lift': [SEASON] } }).match;
+  assert.deepStrictEqual(guessed, {
+    'CAMPO SCUOLA WOLD': { name: 'Campo scuola', how: 'guess' },
+    'WOLD ALTA 2 CHAIR': { name: 'Wold alta 2 chair lift', how: 'guess' }
+  });
+});
+
+test('status says how long until a lift opens or closes', () => {
+  const hours = { open: '8:30', close: '16:30' };
+  assert.deepStrictEqual(schedule.status(hours, '07:45'), { state: 'before', ...hours, minutes: 45 });
+  assert.deepStrictEqual(schedule.status(hours, '16:00'), { state: 'open', ...hours, minutes: 30 });
+  assert.deepStrictEqual(schedule.status(hours, '16:30'), { state: 'after', ...hours });
+  assert.deepStrictEqual(schedule.status(null, '12:00'), { state: 'closed' });
+});
+
+test('today reads the hours in the resort\'s time zone', () => {
+  const day = schedule.today({ lifts: { Bettaforca: [SEASON] } }, ['BETTAFORCA'], {}, '2026-02-10T07:00:00.000Z', 'Europe/Rome');
+  assert.deepStrictEqual(day.general, { state: 'before', open: '8:30', close: '16:30', minutes: 30 });
+  assert.deepStrictEqual(day.lifts.BETTAFORCA, { state: 'before', open: '8:30', close: '16:30', minutes: 30, name: 'Bettaforca', how: 'exact' });
+});
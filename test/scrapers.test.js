@@ -0,0 +1,80 @@
+// Snow Monitor - Scraper regression tests
+// Every scraper runs on a saved page in test/fixtures and must give exactly what
+// test/fixtures/expected/<fixture>.json holds. When a site changes its markup,
+// record the new page (node test/record.js), check the differences, then accept
+// them with UPDATE_FIXTURES=1 npm test.
+// The saved pages are still hand-made stand-ins in each site's markup; replace
+// them with recorded ones (node test/record.js) and regenerate the expected files.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parse, ParseError } = require('..');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const fixture = file => fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+const resort = JSON.parse(fixture('resort.json'));
+
+function matchesExpected(name, actual) {
+  const file = path.join(FIXTURES, 'expected', `${name}.json`);
+  if (process.env.UPDATE_FIXTURES) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+  }
+  assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+test('monterosa-skirama: lifts and pistes with status, position and attributes', () => {
+  const data = parse.skirama(fixture('monterosa-skirama.html'));
+  assert.deepStrictEqual(data.lifts.map(l => l.status), ['open', 'open', 'evaluating', 'closed', 'closed']);
+  assert.strictEqual(data.pistes.length, 6);
+  assert.strictEqual(data.lifts[4].name, 'FUNIFOR INDREN & PASSO SALATI');
+  assert.deepStrictEqual(data.pistes.map(p => p.difficulty || null), ['red', 'blue', 'black', 'blue', 'green', null]);
+  assert.deepStrictEqual(data.pistes.map(p => p.lengthKm || null), [2.35, 3.4, 1.8, null, 0.45, null]);
+  assert.deepStrictEqual(data.lifts.map(l => l.sector || null), ['Champoluc', 'Gressoney', null, null, 'Alagna']);
+  matchesExpected('monterosa-skirama', data);
+});
+
+test('monterosa-skirama: a page without markers is a ParseError', () => {
+  assert.throws(() => parse.skirama('<html><body><div class="skirama"></div></body></html>'), ParseError);
+});
+
+test('monterosa-schedule: one set of periods per lift', () => {
+  const data = parse.liftSchedule(fixture('monterosa-schedule.html'));
+  assert.deepStrictEqual(Object.keys(data.lifts), ['BETTAFORCA', 'WOLD', 'PIANALUNGA', 'STAFAL-GABIET', 'INDREN']);
+  assert.deepStrictEqual(data.lifts.BETTAFORCA[0], { from: '2025-12-06', to: '2026-04-12', days: null, open: '8:30', close: '16:30' });
+  matchesExpected('monterosa-schedule', data);
+});
+
+test('monterosa-schedule: a page without lift hours is a ParseError', () => {
+  assert.throws(() => parse.liftSchedule('<p>Opening hours</p><ul><li>See you next season</li></ul>'), ParseError);
+});
+
+test('onthesnow: counts, depths and condition', () => {
+  const data = parse.onTheSnow(fixture('onthesnow.html'));
+  assert.deepStrictEqual(data, { liftsOpen: 48, liftsTotal: 73, runsOpen: 97, runsTotal: 130, kmOpen: 142, baseDepth: 45, summitDepth: 130, condition: 'Packed Powder' });
+  matchesExpected('onthesnow', data);
+});
+
+test('onthesnow: a page without figures is a ParseError', () => {
+  assert.throws(() => parse.onTheSnow('<html><body><h1>Ski report</h1></body></html>'), ParseError);
+});
+
+test('open-meteo: the response as sent', () => {
+  const body = fixture('open-meteo.json');
+  assert.deepStrictEqual(parse.openMeteo(body), JSON.parse(body));
+  assert.throws(() => parse.openMeteo('{"error":false}'), ParseError);
+});
+
+test('caamlv6: the bulletin for the resort\'s regions', () => {
+  const data = parse.avalanche(fixture('caamlv6.json'), resort.sources.avalanche);
+  assert.strictEqual(data.level, 3);
+  assert.deepStrictEqual([data.above, data.below, data.boundary], [3, 2, '2200']);
+  assert.deepStrictEqual(data.regions.map(r => r.id), ['IT-23-AO-A05', 'IT-23-AO-A06']);
+  matchesExpected('caamlv6', data);
+});
+
+test('caamlv6: no bulletin for the regions is a ParseError', () => {
+  assert.throws(() => parse.avalanche(fixture('caamlv6.json'), { regions: ['CH-1111'] }), ParseError);
+});
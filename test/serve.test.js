@@ -0,0 +1,163 @@
+// Snow Monitor - serve mode tests
+// The HTTP server on a temporary output directory, and the refresh scheduler
+// with intervals short enough to watch it batch and space out runs.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createServer } = require('../lib/server');
+const { createScheduler } = require('../lib/scheduler');
+
+function get(port, pathname, { method = 'GET' } = {}) {
+  return new Promise((resolve, reject) => {
+    http.request({ port, path: pathname, method }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject).end();
+  });
+}
+
+async function start(healthz) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snow-serve-'));
+  fs.mkdirSync(path.join(dir, 'it'));
+  fs.writeFileSync(path.join(dir, 'index.html'), '<!DOCTYPE html><p>en</p>');
+  fs.writeFileSync(path.join(dir, 'it', 'index.html'), '<!DOCTYPE html><p>it</p>');
+  fs.writeFileSync(path.join(dir, 'data.json'), '{"timestamp":"2025-12-20T09:00:00.000Z"}');
+  fs.mkdirSync(path.join(dir, 'api', 'v1', 'resorts'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'api', 'v1', 'resorts', 'champoluc.ics'), 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+  fs.mkdirSync(path.join(dir, 'history'));
+  fs.writeFileSync(path.join(dir, 'history', 'champoluc.jsonl'), '{}\n');
+  const web = createServer({ dir, healthz });
+  await new Promise(resolve => web.server.listen(0, '127.0.0.1', resolve));
+  const stop = () => web.close().then(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { web, port: web.server.address().port, stop };
+}
+
+test('serves the output directory like a static host', async () => {
+  const { port, stop } = await start(() => ({ ok: true }));
+  try {
+    const index = await get(port, '/');
+    assert.strictEqual(index.status, 200);
+    assert.strictEqual(index.headers['content-type'], 'text/html; charset=utf-8');
+    assert.strictEqual(index.headers['cache-control'], 'no-cache');
+    assert.match(index.body, /<p>en<\/p>/);
+    assert.strictEqual((await get(port, '/data.json')).headers['content-type'], 'application/json; charset=utf-8');
+    const variant = await get(port, '/it');
+    assert.deepStrictEqual([variant.status, variant.headers.location], [301, '/it/']);
+    assert.match((await get(port, '/it/')).body, /<p>it<\/p>/);
+    assert.strictEqual((await get(port, '/missing.json')).status, 404);
+    assert.strictEqual((await get(port, '/..%2f..%2fetc%2fpasswd')).status, 403);
+    assert.strictEqual((await get(port, '/', { method: 'POST' })).status, 405);
+    assert.strictEqual((await get(port, '/api/v1/resorts/champoluc.ics')).headers['content-type'], 'text/calendar; charset=utf-8');
+    const head = await get(port, '/data.json', { method: 'HEAD' });
+    assert.deepStrictEqual([head.status, head.body], [200, '']);
+  } finally {
+    await stop();
+  }
+});
+
+test('only what a run publishes is served', async () => {
+  const { port, stop } = await start(() => ({ ok: true }));
+  try {
+    for (const pathname of ['/history/champoluc.jsonl', '/history/', '/history', '/api/v1/%2e%2e/%2e%2e/history/champoluc.jsonl', '/it/data.json']) {
+      assert.strictEqual((await get(port, pathname)).status, 404, pathname);
+    }
+  } finally {
+    await stop();
+  }
+});
+
+test('/healthz answers 503 until healthz() says ok', async () => {
+  let body = { ok: false, status: 'starting' };
+  const { port, stop } = await start(() => body);
+  try {
+    const starting = await get(port, '/healthz');
+    assert.strictEqual(starting.status, 503);
+    assert.deepStrictEqual(JSON.parse(starting.body), body);
+    body = { ok: true, status: 'ok' };
+    assert.strictEqual((await get(port, '/healthz')).status, 200);
+  } finally {
+    await stop();
+  }
+});
+
+test('/events pushes broadcasts to every open stream', async () => {
+  const { web, port, stop } = await start(() => ({ ok: true }));
+  try {
+    const received = await new Promise((resolve, reject) => {
+      http.get({ port, path: '/events' }, res => {
+        assert.strictEqual(res.headers['content-type'], 'text/event-stream');
+        let text = '';
+        res.on('data', chunk => {
+          text += chunk;
+          if (text.includes('retry:') && web.clients === 1 && !text.includes('event:')) web.broadcast('update', { timestamp: 'T', kinds: ['liftStatus'] });
+          if (text.endsWith('\n\n') && text.includes('event:')) resolve(text);
+        });
+      }).on('error', reject);
+    });
+    assert.match(received, /^retry: \d+\n\n/);
+    assert.match(received, /event: update\ndata: {"timestamp":"T","kinds":\["liftStatus"\]}\n\n$/);
+  } finally {
+    await stop();
+  }
+});
+
+test('broadcast drops event streams that have gone away', async () => {
+  const { web, port, stop } = await start(() => ({ ok: true }));
+  try {
+    await new Promise((resolve, reject) => {
+      const req = http.get({ port, path: '/events' }, res => res.once('data', () => {
+        req.destroy();
+        resolve();
+      })).on('error', reject);
+    });
+    // The server may not have seen the close yet: broadcasting must not throw either way
+    for (let i = 0; i < 50 && web.clients; i++) {
+      web.broadcast('update', { timestamp: 'T', kinds: [] });
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(web.clients, 0);
+  } finally {
+    await stop();
+  }
+});
+
+test('the scheduler runs every kind at start, then each on its own interval, never overlapping', async () => {
+  const runs = [];
+  let active = 0, overlapped = false;
+  const scheduler = createScheduler({ fast: 0.001, slow: 1 }, async kinds => {
+    if (active++) overlapped = true;
+    runs.push(kinds.join('+'));
+    await new Promise(resolve => setTimeout(resolve, 30));
+    active--;
+  });
+  scheduler.start();
+  await new Promise(resolve => setTimeout(resolve, 250));
+  await scheduler.stop();
+  assert.strictEqual(runs[0], 'fast+slow');
+  assert.ok(runs.length >= 3, runs.join(' '));
+  assert.ok(runs.slice(1).every(r => r === 'fast'), runs.join(' '));
+  assert.strictEqual(overlapped, false);
+  const status = scheduler.status();
+  assert.strictEqual(status.slow.everyMinutes, 1);
+  assert.strictEqual(status.fast.lastRun.error, null);
+  assert.strictEqual(status.fast.nextRun, null);
+});
+
+test('the scheduler keeps a failed run\'s error and carries on', async () => {
+  let calls = 0;
+  const scheduler = createScheduler({ lifts: 0.0005 }, async () => {
+    if (++calls === 1) throw new Error('disk full');
+  });
+  scheduler.start();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(scheduler.status().lifts.lastRun.error, 'disk full');
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await scheduler.stop();
+  assert.ok(calls >= 2);
+  assert.strictEqual(scheduler.status().lifts.lastRun.error, null);
+});
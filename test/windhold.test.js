@@ -0,0 +1,61 @@
+// Snow Monitor - Wind-hold tests
+// Gust limits per lift type and per lift, the station whose gusts apply, and the
+// check of those limits against lift statuses in the history.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const windhold = require('../lib/windhold');
+
+const RESORT = {
+  id: 'champoluc',
+  elevations: { bottom: 1560, mid: 2100, top: 2705 },
+  lifts: {
+    BETTAFORCA: { type: 'chair', station: 'top' },
+    'Funifor Indren': { type: 'funifor', elevation: 3275, gustThreshold: 110 },
+    Sarezza: { type: 'gondola', elevation: 1700 }
+  }
+};
+
+test('ok below the watch ratio, watch from there, hold at the limit', () => {
+  assert.deepStrictEqual([0, 47, 48, 59.9, 60, 95].map(g => windhold.level(g, 60)), ['ok', 'ok', 'watch', 'watch', 'hold', 'hold']);
+  assert.strictEqual(windhold.level(null, 60), null);
+});
+
+test('a lift takes its own limit, else its type\'s, else the default', () => {
+  const threshold = name => windhold.liftMeta(RESORT, name).threshold;
+  assert.deepStrictEqual(
+    ['BETTAFORCA', 'FUNIFOR  INDREN', 'Sarezza', 'Unknown'].map(threshold),
+    [windhold.LIFT_TYPES.chair, 110, windhold.LIFT_TYPES.gondola, windhold.DEFAULT_THRESHOLD]
+  );
+  assert.strictEqual(windhold.liftMeta(RESORT, 'Unknown').configured, false);
+});
+
+test('gusts come from the named station, the nearest one to the elevation, or mid', () => {
+  const station = name => windhold.liftMeta(RESORT, name).station;
+  assert.deepStrictEqual(['BETTAFORCA', 'Funifor Indren', 'Sarezza', 'Unknown'].map(station), ['top', 'top', 'bottom', 'mid']);
+});
+
+test('liftRisk rates the current gust and the coming hours', () => {
+  const weather = {
+    top: {
+      current: { time: '2025-12-20T10:15', wind_gusts_10m: 50 },
+      hourly: { time: ['2025-12-20T09:00', '2025-12-20T10:00', '2025-12-20T11:00', '2025-12-20T12:00'], wind_gusts_10m: [20, 50, 62, 30] }
+    }
+  };
+  const risk = windhold.liftRisk(RESORT, weather, 'BETTAFORCA', 2);
+  assert.deepStrictEqual(risk.now, { gust: 50, level: 'watch' });
+  assert.deepStrictEqual(risk.hours, [{ time: '2025-12-20T10:00', gust: 50, level: 'watch' }, { time: '2025-12-20T11:00', gust: 62, level: 'hold' }]);
+  assert.strictEqual(windhold.liftRisk(RESORT, {}, 'BETTAFORCA'), null);
+});
+
+test('evaluate counts hits, misses and false alarms and suggests a better limit', () => {
+  const run = (gust, bettaforca) => ({ v: { gustTop: gust }, lifts: { BETTAFORCA: bettaforca, Other: 'o' } });
+  const records = [run(40, 'o'), run(55, 'o'), run(58, 'c'), run(62, 'c'), run(70, 'c'), run(65, 'o')];
+  // Nothing open anywhere: a night closure, not a wind hold
+  records.push({ v: { gustTop: 10 }, lifts: { BETTAFORCA: 'c', Other: 'c' } });
+  const [bettaforca] = windhold.evaluate(RESORT, records).filter(r => r.lift === 'BETTAFORCA');
+  assert.deepStrictEqual(
+    [bettaforca.runs, bettaforca.closed, bettaforca.hits, bettaforca.misses, bettaforca.falseAlarms, bettaforca.suggested],
+    [6, 3, 2, 1, 1, 58]
+  );
+});